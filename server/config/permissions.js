@@ -0,0 +1,147 @@
+// config/permissions.js
+
+// Roles in ascending order of authority. `scope` controls which police stations
+// a role can reach: its own postings, every station in the districts it is posted
+// to, or all stations.
+const ROLES = {
+  constable: { level: 1, scope: 'station' },
+  station_officer: { level: 2, scope: 'station' },
+  sho: { level: 3, scope: 'station' },
+  district_admin: { level: 4, scope: 'district' },
+  super_admin: { level: 5, scope: 'global' }
+};
+
+const DEFAULT_ROLE = 'constable';
+
+const CONSTABLE_PERMISSIONS = [
+  'station:read',
+  'checkpoint:read',
+  'route:read',
+  'assignment:read',
+  'assignment:execute',
+  'scan:create',
+  'incident:create',
+  'incident:read',
+  'alert:raise'
+];
+
+const STATION_OFFICER_PERMISSIONS = [
+  ...CONSTABLE_PERMISSIONS,
+  'checkpoint:create',
+  'checkpoint:update',
+  'route:create',
+  'route:update',
+  'assignment:assign',
+  'assignment:update',
+  'assignment:cancel',
+  'scan:read',
+  'incident:update',
+  'incident:assign',
+  'alert:read',
+  'alert:manage',
+  'events:subscribe',
+  'schedule:read',
+  'schedule:manage',
+  'user:read'
+];
+
+const SHO_PERMISSIONS = [
+  ...STATION_OFFICER_PERMISSIONS,
+  'checkpoint:delete',
+  'route:delete',
+  'assignment:delete',
+  'scan:review',
+  'incident:delete',
+  'schedule:delete',
+  'user:create',
+  'user:update',
+  'user:delete',
+  'user:unlock',
+  'audit:read',
+  'station:update'
+];
+
+const DISTRICT_ADMIN_PERMISSIONS = [
+  ...SHO_PERMISSIONS,
+  'station:create'
+];
+
+const SUPER_ADMIN_PERMISSIONS = [
+  ...DISTRICT_ADMIN_PERMISSIONS,
+  'station:delete'
+];
+
+const ROLE_PERMISSIONS = {
+  constable: CONSTABLE_PERMISSIONS,
+  station_officer: STATION_OFFICER_PERMISSIONS,
+  sho: SHO_PERMISSIONS,
+  district_admin: DISTRICT_ADMIN_PERMISSIONS,
+  super_admin: SUPER_ADMIN_PERMISSIONS
+};
+
+// roleName / smartuserrank values already stored on users, mapped to roles
+const ROLE_ALIASES = {
+  constable: 'constable',
+  pc: 'constable',
+  hc: 'constable',
+  police_constable: 'constable',
+  head_constable: 'constable',
+  naik: 'constable',
+  user: 'constable',
+  officer: 'constable',
+  station_officer: 'station_officer',
+  asi: 'station_officer',
+  psi: 'station_officer',
+  api: 'station_officer',
+  sub_inspector: 'station_officer',
+  assistant_sub_inspector: 'station_officer',
+  sho: 'sho',
+  pi: 'sho',
+  inspector: 'sho',
+  police_inspector: 'sho',
+  station_house_officer: 'sho',
+  district_admin: 'district_admin',
+  dysp: 'district_admin',
+  sdpo: 'district_admin',
+  sp: 'district_admin',
+  addl_sp: 'district_admin',
+  admin: 'district_admin',
+  super_admin: 'super_admin',
+  superadmin: 'super_admin'
+};
+
+const normalizeRoleKey = (value) =>
+  (value || '').toString().trim().toLowerCase().replace(/[.\s-]+/g, '_').replace(/_+$/, '');
+
+// Resolve a role from the token/user fields (roleName first, then smartuserrank)
+const resolveRole = (user) => {
+  if (!user) return DEFAULT_ROLE;
+
+  for (const candidate of [user.roleName, user.smartuserrank]) {
+    const role = ROLE_ALIASES[normalizeRoleKey(candidate)];
+    if (role) return role;
+  }
+
+  return DEFAULT_ROLE;
+};
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+// Named permissions a role holds, without duplicates
+const getEffectivePermissions = (role) => [...new Set(getRolePermissions(role))].sort();
+
+// Users may only grant roles at or below their own level
+const canAssignRole = (actorRole, targetRole) =>
+  (ROLES[actorRole]?.level || 0) >= (ROLES[targetRole]?.level || 0);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  resolveRole,
+  hasPermission,
+  getEffectivePermissions,
+  canAssignRole
+};
@@ -1,58 +1,98 @@
 // controllers/authController.js
 
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const { Op, fn, col, where } = require('sequelize');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { getEffectivePermissions } = require('../config/permissions');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../services/tokenService');
+const { validatePassword } = require('../services/passwordPolicyService');
+const { createResetToken, findValidResetToken, consumeResetToken } = require('../services/passwordResetService');
+const { sendPasswordResetEmail } = require('../services/emailService');
+const { requestLoginOtp, verifyLoginOtp } = require('../services/otpService');
+const {
+  recordLoginAttempt,
+  getIpThrottle,
+  isLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin
+} = require('../services/loginSecurityService');
 
-// JWT secret key - should be in .env file in production
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const lockedResponse = (res, lockedUntil) => res.status(423).json({
+  message: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+  error: 'ACCOUNT_LOCKED',
+  lockedUntil
+});
+
+const throttledResponse = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts from this network. Please try again later.',
+    error: 'TOO_MANY_ATTEMPTS',
+    retryAfter
+  });
+};
 
 // Login controller
 exports.login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
+    // Too many failures from this IP (across all usernames)
+    const retryAfter = await getIpThrottle(req.ip);
+    if (retryAfter > 0) {
+      await recordLoginAttempt(req, { identifier: username, outcome: 'locked', reason: 'ip_throttled' });
+      return throttledResponse(res, retryAfter);
+    }
+
     // Find user by username
     const user = await User.findOne({ where: { username } });
     
     if (!user) {
+      await recordLoginAttempt(req, { identifier: username, outcome: 'failure', reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid username or password' });
     }
 
+    // Locked accounts are refused before the password is checked
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { user, identifier: username, outcome: 'locked', reason: 'account_locked' });
+      return lockedResponse(res, user.lockedUntil);
+    }
+
     // Compare password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     
     if (!isPasswordValid) {
+      const failure = await registerFailedLogin(user);
+      if (failure.locked) {
+        await recordLoginAttempt(req, { user, identifier: username, outcome: 'locked', reason: 'invalid_credentials' });
+        return lockedResponse(res, failure.lockedUntil);
+      }
+
+      await recordLoginAttempt(req, { user, identifier: username, outcome: 'failure', reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid username or password' });
     }
 
-    // Use stored stations data from database
-    const stations = user.stations || [];
-
-    // Use stored roleName instead of mapping
-    const roleName = user.roleName || 'user';
-
-    // Generate JWT token with 1 day expiration - using same field names as registration
-    const token = jwt.sign(
-      { 
-        id: user.id, // Added this for token verification
-        smartuseremail: user.smartuseremail,
-        smartusername: user.smartusername,
-        smartuserphone: user.smartuserphone,
-        smartuserrank: user.smartuserrank,
-        userId: user.userId,
-        roleId: user.roleId,
-        roleName: roleName,
-        stations: stations
-      },
-      JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-
-    // Return message and token only
+    await registerSuccessfulLogin(user);
+    await recordLoginAttempt(req, { user, identifier: username, outcome: 'success' });
+
+    // Start a new session: short-lived access token plus a rotating refresh token
+    const session = await issueSession(user, req);
+
+    // Users on a temporary password may only call /api/auth/change-password until it is changed
+    const passwordChangeRequired = !!user.isFirstLogin;
+
     res.status(200).json({
-      message: 'Login successful',
-      token
+      message: passwordChangeRequired ? 'Login successful. Password change required.' : 'Login successful',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      passwordChangeRequired
     });
 
   } catch (err) {
@@ -75,9 +115,259 @@ exports.verifyToken = async (req, res) => {
 
     res.status(200).json({
       message: 'Token is valid',
-      user
+      user,
+      role: req.user.role,
+      permissions: getEffectivePermissions(req.user.role),
+      passwordChangeRequired: !!user.isFirstLogin
     });
   } catch (err) {
     res.status(500).json({ message: 'Error verifying token', error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({ message: result.message });
+    }
+
+    res.status(200).json({
+      message: 'Token refreshed',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ message: 'Error refreshing token', error: err.message });
+  }
+};
+
+// Logout the current session, or every session of the user with { allDevices: true }
+exports.logout = async (req, res) => {
+  try {
+    const allDevices = req.body && (req.body.allDevices === true || req.body.allDevices === 'true');
+
+    const revoked = allDevices
+      ? await revokeUserSessions(req.user.id, 'logout_all')
+      : await revokeSession(req.user.sid, 'logout');
+
+    res.status(200).json({
+      message: 'Logged out successfully',
+      sessionsRevoked: revoked
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ message: 'Error during logout', error: err.message });
+  }
+};
+
+// Change the current user's password (also completes the first-login password change)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Officers who signed in by OTP never received their temporary password,
+    // so the OTP stands in for it on the first-login change
+    const currentSession = await UserSession.findByPk(req.user.sid);
+    const authMethod = currentSession ? currentSession.authMethod : 'password';
+    const otpFirstLogin = user.isFirstLogin && authMethod === 'otp';
+
+    if (!otpFirstLogin) {
+      if (!currentPassword) {
+        return res.status(400).json({ message: 'Current password is required' });
+      }
+
+      const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ message: 'Current password is incorrect' });
+      }
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    const policy = validatePassword(newPassword, {
+      username: user.username,
+      personalInfo: [user.smartusername, user.smartuseremail && user.smartuseremail.split('@')[0], user.smartuserphone]
+    });
+    if (!policy.valid) {
+      return res.status(400).json({
+        message: 'Password does not meet the password policy',
+        errors: policy.errors
+      });
+    }
+
+    await user.update({
+      password: newPassword,
+      isFirstLogin: false,
+      passwordChangedAt: new Date()
+    });
+
+    // Sign out every other device and start a fresh session for this one
+    await revokeUserSessions(user.id, 'password_changed');
+    const session = await issueSession(user, req, { authMethod });
+
+    res.status(200).json({
+      message: 'Password changed successfully',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
+    });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ message: 'Error changing password', error: err.message });
+  }
+};
+
+// Start the forgot-password flow. The response is the same whether or not the
+// account exists, so it cannot be used to discover usernames or emails.
+exports.forgotPassword = async (req, res) => {
+  const genericResponse = {
+    message: 'If an account with that username or email exists, a password reset link has been sent.'
+  };
+
+  try {
+    const identifier = req.body.identifier.trim();
+
+    const user = await User.findOne({
+      where: {
+        [Op.or]: [
+          { username: identifier },
+          where(fn('lower', col('smartuseremail')), identifier.toLowerCase())
+        ]
+      }
+    });
+
+    if (user && user.smartuseremail) {
+      const resetToken = await createResetToken(user, req.ip);
+      const emailResult = await sendPasswordResetEmail(user.smartuseremail, resetToken);
+      if (!emailResult.success) {
+        console.error('Failed to send password reset email:', emailResult.error);
+      }
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(200).json(genericResponse);
+  }
+};
+
+// Complete the forgot-password flow with the token from the reset link
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const lookup = await findValidResetToken(token);
+    if (!lookup.success) {
+      return res.status(400).json({ message: lookup.message });
+    }
+
+    const { resetToken, user } = lookup;
+
+    const policy = validatePassword(newPassword, {
+      username: user.username,
+      personalInfo: [user.smartusername, user.smartuseremail && user.smartuseremail.split('@')[0], user.smartuserphone]
+    });
+    if (!policy.valid) {
+      return res.status(400).json({
+        message: 'Password does not meet the password policy',
+        errors: policy.errors
+      });
+    }
+
+    if (!(await consumeResetToken(resetToken))) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    await user.update({
+      password: newPassword,
+      isFirstLogin: false,
+      passwordChangedAt: new Date()
+    });
+
+    // Anyone holding the old password may have active sessions
+    await revokeUserSessions(user.id, 'password_reset');
+
+    res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ message: 'Error resetting password', error: err.message });
+  }
+};
+
+// Request a login OTP by SMS
+exports.requestOtp = async (req, res) => {
+  try {
+    const result = await requestLoginOtp(req.body.phone, req.ip);
+
+    if (!result.success) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({
+        message: result.message,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.status(200).json({
+      message: 'If the phone number is registered, an OTP has been sent.',
+      expiresInMinutes: result.expiresInMinutes
+    });
+  } catch (err) {
+    console.error('OTP request error:', err);
+    res.status(500).json({ message: 'Error sending OTP', error: err.message });
+  }
+};
+
+// Verify a login OTP and start a session (same tokens and claims as password login)
+exports.verifyOtp = async (req, res) => {
+  try {
+    const { phone, otp } = req.body;
+
+    const retryAfter = await getIpThrottle(req.ip);
+    if (retryAfter > 0) {
+      await recordLoginAttempt(req, { identifier: phone, method: 'otp', outcome: 'locked', reason: 'ip_throttled' });
+      return throttledResponse(res, retryAfter);
+    }
+
+    const result = await verifyLoginOtp(phone, otp);
+    if (!result.success) {
+      await recordLoginAttempt(req, { user: result.user, identifier: phone, method: 'otp', outcome: 'failure', reason: 'invalid_otp' });
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const user = result.user;
+
+    // A password lockout also blocks OTP login
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { user, identifier: phone, method: 'otp', outcome: 'locked', reason: 'account_locked' });
+      return lockedResponse(res, user.lockedUntil);
+    }
+
+    await recordLoginAttempt(req, { user, identifier: phone, method: 'otp', outcome: 'success' });
+    const session = await issueSession(user, req, { authMethod: 'otp' });
+    const passwordChangeRequired = !!user.isFirstLogin;
+
+    res.status(200).json({
+      message: passwordChangeRequired ? 'Login successful. Password change required.' : 'Login successful',
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      passwordChangeRequired
+    });
+  } catch (err) {
+    console.error('OTP verify error:', err);
+    res.status(500).json({ message: 'Error verifying OTP', error: err.message });
+  }
+};
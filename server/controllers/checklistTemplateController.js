@@ -0,0 +1,405 @@
+// controllers/checklistTemplateController.js
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const Checkpoint = require('../models/Checkpoint');
+const CheckpointScan = require('../models/CheckpointScan');
+const { Op } = require('sequelize');
+const { findActivePoliceStation } = require('../services/policeStationService');
+const { scopedStationCondition } = require('../middlewares/stationScopeMiddleware');
+const { validateTemplateFields, aggregateAnswers } = require('../services/checklistService');
+
+const MAX_REPORT_SCANS = 5000;
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+// Start of the day / ISO week (Monday) / month a date falls in, as YYYY-MM-DD (UTC)
+const getPeriodStart = (date, interval) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === 'month') d.setUTCDate(1);
+  return d.toISOString().slice(0, 10);
+};
+
+// Create Checklist Template
+exports.createChecklistTemplate = async (req, res) => {
+  try {
+    const { name, description, policeStationId, fields } = req.body;
+
+    if (!name || !name.trim() || !policeStationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and policeStationId are required',
+      });
+    }
+
+    const fieldValidation = validateTemplateFields(fields);
+    if (!fieldValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: fieldValidation.message,
+      });
+    }
+
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    const existingTemplate = await ChecklistTemplate.findOne({
+      where: { name: name.trim(), policeStationId: policeStation.id, isActive: true }
+    });
+    if (existingTemplate) {
+      return res.status(409).json({
+        success: false,
+        message: `Checklist template "${name.trim()}" already exists in police station ${policeStation.name}`,
+      });
+    }
+
+    const template = await ChecklistTemplate.create({
+      name: name.trim(),
+      description: description?.trim() || null,
+      policeStationId: policeStation.id,
+      fields: fieldValidation.fields,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist template created successfully',
+      data: template,
+    });
+  } catch (error) {
+    console.error('Create checklist template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create checklist template',
+      error: error.message,
+    });
+  }
+};
+
+// Get Checklist Templates (with pagination and police station filter)
+exports.getChecklistTemplates = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, policeStationId, search, includeInactive = 'false' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = {};
+    if (includeInactive !== 'true') whereClause.isActive = true;
+
+    // Filter by police station if provided, otherwise limit to the user's stations
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) whereClause.policeStationId = stationCondition;
+
+    if (search) whereClause.name = { [Op.iLike]: `%${search}%` };
+
+    const { count, rows: templates } = await ChecklistTemplate.findAndCountAll({
+      where: whereClause,
+      order: [['name', 'ASC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get checklist templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checklist templates',
+      error: error.message,
+    });
+  }
+};
+
+// Get Checklist Template by ID (with the checkpoints using it)
+exports.getChecklistTemplateById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid checklist template ID',
+      });
+    }
+
+    const template = await ChecklistTemplate.findByPk(id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist template not found',
+      });
+    }
+
+    const checkpoints = await Checkpoint.findAll({
+      where: { checklistTemplateId: template.id, isActive: true },
+      attributes: ['id', 'name', 'lat_long', 'policeStationId'],
+      order: [['name', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toJSON(),
+        checkpoints
+      }
+    });
+  } catch (error) {
+    console.error('Get checklist template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checklist template',
+      error: error.message,
+    });
+  }
+};
+
+// Update Checklist Template (changing fields starts a new version)
+exports.updateChecklistTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, fields } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid checklist template ID',
+      });
+    }
+
+    const template = await ChecklistTemplate.findByPk(id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist template not found',
+      });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'name cannot be empty',
+        });
+      }
+      const existingTemplate = await ChecklistTemplate.findOne({
+        where: {
+          name: name.trim(),
+          policeStationId: template.policeStationId,
+          isActive: true,
+          id: { [Op.ne]: template.id }
+        }
+      });
+      if (existingTemplate) {
+        return res.status(409).json({
+          success: false,
+          message: `Checklist template "${name.trim()}" already exists in this police station`,
+        });
+      }
+      updateData.name = name.trim();
+    }
+
+    if (description !== undefined) updateData.description = description?.trim() || null;
+
+    if (fields !== undefined) {
+      const fieldValidation = validateTemplateFields(fields);
+      if (!fieldValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: fieldValidation.message,
+        });
+      }
+      if (JSON.stringify(fieldValidation.fields) !== JSON.stringify(template.fields)) {
+        updateData.fields = fieldValidation.fields;
+        updateData.version = template.version + 1;
+      }
+    }
+
+    await template.update(updateData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist template updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    console.error('Update checklist template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update checklist template',
+      error: error.message,
+    });
+  }
+};
+
+// Delete Checklist Template (Soft delete)
+exports.deleteChecklistTemplate = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid checklist template ID',
+      });
+    }
+
+    const template = await ChecklistTemplate.findByPk(id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist template not found',
+      });
+    }
+
+    // Refuse while active checkpoints still use the template
+    const checkpointCount = await Checkpoint.count({ where: { checklistTemplateId: template.id, isActive: true } });
+    if (checkpointCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete a checklist template that is still attached to active checkpoints',
+        data: { activeCheckpoints: checkpointCount }
+      });
+    }
+
+    await template.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist template deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete checklist template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete checklist template',
+      error: error.message,
+    });
+  }
+};
+
+// Checklist answers aggregated per checkpoint (and optionally per day/week/month)
+exports.getChecklistReport = async (req, res) => {
+  try {
+    const { checkpointId, templateId, policeStationId, startDate, endDate, interval } = req.query;
+
+    if (interval && !REPORT_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `interval must be one of: ${REPORT_INTERVALS.join(', ')}`,
+      });
+    }
+
+    // Defaults to the last 30 days
+    const to = endDate ? new Date(endDate) : new Date();
+    const from = startDate ? new Date(startDate) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate and endDate must be valid dates with startDate before endDate',
+      });
+    }
+
+    const whereClause = {
+      checklistTemplateId: templateId ? parseInt(templateId) : { [Op.ne]: null },
+      scanTime: { [Op.between]: [from, to] },
+      isValid: true
+    };
+    if (checkpointId) whereClause.checkpointId = parseInt(checkpointId);
+
+    // Filter by police station if provided, otherwise limit to the user's stations
+    const checkpointWhere = {};
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) checkpointWhere.policeStationId = stationCondition;
+
+    const scans = await CheckpointScan.findAll({
+      where: whereClause,
+      attributes: ['id', 'checkpointId', 'checklistTemplateId', 'checklistVersion', 'checklistAnswers', 'scanTime'],
+      include: [{
+        model: Checkpoint,
+        where: checkpointWhere,
+        attributes: ['id', 'name', 'policeStationId']
+      }],
+      order: [['scanTime', 'DESC']],
+      limit: MAX_REPORT_SCANS
+    });
+
+    const templateIds = [...new Set(scans.map(scan => scan.checklistTemplateId))];
+    const templates = await ChecklistTemplate.findAll({ where: { id: { [Op.in]: templateIds } } });
+    const templatesById = Object.fromEntries(templates.map(template => [template.id, template]));
+
+    // One group per checkpoint and template
+    const groups = {};
+    scans.forEach(scan => {
+      const key = `${scan.checkpointId}:${scan.checklistTemplateId}`;
+      groups[key] = groups[key] || { checkpoint: scan.Checkpoint, templateId: scan.checklistTemplateId, scans: [] };
+      groups[key].scans.push(scan);
+    });
+
+    const report = Object.values(groups).map(group => {
+      const template = templatesById[group.templateId];
+      const fields = template ? template.fields : [];
+
+      const entry = {
+        checkpoint: {
+          id: group.checkpoint.id,
+          name: group.checkpoint.name,
+          policeStationId: group.checkpoint.policeStationId
+        },
+        template: template ? { id: template.id, name: template.name, version: template.version } : { id: group.templateId },
+        scans: group.scans.length,
+        firstScanAt: group.scans[group.scans.length - 1].scanTime,
+        lastScanAt: group.scans[0].scanTime,
+        fields: aggregateAnswers(fields, group.scans)
+      };
+
+      if (interval) {
+        const periods = {};
+        group.scans.forEach(scan => {
+          const period = getPeriodStart(new Date(scan.scanTime), interval);
+          (periods[period] = periods[period] || []).push(scan);
+        });
+        entry.series = Object.keys(periods).sort().map(period => ({
+          period,
+          scans: periods[period].length,
+          fields: aggregateAnswers(fields, periods[period])
+        }));
+      }
+
+      return entry;
+    });
+
+    report.sort((a, b) => b.scans - a.scans);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report,
+        range: { startDate: from, endDate: to, interval: interval || null },
+        totalScans: scans.length,
+        truncated: scans.length === MAX_REPORT_SCANS
+      }
+    });
+  } catch (error) {
+    console.error('Get checklist report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build checklist report',
+      error: error.message,
+    });
+  }
+};
@@ -3,40 +3,103 @@ const Checkpoint = require('../models/Checkpoint');
 const RouteAssignment = require('../models/RouteAssignment');
 const Route = require('../models/Route');
 const CheckpointScan = require('../models/CheckpointScan');
+const QrCodeRevocation = require('../models/QrCodeRevocation');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const User = require('../models/User');
+const sequelize = require('../config/database');
 const QRCode = require('qrcode');
 const crypto = require('crypto');
 const { Op } = require('sequelize');
-const { uploadFileToS3 } = require('../middlewares/uploadMiddleware');
+const { getFileType } = require('../middlewares/uploadMiddleware');
+const { findActivePoliceStation, getPoliceStationName, toStationSummary } = require('../services/policeStationService');
+const { scopedStationCondition, hasStationAccess } = require('../middlewares/stationScopeMiddleware');
+const { buildCheckpointQrPayload } = require('../services/qrSigningService');
+const { validateLatLong, validatePolygonGeometry } = require('../services/geoService');
+const { processCheckpointScan, findScanByIdempotencyKey, validateCapturedAt, revokeScanProgress } = require('../services/scanService');
+const { TIME_WINDOW_POLICIES, validateTimeWindows, validateMinDwellMinutes } = require('../services/checkpointScheduleService');
+
+const MAX_SCAN_BATCH_SIZE = 100;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_:-]{8,128}$/;
+
+// Group offline batch files (field name media[<idempotencyKey>]) by scan and media type
+const groupBatchMedia = (files) => {
+  const mediaByKey = {};
+  (files || []).forEach(file => {
+    const match = /^media\[(.+)\]$/.exec(file.fieldname);
+    const type = getFileType(file.mimetype);
+    if (!match || type === 'others') return;
+
+    const key = match[1];
+    mediaByKey[key] = mediaByKey[key] || { images: [], videos: [], audios: [] };
+    mediaByKey[key][type].push(file);
+  });
+  return mediaByKey;
+};
+
+const MAX_GEOFENCE_BUFFER = 500;
 
-// Helper function to validate lat_long format
-const validateLatLong = (latLong) => {
-  if (!latLong || typeof latLong !== 'string') {
-    return { valid: false, message: 'lat_long must be a string' };
+// Validate the optional polygon geofence fields (geofence: null clears it)
+const validateGeofenceFields = ({ geofence, geofenceBuffer }) => {
+  if (geofence !== undefined && geofence !== null) {
+    const geometry = validatePolygonGeometry(geofence, 'geofence');
+    if (!geometry.valid) return geometry;
   }
 
-  const parts = latLong.split(',');
-  if (parts.length !== 2) {
-    return { valid: false, message: 'lat_long must be in format "latitude,longitude"' };
+  if (geofenceBuffer !== undefined && geofenceBuffer !== null) {
+    const buffer = Number(geofenceBuffer);
+    if (!Number.isInteger(buffer) || buffer < 0 || buffer > MAX_GEOFENCE_BUFFER) {
+      return { valid: false, message: `geofenceBuffer must be an integer between 0 and ${MAX_GEOFENCE_BUFFER} meters` };
+    }
   }
 
-  const lat = parseFloat(parts[0].trim());
-  const lng = parseFloat(parts[1].trim());
+  return { valid: true };
+};
 
-  if (isNaN(lat) || isNaN(lng)) {
-    return { valid: false, message: 'Invalid latitude or longitude values' };
-  }
+// Validate the optional time window and dwell fields
+const validateScheduleFields = ({ timeWindows, timeWindowPolicy, minDwellMinutes }) => {
+  const windows = validateTimeWindows(timeWindows);
+  if (!windows.valid) return windows;
 
-  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-    return { valid: false, message: 'Latitude must be between -90 and 90, longitude between -180 and 180' };
+  if (timeWindowPolicy !== undefined && !TIME_WINDOW_POLICIES.includes(timeWindowPolicy)) {
+    return { valid: false, message: `timeWindowPolicy must be one of: ${TIME_WINDOW_POLICIES.join(', ')}` };
   }
 
-  return { valid: true, latitude: lat, longitude: lng };
+  return validateMinDwellMinutes(minDwellMinutes);
+};
+
+// A checkpoint's checklist must be an active template of the checkpoint's own station
+const validateChecklistTemplate = async (checklistTemplateId, policeStationId) => {
+  if (checklistTemplateId === undefined || checklistTemplateId === null) return { valid: true };
+
+  const template = isNaN(checklistTemplateId) ? null : await ChecklistTemplate.findByPk(checklistTemplateId);
+  if (!template || !template.isActive) {
+    return { valid: false, status: 404, message: 'Checklist template not found' };
+  }
+  if (template.policeStationId !== Number(policeStationId)) {
+    return { valid: false, status: 400, message: 'Checklist template belongs to a different police station' };
+  }
+  return { valid: true };
 };
 
+// Generate a unique QR code identifier
+const generateQrCodeId = () => `CP_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
 // Create Checkpoint
 exports.createCheckpoint = async (req, res) => {
   try {
-    const { name, description, lat_long, address, policeStationId } = req.body;
+    const {
+      name,
+      description,
+      lat_long,
+      address,
+      policeStationId,
+      geofence,
+      geofenceBuffer,
+      timeWindows,
+      timeWindowPolicy,
+      minDwellMinutes,
+      checklistTemplateId
+    } = req.body;
 
     // Input validation
     if (!name || !lat_long || !policeStationId) {
@@ -65,18 +128,49 @@ exports.createCheckpoint = async (req, res) => {
 
     const { latitude, longitude } = latLongValidation;
 
+    const geofenceValidation = validateGeofenceFields({ geofence, geofenceBuffer });
+    if (!geofenceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: geofenceValidation.message,
+      });
+    }
+
+    const scheduleValidation = validateScheduleFields({ timeWindows, timeWindowPolicy, minDwellMinutes });
+    if (!scheduleValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleValidation.message,
+      });
+    }
+
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    const templateValidation = await validateChecklistTemplate(checklistTemplateId, policeStationId);
+    if (!templateValidation.valid) {
+      return res.status(templateValidation.status).json({
+        success: false,
+        message: templateValidation.message,
+      });
+    }
+
     // Generate unique QR code identifier
-    const qrCodeId = `CP_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    const qrCodeId = generateQrCodeId();
 
-    // Create QR code data with lat_long included
-    const qrData = JSON.stringify({
-      id: qrCodeId,
-      name: name,
-      lat_long: lat_long,
-      latitude: latitude,
-      longitude: longitude,
-      policeStationId: Number(policeStationId),
-      type: 'checkpoint'
+    // Create signed QR code data with lat_long included
+    const qrData = buildCheckpointQrPayload({
+      qrCode: qrCodeId,
+      name,
+      lat_long,
+      latitude,
+      longitude,
+      policeStationId
     });
 
     // Generate QR code as data URL
@@ -92,6 +186,12 @@ exports.createCheckpoint = async (req, res) => {
       address,
       policeStationId: Number(policeStationId),
       scanRadius: 100, // Default 100 meters
+      geofence: geofence || null,
+      geofenceBuffer: geofenceBuffer !== undefined && geofenceBuffer !== null ? Number(geofenceBuffer) : 0,
+      timeWindows: timeWindows || null,
+      timeWindowPolicy: timeWindowPolicy || 'reject',
+      minDwellMinutes: minDwellMinutes ? Number(minDwellMinutes) : null,
+      checklistTemplateId: checklistTemplateId ? Number(checklistTemplateId) : null,
       qrCode: qrCodeId,
       qrCodeUrl,
     });
@@ -101,6 +201,7 @@ exports.createCheckpoint = async (req, res) => {
       message: 'Checkpoint created successfully',
       data: {
         ...checkpoint.toJSON(),
+        policeStation: toStationSummary(policeStation),
         extracted_coordinates: {
           latitude: latitude,
           longitude: longitude
@@ -125,9 +226,10 @@ exports.getAllCheckpoints = async (req, res) => {
 
     const whereClause = { isActive: true };
 
-    // Filter by police station if provided
-    if (policeStationId) {
-      whereClause.policeStationId = parseInt(policeStationId);
+    // Filter by police station if provided, otherwise limit to the user's stations
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) {
+      whereClause.policeStationId = stationCondition;
     }
 
     // Add search functionality
@@ -193,7 +295,12 @@ exports.getCheckpointById = async (req, res) => {
       });
     }
 
-    const checkpoint = await Checkpoint.findByPk(id);
+    const checkpoint = await Checkpoint.findByPk(id, {
+      include: [{
+        model: ChecklistTemplate,
+        attributes: ['id', 'name', 'version', 'fields', 'isActive']
+      }]
+    });
 
     if (!checkpoint || !checkpoint.isActive) {
       return res.status(404).json({
@@ -265,10 +372,60 @@ exports.updateCheckpoint = async (req, res) => {
         });
       }
       updateData.policeStationId = Number(updateData.policeStationId);
+
+      const policeStation = await findActivePoliceStation(updateData.policeStationId);
+      if (!policeStation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Police station not found',
+        });
+      }
+    }
+
+    // Validate geofence / geofenceBuffer if provided
+    const geofenceValidation = validateGeofenceFields(updateData);
+    if (!geofenceValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: geofenceValidation.message,
+      });
+    }
+    if (updateData.geofenceBuffer !== undefined) {
+      updateData.geofenceBuffer = updateData.geofenceBuffer === null ? 0 : Number(updateData.geofenceBuffer);
+    }
+
+    // Validate time windows / dwell if provided
+    const scheduleValidation = validateScheduleFields(updateData);
+    if (!scheduleValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleValidation.message,
+      });
+    }
+    if (updateData.minDwellMinutes !== undefined) {
+      updateData.minDwellMinutes = updateData.minDwellMinutes ? Number(updateData.minDwellMinutes) : null;
+    }
+
+    // Re-check the checklist when it or the station changes (checklistTemplateId: null detaches it)
+    if (updateData.checklistTemplateId !== undefined || updateData.policeStationId) {
+      const templateId = updateData.checklistTemplateId !== undefined ? updateData.checklistTemplateId : checkpoint.checklistTemplateId;
+      const templateValidation = await validateChecklistTemplate(templateId, updateData.policeStationId || checkpoint.policeStationId);
+      if (!templateValidation.valid) {
+        return res.status(templateValidation.status).json({
+          success: false,
+          message: templateValidation.message,
+        });
+      }
+      if (updateData.checklistTemplateId !== undefined) {
+        updateData.checklistTemplateId = updateData.checklistTemplateId ? Number(updateData.checklistTemplateId) : null;
+      }
     }
 
     // Filter out sensitive fields
-    const allowedFields = ['name', 'description', 'lat_long', 'address', 'scanRadius', 'policeStationId'];
+    const allowedFields = [
+      'name', 'description', 'lat_long', 'address', 'scanRadius', 'geofence', 'geofenceBuffer',
+      'timeWindows', 'timeWindowPolicy', 'minDwellMinutes', 'checklistTemplateId', 'policeStationId'
+    ];
     const filteredData = Object.keys(updateData)
       .filter(key => allowedFields.includes(key))
       .reduce((obj, key) => {
@@ -297,15 +454,14 @@ exports.updateCheckpoint = async (req, res) => {
 
       const { latitude, longitude } = latLongValidation;
 
-      // Create new QR code data with updated information
-      const qrData = JSON.stringify({
-        id: checkpoint.qrCode, // Keep the same QR code ID
+      // Create new signed QR code data with updated information
+      const qrData = buildCheckpointQrPayload({
+        qrCode: checkpoint.qrCode, // Keep the same QR code ID
         name: updatedName,
         lat_long: updatedLatLong,
-        latitude: latitude,
-        longitude: longitude,
-        policeStationId: updatedPoliceStationId,
-        type: 'checkpoint'
+        latitude,
+        longitude,
+        policeStationId: updatedPoliceStationId
       });
 
       // Generate new QR code URL
@@ -404,13 +560,19 @@ exports.getCheckpointQRCode = async (req, res) => {
       });
     }
 
+    const policeStationName = await getPoliceStationName(checkpoint.policeStationId);
+
     res.status(200).json({
       success: true,
       data: {
         checkpointId: checkpoint.id,
         name: checkpoint.name,
         lat_long: checkpoint.lat_long,
+        scanRadius: checkpoint.scanRadius,
+        geofence: checkpoint.geofence,
+        geofenceBuffer: checkpoint.geofenceBuffer,
         policeStationId: checkpoint.policeStationId,
+        policeStationName: policeStationName,
         qrCode: checkpoint.qrCode,
         qrCodeUrl: checkpoint.qrCodeUrl,
         createdAt: checkpoint.createdAt
@@ -426,10 +588,146 @@ exports.getCheckpointQRCode = async (req, res) => {
   }
 };
 
+// Rotate QR Code - issues a new code and revokes the current one
+exports.rotateCheckpointQRCode = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid checkpoint ID',
+      });
+    }
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason is required',
+      });
+    }
+
+    const checkpoint = await Checkpoint.findByPk(id);
+    if (!checkpoint || !checkpoint.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkpoint not found',
+      });
+    }
+
+    const latLongValidation = validateLatLong(checkpoint.lat_long);
+    if (!latLongValidation.valid) {
+      return res.status(500).json({
+        success: false,
+        message: 'Invalid checkpoint coordinates',
+      });
+    }
+
+    const { latitude, longitude } = latLongValidation;
+    const previousQrCode = checkpoint.qrCode;
+    const newQrCode = generateQrCodeId();
+
+    const qrData = buildCheckpointQrPayload({
+      qrCode: newQrCode,
+      name: checkpoint.name,
+      lat_long: checkpoint.lat_long,
+      latitude,
+      longitude,
+      policeStationId: checkpoint.policeStationId
+    });
+
+    const qrCodeUrl = await QRCode.toDataURL(qrData, {
+      width: 300,
+      margin: 2,
+    });
+
+    await sequelize.transaction(async (transaction) => {
+      if (previousQrCode) {
+        await QrCodeRevocation.create({
+          checkpointId: checkpoint.id,
+          qrCode: previousQrCode,
+          replacedBy: newQrCode,
+          reason: reason.trim(),
+          revokedBy: req.user.id
+        }, { transaction });
+      }
+
+      await checkpoint.update({ qrCode: newQrCode, qrCodeUrl }, { transaction });
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'QR code rotated successfully. Reprint and replace the checkpoint QR code.',
+      data: {
+        checkpointId: checkpoint.id,
+        qrCode: checkpoint.qrCode,
+        qrCodeUrl: checkpoint.qrCodeUrl,
+        revokedQrCode: previousQrCode
+      },
+    });
+  } catch (error) {
+    console.error('Rotate QR code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate QR code',
+      error: error.message,
+    });
+  }
+};
+
+// Get QR Code revocation history
+exports.getQRCodeRevocations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid checkpoint ID',
+      });
+    }
+
+    const checkpoint = await Checkpoint.findByPk(id, { attributes: ['id', 'qrCode'] });
+    if (!checkpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkpoint not found',
+      });
+    }
+
+    const revocations = await QrCodeRevocation.findAll({
+      where: { checkpointId: checkpoint.id },
+      include: [{
+        model: User,
+        as: 'revoker',
+        attributes: ['id', 'username', 'smartusername']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        checkpointId: checkpoint.id,
+        currentQrCode: checkpoint.qrCode,
+        revocations
+      },
+    });
+  } catch (error) {
+    console.error('Get QR code revocations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch QR code revocations',
+      error: error.message,
+    });
+  }
+};
+
 // Get Checkpoint Scan History
 exports.getCheckpointScans = async (req, res) => {
   try {
-    const { checkpointId, userId, assignmentId, policeStationId } = req.query;
+    const { checkpointId, userId, assignmentId, policeStationId, riskLevel, reviewStatus } = req.query;
     const { page = 1, limit = 10 } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -445,8 +743,15 @@ exports.getCheckpointScans = async (req, res) => {
     if (assignmentId) {
       whereClause.routeAssignmentId = assignmentId;
     }
-    if (policeStationId) {
-      checkpointWhere.policeStationId = parseInt(policeStationId);
+    if (riskLevel) {
+      whereClause.riskLevel = riskLevel;
+    }
+    if (reviewStatus) {
+      whereClause.reviewStatus = reviewStatus;
+    }
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) {
+      checkpointWhere.policeStationId = stationCondition;
     }
 
     const { count, rows: scans } = await CheckpointScan.findAndCountAll({
@@ -485,6 +790,144 @@ exports.getCheckpointScans = async (req, res) => {
   }
 };
 
+// Get Scan Review Queue (flagged scans waiting for a supervisor)
+exports.getScanReviewQueue = async (req, res) => {
+  try {
+    const { policeStationId, riskLevel, status = 'pending' } = req.query;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = { reviewStatus: status };
+    if (riskLevel) {
+      whereClause.riskLevel = riskLevel;
+    }
+
+    const checkpointWhere = {};
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) {
+      checkpointWhere.policeStationId = stationCondition;
+    }
+
+    const { count, rows: scans } = await CheckpointScan.findAndCountAll({
+      where: whereClause,
+      order: [['riskScore', 'DESC'], ['scanTime', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset,
+      include: [
+        {
+          model: Checkpoint,
+          attributes: ['id', 'name', 'lat_long', 'address', 'policeStationId'],
+          where: Object.keys(checkpointWhere).length > 0 ? checkpointWhere : undefined
+        },
+        {
+          model: User,
+          attributes: ['id', 'username', 'smartusername', 'smartuserrank']
+        }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scans: scans,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scan review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scan review queue',
+      error: error.message,
+    });
+  }
+};
+
+// Review a flagged scan (approve, or reject to mark it invalid)
+exports.reviewScan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, notes } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scan ID',
+      });
+    }
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'decision must be "approved" or "rejected"',
+      });
+    }
+
+    const scan = await CheckpointScan.findByPk(id);
+    if (!scan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scan not found',
+      });
+    }
+
+    if (scan.reviewStatus !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: scan.reviewStatus === 'not_required'
+          ? 'This scan was not flagged for review'
+          : `This scan has already been ${scan.reviewStatus}`,
+      });
+    }
+
+    // Only the first reviewer decides; a rejected scan no longer counts towards progress
+    const progressRevoked = await sequelize.transaction(async (transaction) => {
+      const [updated] = await CheckpointScan.update({
+        reviewStatus: decision,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNotes: notes || null,
+        isValid: decision === 'approved'
+      }, { where: { id: scan.id, reviewStatus: 'pending' }, transaction });
+      if (updated === 0) return null;
+
+      if (decision === 'approved') return { checkpointId: scan.checkpointId, assignmentIds: [] };
+      await scan.reload({ transaction });
+      return revokeScanProgress(scan, transaction);
+    });
+
+    if (!progressRevoked) {
+      return res.status(409).json({
+        success: false,
+        message: 'This scan has already been reviewed',
+      });
+    }
+
+    await scan.reload();
+
+    res.status(200).json({
+      success: true,
+      message: `Scan ${decision}`,
+      data: {
+        ...scan.toJSON(),
+        progressRevokedFrom: progressRevoked.assignmentIds
+      }
+    });
+  } catch (error) {
+    console.error('Review scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review scan',
+      error: error.message,
+    });
+  }
+};
+
 // Get Single Scan Details
 exports.getScanById = async (req, res) => {
   try {
@@ -540,7 +983,26 @@ exports.getScanById = async (req, res) => {
 // Scan QR Code - WITH NOTES AND MEDIA SUPPORT
 exports.scanQRCode = async (req, res) => {
   try {
-    const { qrData, userLatLong, assignmentId, notes, userId, routeId } = req.body;
+    const {
+      qrData,
+      userLatLong,
+      assignmentId,
+      notes,
+      routeId,
+      gpsAccuracy,
+      isMockLocation,
+      skipReason,
+      checklistAnswers
+    } = req.body;
+
+    // Scans are always recorded against the authenticated officer
+    if (req.body.userId && String(req.body.userId) !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only scan checkpoints for your own assignments',
+      });
+    }
+    const userId = req.user.id;
 
     // Input validation
     if (!userId || !qrData || !userLatLong || !assignmentId || !routeId) {
@@ -550,260 +1012,175 @@ exports.scanQRCode = async (req, res) => {
       });
     }
 
-    // Validate user coordinates
-    const userLatLongValidation = validateLatLong(userLatLong);
-    if (!userLatLongValidation.valid) {
-      return res.status(400).json({
+    const result = await processCheckpointScan(req, {
+      userId,
+      qrData,
+      userLatLong,
+      assignmentId,
+      routeId,
+      notes,
+      files: req.files,
+      gpsAccuracy,
+      isMockLocation,
+      skipReason,
+      checklistAnswers
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: `Invalid userLatLong: ${userLatLongValidation.message}`,
+        message: result.message,
+        error: result.error,
+        data: result.data
       });
     }
 
-    const { latitude: userLat, longitude: userLng } = userLatLongValidation;
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Scan QR code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan QR code',
+      error: error.message,
+    });
+  }
+};
 
-    // Parse QR code data
-    let qrInfo;
-    try {
-      qrInfo = JSON.parse(qrData);
-    } catch (e) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid QR code format',
-      });
+// Sync a batch of scans captured offline.
+// Body (JSON, or multipart with a `scans` JSON field): { scans: [{ idempotencyKey,
+// capturedAt, qrData, userLatLong, assignmentId, routeId?, notes?, gpsAccuracy?,
+// isMockLocation?, skipReason?, checklistAnswers? }] }.
+// Media files are attached as media[<idempotencyKey>].
+exports.syncScanBatch = async (req, res) => {
+  try {
+    let scans = req.body.scans;
+    if (typeof scans === 'string') {
+      try {
+        scans = JSON.parse(scans);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'scans must be a JSON array',
+        });
+      }
     }
 
-    // Validate QR code structure
-    if (!qrInfo.id || !qrInfo.type || qrInfo.type !== 'checkpoint') {
+    if (!Array.isArray(scans) || scans.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid checkpoint QR code',
+        message: 'scans must be a non-empty array',
       });
     }
 
-    // Find checkpoint by QR code
-    const checkpoint = await Checkpoint.findOne({
-      where: { qrCode: qrInfo.id, isActive: true }
-    });
-
-    if (!checkpoint) {
-      return res.status(404).json({
+    if (scans.length > MAX_SCAN_BATCH_SIZE) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid or inactive checkpoint QR code',
+        message: `A batch can contain at most ${MAX_SCAN_BATCH_SIZE} scans`,
       });
     }
 
-    const checkpointLat = checkpoint.getLatitude();
-    const checkpointLng = checkpoint.getLongitude();
-
-    // Calculate distance using Haversine formula
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = userLat * Math.PI / 180;
-    const φ2 = checkpointLat * Math.PI / 180;
-    const Δφ = (checkpointLat - userLat) * Math.PI / 180;
-    const Δλ = (checkpointLng - userLng) * Math.PI / 180;
+    const userId = req.user.id;
+    const mediaByKey = groupBatchMedia(req.files);
+    const results = new Array(scans.length);
 
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-      Math.cos(φ1) * Math.cos(φ2) *
-      Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c;
-
-    const scanRadius = checkpoint.scanRadius || 100;
-    const isWithinRadius = distance <= scanRadius;
-
-    if (!isWithinRadius) {
-      return res.status(400).json({
-        success: false,
-        message: `You are ${Math.round(distance)} meters away. Move within ${scanRadius} meters to scan.`,
-        data: {
-          distance: Math.round(distance),
-          requiredRadius: scanRadius,
-          checkpoint_lat_long: checkpoint.lat_long,
-          user_lat_long: userLatLong,
-          policeStationId: checkpoint.policeStationId
-        }
-      });
-    }
+    // Validate every item first, then process the valid ones in capture order
+    const queue = [];
+    scans.forEach((scan, index) => {
+      const item = scan || {};
+      const base = { index, idempotencyKey: item.idempotencyKey || null };
 
-    // Get route assignment and update progress
-    const assignment = await RouteAssignment.findOne({
-      where: {
-        id: assignmentId,
-        userId: userId,
-        isActive: true,
-        status: 'in_progress'
+      if (typeof item.idempotencyKey !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(item.idempotencyKey)) {
+        results[index] = { ...base, status: 'rejected', httpStatus: 400, error: 'INVALID_IDEMPOTENCY_KEY', message: 'idempotencyKey must be 8-128 characters of letters, digits, "-", "_" or ":"' };
+        return;
+      }
+      if (!item.qrData || !item.userLatLong || !item.assignmentId) {
+        results[index] = { ...base, status: 'rejected', httpStatus: 400, error: 'MISSING_FIELDS', message: 'qrData, userLatLong, and assignmentId are required' };
+        return;
       }
-    });
-
-    if (!assignment) {
-      return res.status(404).json({
-        success: false,
-        message: 'No active route assignment found. Please start your route first.',
-      });
-    }
 
-    // Get route details
-    const route = await Route.findByPk(assignment.routeId);
-    if (!route) {
-      return res.status(404).json({
-        success: false,
-        message: 'Route not found',
-      });
-    }
+      const capture = validateCapturedAt(item.capturedAt);
+      if (!capture.success) {
+        results[index] = { ...base, status: 'rejected', httpStatus: capture.status, error: capture.error, message: capture.message };
+        return;
+      }
 
-    // Check if checkpoint is part of the route
-    if (!route.checkpoints.includes(checkpoint.id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'This checkpoint is not part of your assigned route',
-      });
-    }
+      queue.push({ index, item, capturedAt: capture.capturedAt });
+    });
 
-    // Check if already scanned
-    const completedCheckpoints = assignment.completedCheckpoints || [];
-    if (completedCheckpoints.includes(checkpoint.id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'This checkpoint has already been scanned',
-      });
-    }
+    queue.sort((a, b) => a.capturedAt - b.capturedAt || a.index - b.index);
 
-    // Process uploaded files and upload to S3
-    const uploadedFiles = {
-      images: [],
-      videos: [],
-      audios: []
-    };
+    for (const { index, item, capturedAt } of queue) {
+      const base = { index, idempotencyKey: item.idempotencyKey };
 
-    if (req.files) {
       try {
-        // Upload images to S3
-        if (req.files.images && req.files.images.length > 0) {
-          const imagePromises = req.files.images.map(file =>
-            uploadFileToS3(file, userId, checkpoint.id)
-          );
-          uploadedFiles.images = await Promise.all(imagePromises);
+        // Retries of scans that were already stored return the original scan
+        const existing = await findScanByIdempotencyKey(userId, item.idempotencyKey);
+        if (existing) {
+          results[index] = { ...base, status: 'duplicate', httpStatus: 200, scanId: existing.id, message: 'Scan already synced' };
+          continue;
         }
 
-        // Upload videos to S3
-        if (req.files.videos && req.files.videos.length > 0) {
-          const videoPromises = req.files.videos.map(file =>
-            uploadFileToS3(file, userId, checkpoint.id)
-          );
-          uploadedFiles.videos = await Promise.all(videoPromises);
-        }
+        const result = await processCheckpointScan(req, {
+          userId,
+          qrData: item.qrData,
+          userLatLong: item.userLatLong,
+          assignmentId: item.assignmentId,
+          routeId: item.routeId,
+          notes: item.notes,
+          files: mediaByKey[item.idempotencyKey],
+          gpsAccuracy: item.gpsAccuracy,
+          isMockLocation: item.isMockLocation,
+          skipReason: item.skipReason,
+          checklistAnswers: item.checklistAnswers,
+          source: 'offline',
+          capturedAt,
+          idempotencyKey: item.idempotencyKey,
+          canAccessStation: (policeStationId) => hasStationAccess(req, policeStationId)
+        });
 
-        // Upload audios to S3
-        if (req.files.audios && req.files.audios.length > 0) {
-          const audioPromises = req.files.audios.map(file =>
-            uploadFileToS3(file, userId, checkpoint.id)
-          );
-          uploadedFiles.audios = await Promise.all(audioPromises);
+        if (result.success) {
+          results[index] = result.duplicate
+            ? { ...base, status: 'duplicate', httpStatus: 200, scanId: result.data.scanId, message: result.message }
+            : { ...base, status: 'created', httpStatus: 201, scanId: result.data.scanId, message: result.message, data: result.data };
+        } else {
+          // 5xx results are transient and can be retried; everything else is final
+          results[index] = {
+            ...base,
+            status: result.status >= 500 ? 'failed' : 'rejected',
+            httpStatus: result.status,
+            error: result.error,
+            message: result.message,
+            data: result.data
+          };
         }
-      } catch (uploadError) {
-        console.error('File upload error:', uploadError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to upload media files',
-          error: uploadError.message
-        });
+      } catch (error) {
+        console.error(`Offline scan sync error (${item.idempotencyKey}):`, error);
+        results[index] = { ...base, status: 'failed', httpStatus: 500, error: error.message, message: 'Failed to process scan' };
       }
     }
 
-    // Save checkpoint scan details with notes and media
-    const checkpointScan = await CheckpointScan.create({
-      userId: userId,
-      checkpointId: checkpoint.id,
-      routeAssignmentId: assignmentId,
-      routeId: routeId,
-      userLatLong: userLatLong,
-      distance: Math.round(distance),
-      notes: notes || null,
-      images: uploadedFiles.images,
-      videos: uploadedFiles.videos,
-      audios: uploadedFiles.audios,
-      metadata: {
-        userAgent: req.headers['user-agent'],
-        scanTime: new Date().toISOString(),
-        scanRadius: scanRadius,
-        policeStationId: checkpoint.policeStationId
-      },
-      isValid: true
-    });
-
-    // Update completed checkpoints
-    const newCompletedCheckpoints = [...completedCheckpoints, checkpoint.id];
-    const totalCheckpoints = route.checkpoints.length;
-    const isRouteCompleted = newCompletedCheckpoints.length === totalCheckpoints;
-
-    // Update assignment
-    const updateData = {
-      completedCheckpoints: newCompletedCheckpoints,
-      status: isRouteCompleted ? 'completed' : 'in_progress'
-    };
-
-    if (isRouteCompleted) {
-      updateData.endDate = new Date();
-      updateData.notes = `Route completed at ${new Date().toLocaleString()}`;
-    }
-
-    await assignment.update(updateData);
-
-    // Calculate progress
-    const progress = {
-      totalCheckpoints: totalCheckpoints,
-      completedCheckpoints: newCompletedCheckpoints.length,
-      percentage: Math.round((newCompletedCheckpoints.length / totalCheckpoints) * 100),
-      isCompleted: isRouteCompleted,
-      remainingCheckpoints: route.checkpoints.filter(id => !newCompletedCheckpoints.includes(id))
-    };
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { total: results.length, created: 0, duplicate: 0, rejected: 0, failed: 0 });
 
     res.status(200).json({
       success: true,
-      message: isRouteCompleted ?
-        'Checkpoint scanned! Route completed successfully!' :
-        'Checkpoint scanned successfully',
+      message: `Synced ${summary.created + summary.duplicate} of ${summary.total} scans`,
       data: {
-        scanId: checkpointScan.id,
-        checkpoint: {
-          id: checkpoint.id,
-          name: checkpoint.name,
-          address: checkpoint.address,
-          lat_long: checkpoint.lat_long,
-          policeStationId: checkpoint.policeStationId,
-        },
-        distance: Math.round(distance),
-        scanRadius: scanRadius,
-        assignment: {
-          id: assignment.id,
-          status: assignment.status
-        },
-        progress: progress,
-        timestamp: new Date().toISOString(),
-        coordinates: {
-          checkpoint_lat_long: checkpoint.lat_long,
-          user_lat_long: userLatLong
-        },
-        scanDetails: {
-          notes: notes || null,
-          mediaUploaded: {
-            images: uploadedFiles.images.length,
-            videos: uploadedFiles.videos.length,
-            audios: uploadedFiles.audios.length
-          },
-          mediaUrls: {
-            images: uploadedFiles.images,
-            videos: uploadedFiles.videos,
-            audios: uploadedFiles.audios
-          }
-        }
+        summary,
+        results
       }
     });
   } catch (error) {
-    console.error('Scan QR code error:', error);
+    console.error('Sync scan batch error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to scan QR code',
+      message: 'Failed to sync scans',
       error: error.message,
     });
   }
@@ -824,6 +1201,14 @@ exports.getCheckpointsByPoliceStation = async (req, res) => {
       });
     }
 
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const whereClause = {
       isActive: true,
@@ -858,9 +1243,10 @@ exports.getCheckpointsByPoliceStation = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Found ${count} checkpoints for police station ${policeStationId}`,
+      message: `Found ${count} checkpoints for police station ${policeStation.name}`,
       data: {
         policeStationId: parseInt(policeStationId),
+        policeStation: toStationSummary(policeStation),
         checkpoints: checkpointsWithCoords,
         pagination: {
           total: count,
@@ -919,7 +1305,7 @@ exports.downloadCheckpointQRCode = async (req, res) => {
     console.log(`📍 Found checkpoint: "${checkpoint.name}" (ID: ${checkpoint.id})`);
 
     // Fetch police station name
-    const policeStationName = await getPoliceStationNameFromDatabase(checkpoint.policeStationId);
+    const policeStationName = await getPoliceStationName(checkpoint.policeStationId);
 
     const latLongValidation = validateLatLong(checkpoint.lat_long);
     if (!latLongValidation.valid) {
@@ -931,15 +1317,14 @@ exports.downloadCheckpointQRCode = async (req, res) => {
 
     const { latitude, longitude } = latLongValidation;
 
-    // Create QR code data
-    const qrData = JSON.stringify({
-      id: checkpoint.qrCode,
+    // Create signed QR code data
+    const qrData = buildCheckpointQrPayload({
+      qrCode: checkpoint.qrCode,
       name: checkpoint.name,
       lat_long: checkpoint.lat_long,
-      latitude: latitude,
-      longitude: longitude,
-      policeStationId: checkpoint.policeStationId,
-      type: 'checkpoint'
+      latitude,
+      longitude,
+      policeStationId: checkpoint.policeStationId
     });
 
     // ENHANCED FILENAME GENERATION WITH CHECKPOINT NAME
@@ -1222,54 +1607,6 @@ function escapeXmlText(text) {
     .replace(/'/g, '&#39;');
 }
 
-// FIXED - Enhanced police station function
-async function getPoliceStationNameFromDatabase(policeStationId) {
-  try {
-    console.log(`🔍 Fetching police station name for ID: ${policeStationId}`);
-    
-    // Try database first
-    try {
-      const PoliceStation = require('../models/PoliceStation');
-      const policeStation = await PoliceStation.findByPk(policeStationId, {
-        attributes: ['id', 'name']
-      });
-
-      if (policeStation && policeStation.name) {
-        console.log(`✅ Found police station from DB: "${policeStation.name}"`);
-        return policeStation.name.trim().toUpperCase();
-      }
-    } catch (dbError) {
-      console.log(`⚠️ Database fetch failed, using static mapping`);
-    }
-    
-    // Static mapping
-    const policeStations = {
-      1: 'KOTWALI', 2: 'TOFFKHANA', 3: 'BHINGAR CAMP', 4: 'MIDC',
-      5: 'NAGAR TALUKA', 6: 'PARNER', 7: 'SUPA', 8: 'KARJAT',
-      9: 'SHRIGONDA', 10: 'BELVANDI', 11: 'JAMKHED', 12: 'KHARDA',
-      13: 'MIRAJGAON', 14: 'SHEVGAON', 15: 'PATHARDI', 16: 'NEVASA',
-      17: 'SONAI', 18: 'SHANI SHINGNAPUR', 19: 'SHRIRAMPUR', 20: 'SHRIRAMPUR RURAL',
-      21: 'RAHURI', 22: 'KOPARGAON CITY', 23: 'KOPARGAON TALUKA', 24: 'SHIRDI',
-      25: 'RAHATA', 26: 'LONI', 27: 'SANGAMNER CITY', 28: 'SANGAMNER TALUKA',
-      29: 'GHARGAON', 30: 'AKOLE', 31: 'RAJUR', 32: 'ASHVI'
-    };
-    
-    const stationName = policeStations[policeStationId];
-    
-    if (stationName) {
-      console.log(`✅ Found police station from mapping: "${stationName}"`);
-      return stationName;
-    } else {
-      console.log(`⚠️ Police station not found for ID: ${policeStationId}`);
-      return `POLICE STATION ${policeStationId}`;
-    }
-
-  } catch (error) {
-    console.error(`❌ Error fetching police station name:`, error);
-    return `POLICE STATION ${policeStationId}`;
-  }
-}
-
 // FIXED - Logo loading function with correct path
 function getLogoAsBase64() {
   try {
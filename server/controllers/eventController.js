@@ -0,0 +1,105 @@
+// controllers/eventController.js
+const { hasStationAccess } = require('../middlewares/stationScopeMiddleware');
+const { isSessionActive } = require('../services/tokenService');
+const {
+  STATION_EVENT_TYPES,
+  subscribeStationEvents,
+  getEventsSince
+} = require('../services/stationEventService');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Stream control messages carry no id so they never reset the client's Last-Event-ID
+const writeEvent = (res, event) => {
+  res.write(`${event.id ? `id: ${event.id}\n` : ''}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Server-Sent Events feed of station events (assignments, scans, SOS) limited to the
+// subscriber's station scope. Optional filters: policeStationId, types (comma list).
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to replay missed events.
+exports.streamStationEvents = async (req, res) => {
+  try {
+    const { policeStationId, types, lastEventId } = req.query;
+
+    const requestedStationId = policeStationId ? parseInt(policeStationId) : null;
+    if (policeStationId && (!Number.isInteger(requestedStationId) || requestedStationId <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'policeStationId must be a valid positive integer',
+      });
+    }
+
+    const requestedTypes = types ? types.split(',').map(type => type.trim()).filter(Boolean) : null;
+    if (requestedTypes && requestedTypes.some(type => !STATION_EVENT_TYPES.includes(type))) {
+      return res.status(400).json({
+        success: false,
+        message: `types must be one or more of: ${STATION_EVENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const filter = (event) =>
+      hasStationAccess(req, event.policeStationId) &&
+      (!requestedStationId || event.policeStationId === requestedStationId) &&
+      (!requestedTypes || requestedTypes.includes(event.type));
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering (nginx)
+    res.flushHeaders();
+
+    res.write('retry: 5000\n\n');
+    writeEvent(res, {
+      id: null,
+      type: 'stream.connected',
+      policeStationId: requestedStationId,
+      occurredAt: new Date().toISOString(),
+      data: { userId: req.user.id, types: requestedTypes || STATION_EVENT_TYPES }
+    });
+
+    const resumeFrom = parseInt(req.headers['last-event-id'] || lastEventId);
+    if (Number.isInteger(resumeFrom) && resumeFrom > 0) {
+      getEventsSince(resumeFrom, filter).forEach(event => writeEvent(res, event));
+    }
+
+    const unsubscribe = subscribeStationEvents(filter, event => writeEvent(res, event));
+
+    // Keep the connection open through proxies, and end it once the token expires or
+    // the session is revoked (the client reconnects with a fresh token)
+    const heartbeat = setInterval(async () => {
+      try {
+        const expired = req.user.exp && req.user.exp * 1000 <= Date.now();
+        if (expired || !(await isSessionActive(req.user.sid))) {
+          writeEvent(res, {
+            id: null,
+            type: 'stream.closed',
+            policeStationId: requestedStationId,
+            occurredAt: new Date().toISOString(),
+            data: { reason: expired ? 'TOKEN_EXPIRED' : 'SESSION_REVOKED' }
+          });
+          return res.end();
+        }
+        res.write(': ping\n\n');
+      } catch (error) {
+        console.error('Event stream heartbeat error:', error);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open event stream',
+        error: error.message,
+      });
+    } else {
+      res.end();
+    }
+  }
+};
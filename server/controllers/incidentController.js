@@ -0,0 +1,706 @@
+// controllers/incidentController.js
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const UserStation = require('../models/UserStation');
+const Checkpoint = require('../models/Checkpoint');
+const { Op } = require('sequelize');
+const { hasPermission } = require('../config/permissions');
+const { findActivePoliceStation, toStationSummary } = require('../services/policeStationService');
+const { hasStationAccess, scopedStationCondition } = require('../middlewares/stationScopeMiddleware');
+const { validateLatLong } = require('../services/geoService');
+const {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  buildStatusEntry,
+  resolveIncidentLinks,
+  uploadIncidentMedia,
+  hasMedia
+} = require('../services/incidentService');
+
+const userAttributes = ['id', 'username', 'smartusername', 'smartuserrank'];
+
+const incidentIncludes = [
+  { model: User, as: 'reporter', attributes: userAttributes },
+  { model: User, as: 'assignee', attributes: userAttributes },
+  { model: Checkpoint, attributes: ['id', 'name', 'lat_long', 'address', 'policeStationId'] }
+];
+
+// Validate category / severity / lat_long / occurredAt sent on create or update
+const validateIncidentFields = ({ category, severity, lat_long, occurredAt }) => {
+  if (category !== undefined && !INCIDENT_CATEGORIES.includes(category)) {
+    return { valid: false, message: `category must be one of: ${INCIDENT_CATEGORIES.join(', ')}` };
+  }
+  if (severity !== undefined && !INCIDENT_SEVERITIES.includes(severity)) {
+    return { valid: false, message: `severity must be one of: ${INCIDENT_SEVERITIES.join(', ')}` };
+  }
+  if (lat_long !== undefined && lat_long !== null && lat_long !== '') {
+    const latLongValidation = validateLatLong(lat_long);
+    if (!latLongValidation.valid) return latLongValidation;
+  }
+  if (occurredAt !== undefined) {
+    const date = new Date(occurredAt);
+    if (isNaN(date.getTime()) || date.getTime() > Date.now() + 5 * 60 * 1000) {
+      return { valid: false, message: 'occurredAt must be a valid date that is not in the future' };
+    }
+  }
+  return { valid: true };
+};
+
+const findIncident = (id) => Incident.findOne({ where: { id, isActive: true } });
+
+// Create Incident (multipart: images / videos / audios are optional)
+exports.createIncident = async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      category = 'other',
+      severity = 'medium',
+      lat_long,
+      locationDescription,
+      occurredAt,
+      checkpointScanId,
+      checkpointId,
+      routeAssignmentId,
+      policeStationId
+    } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'title is required',
+      });
+    }
+
+    const fieldValidation = validateIncidentFields({ category, severity, lat_long, occurredAt });
+    if (!fieldValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: fieldValidation.message,
+      });
+    }
+
+    const links = await resolveIncidentLinks({ checkpointScanId, checkpointId, routeAssignmentId, policeStationId });
+    if (!links.success) {
+      return res.status(links.status).json({
+        success: false,
+        message: links.message,
+        error: links.error,
+      });
+    }
+
+    const policeStation = await findActivePoliceStation(links.data.policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    if (!hasStationAccess(req, policeStation.id)) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have access to police station ${policeStation.id}`,
+        error: 'STATION_ACCESS_DENIED'
+      });
+    }
+
+    const incident = await Incident.create({
+      title: title.trim(),
+      description: description?.trim() || null,
+      category,
+      severity,
+      policeStationId: policeStation.id,
+      lat_long: lat_long ? String(lat_long).trim() : links.data.lat_long,
+      locationDescription: locationDescription?.trim() || null,
+      occurredAt: occurredAt ? new Date(occurredAt) : new Date(),
+      checkpointScanId: links.data.checkpointScanId,
+      checkpointId: links.data.checkpointId,
+      routeAssignmentId: links.data.routeAssignmentId,
+      reportedBy: req.user.id,
+      statusHistory: [buildStatusEntry(null, 'open', req.user.id, null)]
+    });
+
+    // Media is stored under the incident ID, so upload once the row exists
+    if (hasMedia(req.files)) {
+      try {
+        const uploadedFiles = await uploadIncidentMedia(req.files, req.user.id, incident.id);
+        await incident.update(uploadedFiles);
+      } catch (uploadError) {
+        console.error('File upload error:', uploadError);
+        await incident.destroy();
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to upload media files',
+          error: uploadError.message,
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Incident reported successfully',
+      data: incident,
+    });
+  } catch (error) {
+    console.error('Create incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report incident',
+      error: error.message,
+    });
+  }
+};
+
+// Build the where clause shared by the incident list endpoints
+const buildIncidentFilters = (query) => {
+  const { status, severity, category, checkpointId, routeAssignmentId, assignedTo, reportedBy, startDate, endDate, search } = query;
+  const whereClause = { isActive: true };
+
+  const listFilter = (value, allowed) => {
+    const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.every(item => allowed.includes(item)) ? { [Op.in]: values } : null;
+  };
+
+  for (const [key, value, allowed] of [
+    ['status', status, INCIDENT_STATUSES],
+    ['severity', severity, INCIDENT_SEVERITIES],
+    ['category', category, INCIDENT_CATEGORIES]
+  ]) {
+    if (!value) continue;
+    const condition = listFilter(value, allowed);
+    if (!condition) return { error: `${key} must be one of: ${allowed.join(', ')}` };
+    whereClause[key] = condition;
+  }
+
+  if (checkpointId) whereClause.checkpointId = parseInt(checkpointId);
+  if (routeAssignmentId) whereClause.routeAssignmentId = parseInt(routeAssignmentId);
+  if (reportedBy) whereClause.reportedBy = parseInt(reportedBy);
+  if (assignedTo === 'none') whereClause.assignedTo = null;
+  else if (assignedTo) whereClause.assignedTo = parseInt(assignedTo);
+
+  if (startDate || endDate) {
+    whereClause.occurredAt = {};
+    if (startDate) whereClause.occurredAt[Op.gte] = new Date(startDate);
+    if (endDate) whereClause.occurredAt[Op.lte] = new Date(endDate);
+  }
+
+  if (search) {
+    whereClause[Op.or] = [
+      { title: { [Op.iLike]: `%${search}%` } },
+      { description: { [Op.iLike]: `%${search}%` } },
+      { locationDescription: { [Op.iLike]: `%${search}%` } }
+    ];
+  }
+
+  return { whereClause };
+};
+
+// Get All Incidents (with pagination, filters and police station scope)
+exports.getAllIncidents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, policeStationId } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { whereClause, error } = buildIncidentFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Filter by police station if provided, otherwise limit to the user's stations
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) whereClause.policeStationId = stationCondition;
+
+    const { count, rows: incidents } = await Incident.findAndCountAll({
+      where: whereClause,
+      include: incidentIncludes,
+      order: [['occurredAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get incidents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incidents',
+      error: error.message,
+    });
+  }
+};
+
+// Get Incidents by Police Station ID (with per-status counts)
+exports.getIncidentsByPoliceStation = async (req, res) => {
+  try {
+    const { policeStationId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!policeStationId || isNaN(policeStationId) || parseInt(policeStationId) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid police station ID. Must be a positive integer.',
+      });
+    }
+
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    const { whereClause, error } = buildIncidentFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    whereClause.policeStationId = policeStation.id;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { count, rows: incidents } = await Incident.findAndCountAll({
+      where: whereClause,
+      include: incidentIncludes,
+      order: [['occurredAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    const statusCounts = await Incident.count({
+      where: { policeStationId: policeStation.id, isActive: true },
+      group: ['status']
+    });
+    const summary = Object.fromEntries(INCIDENT_STATUSES.map(status => [status, 0]));
+    statusCounts.forEach(row => { summary[row.status] = parseInt(row.count); });
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${count} incidents for police station ${policeStation.name}`,
+      data: {
+        policeStationId: policeStation.id,
+        policeStation: toStationSummary(policeStation),
+        summary,
+        incidents,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get incidents by police station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incidents for police station',
+      error: error.message,
+    });
+  }
+};
+
+// Get Incident by ID
+exports.getIncidentById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID',
+      });
+    }
+
+    const incident = await Incident.findOne({
+      where: { id, isActive: true },
+      include: [
+        ...incidentIncludes,
+        { model: User, as: 'assigner', attributes: userAttributes }
+      ]
+    });
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...incident.toJSON(),
+        allowedTransitions: STATUS_TRANSITIONS[incident.status] || []
+      }
+    });
+  } catch (error) {
+    console.error('Get incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch incident',
+      error: error.message,
+    });
+  }
+};
+
+// Update Incident details (title, description, category, severity, location)
+exports.updateIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, category, severity, lat_long, locationDescription, occurredAt } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID',
+      });
+    }
+
+    const incident = await findIncident(id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    const fieldValidation = validateIncidentFields({ category, severity, lat_long, occurredAt });
+    if (!fieldValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: fieldValidation.message,
+      });
+    }
+
+    const updateData = {};
+    if (title !== undefined) {
+      if (!title || !title.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'title cannot be empty',
+        });
+      }
+      updateData.title = title.trim();
+    }
+    if (description !== undefined) updateData.description = description?.trim() || null;
+    if (category !== undefined) updateData.category = category;
+    if (severity !== undefined) updateData.severity = severity;
+    if (lat_long !== undefined) updateData.lat_long = lat_long ? String(lat_long).trim() : null;
+    if (locationDescription !== undefined) updateData.locationDescription = locationDescription?.trim() || null;
+    if (occurredAt !== undefined) updateData.occurredAt = new Date(occurredAt);
+
+    await incident.update(updateData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Incident updated successfully',
+      data: incident,
+    });
+  } catch (error) {
+    console.error('Update incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update incident',
+      error: error.message,
+    });
+  }
+};
+
+// Change Incident status (open -> acknowledged -> resolved, resolved incidents can be reopened)
+exports.updateIncidentStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID',
+      });
+    }
+
+    if (!INCIDENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${INCIDENT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const incident = await findIncident(id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    // Officers without incident:update may only progress incidents assigned to them
+    if (incident.assignedTo !== req.user.id && !hasPermission(req.user.role, 'incident:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update the status of incidents assigned to you',
+      });
+    }
+
+    if (!canTransition(incident.status, status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change incident status from ${incident.status} to ${status}`,
+        error: 'INVALID_STATUS_TRANSITION',
+        data: { status: incident.status, allowedTransitions: STATUS_TRANSITIONS[incident.status] || [] }
+      });
+    }
+
+    if (status === 'resolved' && (!notes || !String(notes).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'notes describing the resolution are required to resolve an incident',
+      });
+    }
+
+    const now = new Date();
+    const updateData = {
+      status,
+      statusHistory: [...(incident.statusHistory || []), buildStatusEntry(incident.status, status, req.user.id, notes)]
+    };
+
+    if (status === 'acknowledged') {
+      updateData.acknowledgedBy = req.user.id;
+      updateData.acknowledgedAt = now;
+    } else if (status === 'resolved') {
+      updateData.resolvedBy = req.user.id;
+      updateData.resolvedAt = now;
+      updateData.resolutionNotes = String(notes).trim();
+      if (!incident.acknowledgedAt) {
+        updateData.acknowledgedBy = req.user.id;
+        updateData.acknowledgedAt = now;
+      }
+    } else if (status === 'open') {
+      // Reopened: clear the previous resolution (kept in statusHistory)
+      updateData.resolvedBy = null;
+      updateData.resolvedAt = null;
+      updateData.resolutionNotes = null;
+      if (incident.status === 'acknowledged') {
+        updateData.acknowledgedBy = null;
+        updateData.acknowledgedAt = null;
+      }
+    }
+
+    await incident.update(updateData);
+
+    res.status(200).json({
+      success: true,
+      message: `Incident ${status === 'open' ? 'reopened' : status}`,
+      data: incident,
+    });
+  } catch (error) {
+    console.error('Update incident status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update incident status',
+      error: error.message,
+    });
+  }
+};
+
+// Assign Incident to an officer posted at its police station (assignedTo: null unassigns)
+exports.assignIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { assignedTo } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID',
+      });
+    }
+
+    const incident = await findIncident(id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    if (incident.status === 'resolved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Resolved incidents cannot be reassigned. Reopen the incident first.',
+      });
+    }
+
+    if (assignedTo === null) {
+      await incident.update({ assignedTo: null, assignedBy: req.user.id, assignedAt: new Date() });
+      return res.status(200).json({
+        success: true,
+        message: 'Incident unassigned',
+        data: incident,
+      });
+    }
+
+    const officerId = parseInt(assignedTo);
+    if (!Number.isInteger(officerId) || officerId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignedTo must be a valid user ID or null',
+      });
+    }
+
+    const officer = await User.findByPk(officerId, { attributes: userAttributes });
+    if (!officer) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const posting = await UserStation.findOne({ where: { userId: officer.id, policeStationId: incident.policeStationId } });
+    if (!posting) {
+      return res.status(400).json({
+        success: false,
+        message: `User ${officer.id} is not posted at the incident's police station`,
+      });
+    }
+
+    await incident.update({ assignedTo: officer.id, assignedBy: req.user.id, assignedAt: new Date() });
+
+    res.status(200).json({
+      success: true,
+      message: `Incident assigned to ${officer.smartusername || officer.username}`,
+      data: incident,
+    });
+  } catch (error) {
+    console.error('Assign incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign incident',
+      error: error.message,
+    });
+  }
+};
+
+// Add media to an existing Incident (reporter, assignee or incident:update)
+exports.addIncidentMedia = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID',
+      });
+    }
+
+    const incident = await findIncident(id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    const isInvolved = [incident.reportedBy, incident.assignedTo].includes(req.user.id);
+    if (!isInvolved && !hasPermission(req.user.role, 'incident:update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only add media to incidents you reported or are assigned to',
+      });
+    }
+
+    if (!hasMedia(req.files)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No media files uploaded. Use "images", "videos", or "audios".',
+      });
+    }
+
+    let uploadedFiles;
+    try {
+      uploadedFiles = await uploadIncidentMedia(req.files, req.user.id, incident.id);
+    } catch (uploadError) {
+      console.error('File upload error:', uploadError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload media files',
+        error: uploadError.message,
+      });
+    }
+
+    await incident.update({
+      images: [...(incident.images || []), ...uploadedFiles.images],
+      videos: [...(incident.videos || []), ...uploadedFiles.videos],
+      audios: [...(incident.audios || []), ...uploadedFiles.audios]
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Media added to incident',
+      data: incident,
+    });
+  } catch (error) {
+    console.error('Add incident media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add incident media',
+      error: error.message,
+    });
+  }
+};
+
+// Delete Incident (soft delete)
+exports.deleteIncident = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid incident ID',
+      });
+    }
+
+    const incident = await findIncident(id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found',
+      });
+    }
+
+    await incident.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Incident deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete incident error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete incident',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,81 @@
+// controllers/loginAttemptController.js
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const UserStation = require('../models/UserStation');
+const { Op } = require('sequelize');
+const { getStationFilter } = require('../middlewares/stationScopeMiddleware');
+
+// Get Login Attempts (with pagination and filters)
+exports.getLoginAttempts = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      userId,
+      identifier,
+      outcome,
+      method,
+      ipAddress,
+      startDate,
+      endDate
+    } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = {};
+    if (userId) whereClause.userId = parseInt(userId);
+    if (identifier) whereClause.identifier = identifier;
+    if (outcome) whereClause.outcome = outcome;
+    if (method) whereClause.method = method;
+    if (ipAddress) whereClause.ipAddress = ipAddress;
+
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    // Station admins only see attempts against officers posted at their stations.
+    // Attempts for unknown usernames are only visible to unrestricted users.
+    const stationIds = getStationFilter(req);
+    if (stationIds) {
+      const postings = await UserStation.findAll({
+        where: { policeStationId: { [Op.in]: stationIds } },
+        attributes: ['userId']
+      });
+      const scopedUserIds = [...new Set(postings.map(posting => posting.userId))];
+
+      whereClause[Op.and] = [{ userId: { [Op.in]: scopedUserIds } }];
+    }
+
+    const { count, rows: loginAttempts } = await LoginAttempt.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: User,
+        attributes: ['id', 'username', 'smartusername', 'smartuserrank']
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        loginAttempts,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login attempts',
+      error: error.message,
+    });
+  }
+};
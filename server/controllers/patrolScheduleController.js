@@ -0,0 +1,623 @@
+// controllers/patrolScheduleController.js
+const PatrolSchedule = require('../models/PatrolSchedule');
+const RouteAssignment = require('../models/RouteAssignment');
+const Route = require('../models/Route');
+const { scopedStationCondition } = require('../middlewares/stationScopeMiddleware');
+const { PATROL_TIMEZONE } = require('../services/checkpointScheduleService');
+const { publishAssignmentEvent } = require('../services/stationEventService');
+const {
+  MAX_PREVIEW_DAYS,
+  isValidDate,
+  isValidTimeZone,
+  addDays,
+  getLocalDate,
+  validateScheduleFields,
+  findOfficersNotPosted,
+  findOccurrence,
+  previewOccurrences
+} = require('../services/patrolScheduleService');
+
+const EDITABLE_FIELDS = ['name', 'officerIds', 'recurrence', 'rrule', 'shiftStart', 'shiftEnd', 'timezone', 'startsOn', 'endsOn', 'leadTimeMinutes'];
+const DEFAULT_PREVIEW_DAYS = 14;
+
+const routeInclude = { model: Route, attributes: ['id', 'name', 'policeStationId', 'isActive'] };
+
+const findSchedule = (id) => PatrolSchedule.findOne({ where: { id, isActive: true }, include: [routeInclude] });
+
+// officerIds may also be sent as a single userId
+const readOfficerIds = (body) => {
+  if (body.officerIds !== undefined) {
+    return Array.isArray(body.officerIds) ? body.officerIds.map(Number) : body.officerIds;
+  }
+  if (body.userId !== undefined) return [Number(body.userId)];
+  return undefined;
+};
+
+// Create Patrol Schedule
+exports.createPatrolSchedule = async (req, res) => {
+  try {
+    const {
+      name,
+      routeId,
+      recurrence = 'daily',
+      rrule,
+      shiftStart,
+      shiftEnd,
+      timezone = PATROL_TIMEZONE,
+      startsOn,
+      endsOn,
+      leadTimeMinutes = 120
+    } = req.body;
+    const officerIds = readOfficerIds(req.body);
+
+    if (!routeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'routeId is required',
+      });
+    }
+
+    const fields = {
+      officerIds,
+      recurrence,
+      rrule: recurrence === 'rrule' ? rrule : null,
+      shiftStart,
+      shiftEnd,
+      timezone,
+      startsOn: startsOn || (isValidTimeZone(timezone) ? getLocalDate(new Date(), timezone) : null),
+      endsOn: endsOn || null,
+      leadTimeMinutes: Number(leadTimeMinutes)
+    };
+
+    const validation = validateScheduleFields(fields);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    const route = await Route.findByPk(routeId);
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found',
+      });
+    }
+
+    if (!route.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Route is not active',
+      });
+    }
+
+    const notPosted = await findOfficersNotPosted(officerIds, route.policeStationId);
+    if (notPosted.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Users ${notPosted.join(', ')} are not posted at the route's police station`,
+      });
+    }
+
+    const schedule = await PatrolSchedule.create({
+      ...fields,
+      name: name?.trim() || `${route.name} ${fields.shiftStart}-${fields.shiftEnd}`,
+      routeId: route.id,
+      policeStationId: route.policeStationId,
+      createdBy: req.user.id
+    });
+
+    const today = getLocalDate(new Date(), schedule.timezone);
+    const upcoming = await previewOccurrences(schedule, today, addDays(today, DEFAULT_PREVIEW_DAYS - 1));
+
+    res.status(201).json({
+      success: true,
+      message: 'Patrol schedule created successfully',
+      data: {
+        schedule,
+        upcoming
+      }
+    });
+  } catch (error) {
+    console.error('Create patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create patrol schedule',
+      error: error.message,
+    });
+  }
+};
+
+// Get Patrol Schedules (with pagination, filters and police station scope)
+exports.getPatrolSchedules = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, routeId, officerId, policeStationId } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = { isActive: true };
+    if (status) whereClause.status = status;
+    if (routeId) whereClause.routeId = parseInt(routeId);
+
+    // Filter by police station if provided, otherwise limit to the user's stations
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) whereClause.policeStationId = stationCondition;
+
+    let schedules = await PatrolSchedule.findAll({
+      where: whereClause,
+      include: [routeInclude],
+      order: [['createdAt', 'DESC']]
+    });
+
+    // officerIds is a JSON list, so the officer filter is applied here
+    if (officerId) schedules = schedules.filter(schedule => (schedule.officerIds || []).includes(parseInt(officerId)));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedules: schedules.slice(offset, offset + parseInt(limit)),
+        pagination: {
+          total: schedules.length,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(schedules.length / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get patrol schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch patrol schedules',
+      error: error.message,
+    });
+  }
+};
+
+// Get Patrol Schedule by ID (with the next occurrences)
+exports.getPatrolScheduleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    const today = getLocalDate(new Date(), schedule.timezone);
+    const upcoming = await previewOccurrences(schedule, today, addDays(today, 6));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        schedule,
+        upcoming
+      }
+    });
+  } catch (error) {
+    console.error('Get patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch patrol schedule',
+      error: error.message,
+    });
+  }
+};
+
+// Update Patrol Schedule (assignments already created are not changed)
+exports.updatePatrolSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    if (req.body.routeId !== undefined && Number(req.body.routeId) !== schedule.routeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The route of a schedule cannot be changed; create a new schedule instead',
+      });
+    }
+
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const officerIds = readOfficerIds(req.body);
+    if (officerIds !== undefined) changes.officerIds = officerIds;
+    if (changes.leadTimeMinutes !== undefined) changes.leadTimeMinutes = Number(changes.leadTimeMinutes);
+    if (changes.recurrence && changes.recurrence !== 'rrule') changes.rrule = null;
+
+    if (changes.name !== undefined) {
+      if (!changes.name || !String(changes.name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'name cannot be empty',
+        });
+      }
+      changes.name = String(changes.name).trim();
+    }
+
+    const merged = { ...schedule.get({ plain: true }), ...changes };
+    const validation = validateScheduleFields(merged);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message,
+      });
+    }
+
+    if (changes.officerIds) {
+      const notPosted = await findOfficersNotPosted(changes.officerIds, schedule.policeStationId);
+      if (notPosted.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Users ${notPosted.join(', ')} are not posted at the route's police station`,
+        });
+      }
+    }
+
+    await schedule.update(changes);
+
+    res.status(200).json({
+      success: true,
+      message: 'Patrol schedule updated successfully',
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Update patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update patrol schedule',
+      error: error.message,
+    });
+  }
+};
+
+// Preview occurrences (?from=YYYY-MM-DD&days=14)
+exports.previewPatrolSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, days = DEFAULT_PREVIEW_DAYS } = req.query;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const dayCount = parseInt(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > MAX_PREVIEW_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${MAX_PREVIEW_DAYS}`,
+      });
+    }
+
+    if (from !== undefined && !isValidDate(from)) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be a date (YYYY-MM-DD)',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    const start = from || getLocalDate(new Date(), schedule.timezone);
+    const end = addDays(start, dayCount - 1);
+    const occurrences = await previewOccurrences(schedule, start, end);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scheduleId: schedule.id,
+        status: schedule.status,
+        timezone: schedule.timezone,
+        from: start,
+        to: end,
+        occurrences
+      }
+    });
+  } catch (error) {
+    console.error('Preview patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview patrol schedule',
+      error: error.message,
+    });
+  }
+};
+
+// Pause Patrol Schedule (no assignments are created while paused)
+exports.pausePatrolSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    if (schedule.status === 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patrol schedule is already paused',
+      });
+    }
+
+    await schedule.update({
+      status: 'paused',
+      pausedBy: req.user.id,
+      pausedAt: new Date(),
+      pauseReason: reason?.trim() || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Patrol schedule paused',
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Pause patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause patrol schedule',
+      error: error.message,
+    });
+  }
+};
+
+// Resume Patrol Schedule (occurrences whose shift ended while paused are not created)
+exports.resumePatrolSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    if (schedule.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Patrol schedule is not paused',
+      });
+    }
+
+    await schedule.update({ status: 'active', pausedBy: null, pausedAt: null, pauseReason: null });
+
+    res.status(200).json({
+      success: true,
+      message: 'Patrol schedule resumed',
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Resume patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume patrol schedule',
+      error: error.message,
+    });
+  }
+};
+
+// Skip one occurrence. An assignment already created for it is cancelled if the
+// patrol has not started.
+exports.skipOccurrence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, reason } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be a date (YYYY-MM-DD)',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    const occurrence = findOccurrence(schedule, date);
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        message: `The schedule has no occurrence on ${date}`,
+      });
+    }
+
+    if (occurrence.skip) {
+      return res.status(400).json({
+        success: false,
+        message: `The occurrence on ${date} is already skipped`,
+      });
+    }
+
+    const assignment = await RouteAssignment.findOne({ where: { patrolScheduleId: schedule.id, scheduledFor: date } });
+    if (assignment && assignment.isActive && !['assigned', 'cancelled'].includes(assignment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `The patrol for ${date} is already ${assignment.status}`,
+        data: { assignmentId: assignment.id, status: assignment.status }
+      });
+    }
+
+    const skipReason = reason?.trim() || null;
+    await schedule.update({
+      skippedOccurrences: [
+        ...(schedule.skippedOccurrences || []),
+        { date, reason: skipReason, skippedBy: req.user.id, skippedAt: new Date().toISOString() }
+      ]
+    });
+
+    let cancelledAssignment = null;
+    if (assignment && assignment.isActive && assignment.status === 'assigned') {
+      await assignment.update({
+        status: 'cancelled',
+        endDate: new Date(),
+        notes: `Scheduled patrol for ${date} skipped${skipReason ? `. Reason: ${skipReason}` : ''}`
+      });
+      publishAssignmentEvent('assignment.cancelled', assignment, { cancelledBy: req.user.id, reason: skipReason || 'Occurrence skipped' });
+      cancelledAssignment = assignment;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Occurrence on ${date} skipped`,
+      data: {
+        schedule,
+        cancelledAssignment
+      }
+    });
+  } catch (error) {
+    console.error('Skip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip occurrence',
+      error: error.message,
+    });
+  }
+};
+
+// Restore a skipped occurrence (created by the scheduler if its shift is still ahead)
+exports.unskipOccurrence = async (req, res) => {
+  try {
+    const { id, date } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    const skipped = schedule.skippedOccurrences || [];
+    if (!skipped.some(entry => entry.date === date)) {
+      return res.status(404).json({
+        success: false,
+        message: `The occurrence on ${date} is not skipped`,
+      });
+    }
+
+    await schedule.update({ skippedOccurrences: skipped.filter(entry => entry.date !== date) });
+
+    res.status(200).json({
+      success: true,
+      message: `Occurrence on ${date} restored`,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Unskip occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore occurrence',
+      error: error.message,
+    });
+  }
+};
+
+// Delete Patrol Schedule (soft delete; assignments already created are kept)
+exports.deletePatrolSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid patrol schedule ID',
+      });
+    }
+
+    const schedule = await findSchedule(id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patrol schedule not found',
+      });
+    }
+
+    await schedule.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Patrol schedule deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete patrol schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete patrol schedule',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,296 @@
+// controllers/policeStationController.js
+const PoliceStation = require('../models/PoliceStation');
+const Checkpoint = require('../models/Checkpoint');
+const Route = require('../models/Route');
+const UserStation = require('../models/UserStation');
+const { Op } = require('sequelize');
+const { validateJurisdiction } = require('../services/policeStationService');
+const { getStationFilter } = require('../middlewares/stationScopeMiddleware');
+
+const ALLOWED_FIELDS = ['name', 'code', 'district', 'jurisdiction', 'address', 'lat_long', 'contactPerson', 'phone', 'email'];
+
+// Create Police Station
+exports.createPoliceStation = async (req, res) => {
+  try {
+    const { name, code, district, jurisdiction } = req.body;
+
+    // Input validation
+    if (!name || !code || !district) {
+      return res.status(400).json({
+        success: false,
+        message: 'name, code, and district are required',
+      });
+    }
+
+    const jurisdictionValidation = validateJurisdiction(jurisdiction);
+    if (!jurisdictionValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: jurisdictionValidation.message,
+      });
+    }
+
+    // Station codes must be unique (including deactivated stations)
+    const existingStation = await PoliceStation.findOne({ where: { code: code.trim().toUpperCase() } });
+    if (existingStation) {
+      return res.status(409).json({
+        success: false,
+        message: `Police station with code "${code.trim().toUpperCase()}" already exists`,
+      });
+    }
+
+    const data = ALLOWED_FIELDS.reduce((obj, key) => {
+      if (req.body[key] !== undefined) obj[key] = req.body[key];
+      return obj;
+    }, {});
+
+    const policeStation = await PoliceStation.create({
+      ...data,
+      name: name.trim(),
+      code: code.trim().toUpperCase(),
+      district: district.trim()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Police station created successfully',
+      data: policeStation,
+    });
+  } catch (error) {
+    console.error('Create police station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create police station',
+      error: error.message,
+    });
+  }
+};
+
+// Get All Police Stations (with pagination, search and district filter)
+exports.getAllPoliceStations = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, district, includeInactive = 'false' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = {};
+    if (includeInactive !== 'true') {
+      whereClause.isActive = true;
+    }
+
+    // Limit to the user's stations
+    const stationIds = getStationFilter(req);
+    if (stationIds) {
+      whereClause.id = { [Op.in]: stationIds };
+    }
+
+    if (district) {
+      whereClause.district = { [Op.iLike]: district };
+    }
+
+    if (search) {
+      whereClause[Op.or] = [
+        { name: { [Op.iLike]: `%${search}%` } },
+        { code: { [Op.iLike]: `%${search}%` } },
+        { address: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: policeStations } = await PoliceStation.findAndCountAll({
+      where: whereClause,
+      order: [['name', 'ASC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policeStations,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get police stations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch police stations',
+      error: error.message,
+    });
+  }
+};
+
+// Get Police Station by ID
+exports.getPoliceStationById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid police station ID',
+      });
+    }
+
+    const policeStation = await PoliceStation.findByPk(id);
+    if (!policeStation || !policeStation.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    const [checkpointCount, routeCount, officerCount] = await Promise.all([
+      Checkpoint.count({ where: { policeStationId: policeStation.id, isActive: true } }),
+      Route.count({ where: { policeStationId: policeStation.id, isActive: true } }),
+      UserStation.count({ where: { policeStationId: policeStation.id } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...policeStation.toJSON(),
+        stats: {
+          checkpoints: checkpointCount,
+          routes: routeCount,
+          officers: officerCount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get police station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch police station',
+      error: error.message,
+    });
+  }
+};
+
+// Update Police Station
+exports.updatePoliceStation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid police station ID',
+      });
+    }
+
+    const policeStation = await PoliceStation.findByPk(id);
+    if (!policeStation || !policeStation.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    const filteredData = ALLOWED_FIELDS.reduce((obj, key) => {
+      if (req.body[key] !== undefined) obj[key] = req.body[key];
+      return obj;
+    }, {});
+
+    if (filteredData.jurisdiction !== undefined) {
+      const jurisdictionValidation = validateJurisdiction(filteredData.jurisdiction);
+      if (!jurisdictionValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: jurisdictionValidation.message,
+        });
+      }
+    }
+
+    if (filteredData.code) {
+      filteredData.code = filteredData.code.trim().toUpperCase();
+      const existingStation = await PoliceStation.findOne({
+        where: {
+          code: filteredData.code,
+          id: { [Op.ne]: policeStation.id }
+        }
+      });
+      if (existingStation) {
+        return res.status(409).json({
+          success: false,
+          message: `Police station with code "${filteredData.code}" already exists`,
+        });
+      }
+    }
+
+    if (filteredData.name) filteredData.name = filteredData.name.trim();
+    if (filteredData.district) filteredData.district = filteredData.district.trim();
+
+    await policeStation.update(filteredData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Police station updated successfully',
+      data: policeStation,
+    });
+  } catch (error) {
+    console.error('Update police station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update police station',
+      error: error.message,
+    });
+  }
+};
+
+// Delete Police Station (Soft delete)
+exports.deletePoliceStation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid police station ID',
+      });
+    }
+
+    const policeStation = await PoliceStation.findByPk(id);
+    if (!policeStation || !policeStation.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
+    // Refuse while active checkpoints or routes still reference the station
+    const [checkpointCount, routeCount] = await Promise.all([
+      Checkpoint.count({ where: { policeStationId: policeStation.id, isActive: true } }),
+      Route.count({ where: { policeStationId: policeStation.id, isActive: true } })
+    ]);
+
+    if (checkpointCount > 0 || routeCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete a police station that still has active checkpoints or routes',
+        data: {
+          activeCheckpoints: checkpointCount,
+          activeRoutes: routeCount
+        }
+      });
+    }
+
+    await policeStation.update({ isActive: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Police station deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete police station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete police station',
+      error: error.message,
+    });
+  }
+};
@@ -4,23 +4,59 @@ const User = require('../models/User');
 const Route = require('../models/Route');
 const Checkpoint = require('../models/Checkpoint');
 const CheckpointScan = require('../models/CheckpointScan');
+const PatrolTrackSegment = require('../models/PatrolTrackSegment');
+const RouteAssignmentMember = require('../models/RouteAssignmentMember');
+const sequelize = require('../config/database');
 
 const { Op } = require('sequelize');
+const { findActivePoliceStation, toStationSummary } = require('../services/policeStationService');
+const { getStationFilter } = require('../middlewares/stationScopeMiddleware');
+const { hasPermission } = require('../config/permissions');
+const { getNextExpectedCheckpointId, getSkippedCheckpointIds } = require('../services/patrolSequenceService');
+const {
+  normalizeTrackPoints,
+  compactPoints,
+  expandSegments,
+  pathDistance,
+  buildTrackStats,
+  toGeoJson,
+  toGpx
+} = require('../services/patrolTrackService');
+const { publishAssignmentEvent } = require('../services/stationEventService');
+const {
+  OPEN_ASSIGNMENT_STATUSES,
+  FINISHED_ASSIGNMENT_STATUSES,
+  MAX_ROUTES_PER_USER,
+  resolvePlannedWindow,
+  isPastWindow,
+  findOfficersNotPosted,
+  findMemberAssignmentIds,
+  userAssignmentCondition,
+  isTeamMember,
+  getTeamRole,
+  checkAssignmentConflicts,
+  validateTeamMembers
+} = require('../services/assignmentService');
 
 // Helper function to get detailed checkpoint information
-const getDetailedCheckpointInfo = async (route, completedCheckpointIds = []) => {
+const getDetailedCheckpointInfo = async (route, completedCheckpointIds = [], skippedCheckpoints = []) => {
   if (!route || !route.checkpoints || route.checkpoints.length === 0) {
     return {
       checkpointDetails: [],
       checkpointSummary: {
         total: 0,
         completed: 0,
+        skipped: 0,
         pending: 0,
-        completionRate: 0
+        completionRate: 0,
+        patrolMode: route?.patrolMode || 'any_order'
       }
     };
   }
 
+  const skippedIds = getSkippedCheckpointIds({ skippedCheckpoints });
+  const nextCheckpointId = getNextExpectedCheckpointId(route, completedCheckpointIds, skippedIds);
+
   // Get all checkpoint details
   const checkpointDetails = await Checkpoint.findAll({
     where: {
@@ -32,6 +68,7 @@ const getDetailedCheckpointInfo = async (route, completedCheckpointIds = []) =>
   // Enhance checkpoints with completion status and order
   const enhancedCheckpoints = checkpointDetails.map((checkpoint, index) => {
     const isCompleted = completedCheckpointIds.includes(checkpoint.id);
+    const skip = skippedCheckpoints.find(entry => entry.checkpointId === checkpoint.id);
     const order = route.checkpoints.indexOf(checkpoint.id) + 1;
 
     return {
@@ -41,6 +78,11 @@ const getDetailedCheckpointInfo = async (route, completedCheckpointIds = []) =>
       lat_long: checkpoint.lat_long,
       address: checkpoint.address || null,
       scanRadius: checkpoint.scanRadius || 50,
+      geofence: checkpoint.geofence || null,
+      geofenceBuffer: checkpoint.geofenceBuffer || 0,
+      timeWindows: checkpoint.timeWindows || null,
+      minDwellMinutes: checkpoint.minDwellMinutes || null,
+      checklistTemplateId: checkpoint.checklistTemplateId || null,
       isActive: checkpoint.isActive,
       qrCode: checkpoint.qrCode || null,
       qrCodeUrl: checkpoint.qrCodeUrl || null,
@@ -48,8 +90,10 @@ const getDetailedCheckpointInfo = async (route, completedCheckpointIds = []) =>
       status: {
         isCompleted: isCompleted,
         completedAt: null, // Would need to track this in checkpoint scan logs
-        isPending: !isCompleted,
-        isNext: !isCompleted && completedCheckpointIds.length === (order - 1)
+        isPending: !isCompleted && !skip,
+        isSkipped: !!skip,
+        skipReason: skip ? skip.reason : null,
+        isNext: checkpoint.id === nextCheckpointId
       },
       coordinates: {
         latitude: checkpoint.lat_long ? parseFloat(checkpoint.lat_long.split(',')[0]) : null,
@@ -64,6 +108,7 @@ const getDetailedCheckpointInfo = async (route, completedCheckpointIds = []) =>
   enhancedCheckpoints.sort((a, b) => a.order - b.order);
 
   const completedCount = enhancedCheckpoints.filter(cp => cp.status.isCompleted).length;
+  const skippedCount = enhancedCheckpoints.filter(cp => cp.status.isSkipped).length;
   const totalCount = enhancedCheckpoints.length;
 
   return {
@@ -71,18 +116,74 @@ const getDetailedCheckpointInfo = async (route, completedCheckpointIds = []) =>
     checkpointSummary: {
       total: totalCount,
       completed: completedCount,
-      pending: totalCount - completedCount,
+      skipped: skippedCount,
+      pending: totalCount - completedCount - skippedCount,
       completionRate: totalCount > 0 ? Math.round((completedCount / totalCount) * 100) : 0,
+      patrolMode: route.patrolMode || 'any_order',
       nextCheckpoint: enhancedCheckpoints.find(cp => cp.status.isNext) || null,
       lastCompleted: enhancedCheckpoints.filter(cp => cp.status.isCompleted).pop() || null
     }
   };
 };
 
+// Team of an assignment (lead and members), or null for a single-officer assignment
+const getTeamDetails = async (assignment) => {
+  const members = await RouteAssignmentMember.findAll({
+    where: { routeAssignmentId: assignment.id },
+    include: [{ model: User, attributes: ['id', 'username', 'smartusername', 'smartuserrank'] }],
+    order: [['id', 'ASC']]
+  });
+  if (members.length === 0) return null;
+
+  return {
+    leadUserId: assignment.userId,
+    size: members.length + 1,
+    members: members.map(member => ({
+      userId: member.userId,
+      username: member.User ? member.User.username || `User_${member.userId}` : null,
+      name: member.User ? member.User.smartusername : null,
+      rank: member.User ? member.User.smartuserrank : null,
+      addedBy: member.addedBy,
+      addedAt: member.createdAt
+    }))
+  };
+};
+
+// Handover links of an assignment (who it took over from, who took it over), or null
+const getHandoverDetails = async (assignment) => {
+  if (!assignment.handedOverFromId && !assignment.handedOverToId) return null;
+
+  const attributes = ['id', 'userId', 'status', 'handedOverAt', 'handedOverBy', 'handoverReason'];
+  const [previous, next] = await Promise.all([
+    assignment.handedOverFromId ? RouteAssignment.findByPk(assignment.handedOverFromId, { attributes }) : null,
+    assignment.handedOverToId ? RouteAssignment.findByPk(assignment.handedOverToId, { attributes }) : null
+  ]);
+
+  return {
+    from: previous ? {
+      assignmentId: previous.id,
+      userId: previous.userId,
+      handedOverAt: previous.handedOverAt,
+      handedOverBy: previous.handedOverBy,
+      reason: previous.handoverReason
+    } : null,
+    to: assignment.handedOverToId ? {
+      assignmentId: assignment.handedOverToId,
+      userId: next ? next.userId : null,
+      status: next ? next.status : null,
+      handedOverAt: assignment.handedOverAt,
+      handedOverBy: assignment.handedOverBy,
+      reason: assignment.handoverReason
+    } : null,
+    inheritedCheckpoints: assignment.inheritedCheckpoints || []
+  };
+};
+
 // Assign Route to User - Simplified version
 exports.assignRoute = async (req, res) => {
   try {
-    const { routeId, userId, policeStationId } = req.body;
+    // userId is the officer (the lead, for a team); memberIds adds team members
+    const { routeId, userId, memberIds, policeStationId, plannedStartAt, plannedEndAt } = req.body;
 
     // Input validation
     if (!routeId || !userId) {
@@ -92,6 +193,14 @@ exports.assignRoute = async (req, res) => {
       });
     }
 
+    const plannedWindow = resolvePlannedWindow({ plannedStartAt, plannedEndAt });
+    if (!plannedWindow.valid) {
+      return res.status(400).json({
+        success: false,
+        message: plannedWindow.message,
+      });
+    }
+
     // Check if user exists
     const user = await User.findByPk(userId);
     if (!user) {
@@ -117,99 +226,73 @@ exports.assignRoute = async (req, res) => {
       });
     }
 
-    // RULE 1: Check if this route is already assigned to ANY user
-    const existingRouteAssignment = await RouteAssignment.findOne({
-      where: {
-        routeId: routeId,
-        isActive: true,
-        status: { [Op.in]: ['assigned', 'in_progress'] }
-      }
-    });
-
-    if (existingRouteAssignment) {
-      const assignedUser = await User.findByPk(existingRouteAssignment.userId);
-      
-      return res.status(409).json({
+    // Assignments always belong to the route's police station
+    if (policeStationId && Number(policeStationId) !== route.policeStationId) {
+      return res.status(400).json({
         success: false,
-        message: `Route "${route.name}" is already assigned to another user`,
-        error: 'ROUTE_ALREADY_ASSIGNED',
-        data: {
-          route: {
-            id: route.id,
-            name: route.name
-          },
-          assignedTo: {
-            id: assignedUser.id,
-            username: assignedUser.username || `User_${assignedUser.id}`
-          },
-          assignmentId: existingRouteAssignment.id,
-          assignedAt: existingRouteAssignment.createdAt,
-          status: existingRouteAssignment.status,
-          suggestion: 'Please choose a different route or wait for the current assignment to be completed/cancelled'
-        }
+        message: `Route "${route.name}" belongs to police station ${route.policeStationId}, not ${policeStationId}`,
       });
     }
 
-    // RULE 2: Check if user already has this specific route assigned
-    const userRouteConflict = await RouteAssignment.findOne({
-      where: {
-        userId: userId,
-        routeId: routeId,
-        isActive: true,
-        status: { [Op.in]: ['assigned', 'in_progress'] }
-      }
-    });
-
-    if (userRouteConflict) {
-      return res.status(409).json({
+    // The officer (team lead) must be posted at the route's station, like the members
+    const [leadNotPosted] = await findOfficersNotPosted([Number(userId)], route.policeStationId);
+    if (leadNotPosted) {
+      return res.status(400).json({
         success: false,
-        message: 'User already has this route assigned',
-        error: 'USER_ROUTE_DUPLICATE',
-        data: {
-          existingAssignment: {
-            id: userRouteConflict.id,
-            status: userRouteConflict.status,
-            assignedAt: userRouteConflict.createdAt
-          }
-        }
+        message: `User ${leadNotPosted} is not posted at the route's police station`,
       });
     }
 
-    // RULE 3: Check user's active assignment limit
-    const userActiveAssignments = await RouteAssignment.findAll({
-      where: {
-        userId: userId,
-        isActive: true,
-        status: { [Op.in]: ['assigned', 'in_progress'] }
-      }
-    });
+    const conflict = await checkAssignmentConflicts(route, userId);
+    if (!conflict.allowed) {
+      return res.status(conflict.status).json({
+        success: false,
+        message: conflict.message,
+        error: conflict.error,
+        data: conflict.data
+      });
+    }
 
-    const MAX_ROUTES_PER_USER = 5;
-    if (userActiveAssignments.length >= MAX_ROUTES_PER_USER) {
-      return res.status(400).json({
+    const team = await validateTeamMembers(route, userId, memberIds);
+    if (!team.valid) {
+      return res.status(team.status).json({
         success: false,
-        message: `User has reached the maximum limit of ${MAX_ROUTES_PER_USER} active route assignments`,
-        error: 'MAX_ROUTES_REACHED',
-        data: {
-          currentActiveRoutes: userActiveAssignments.length,
-          maxAllowed: MAX_ROUTES_PER_USER,
-          suggestion: 'Complete or cancel existing routes before assigning new ones'
-        }
+        message: team.message,
+        error: team.error,
+        data: team.data
       });
     }
 
-    // Create the assignment
-    const assignment = await RouteAssignment.create({
-      userId,
-      routeId,
-      policeStationId,
-      startDate: new Date(),
-      status: 'assigned',
-      completedCheckpoints: [],
-      notes: `Route assigned at ${new Date().toLocaleString()}`
+    // Create the assignment (and its team members)
+    const assignment = await sequelize.transaction(async (transaction) => {
+      const created = await RouteAssignment.create({
+        userId,
+        routeId,
+        policeStationId: route.policeStationId,
+        startDate: new Date(),
+        plannedStartAt: plannedWindow.plannedStartAt,
+        plannedEndAt: plannedWindow.plannedEndAt,
+        status: 'assigned',
+        completedCheckpoints: [],
+        notes: `Route assigned at ${new Date().toLocaleString()}`
+      }, { transaction });
+
+      if (team.members.length > 0) {
+        await RouteAssignmentMember.bulkCreate(
+          team.members.map(member => ({ routeAssignmentId: created.id, userId: member.id, addedBy: req.user.id })),
+          { transaction }
+        );
+      }
+      return created;
     });
 
-    const userRouteCount = userActiveAssignments.length + 1;
+    const userRouteCount = conflict.activeCount + 1;
+
+    publishAssignmentEvent('assignment.created', assignment, {
+      routeName: route.name,
+      assignedBy: req.user.id,
+      memberIds: team.members.map(member => member.id)
+    });
 
     res.status(201).json({
       success: true,
@@ -226,6 +309,10 @@ exports.assignRoute = async (req, res) => {
           id: user.id,
           username: user.username || `User_${user.id}`
         },
+        team: team.members.length > 0 ? {
+          lead: { id: user.id, username: user.username || `User_${user.id}` },
+          members: team.members.map(member => ({ id: member.id, username: member.username || `User_${member.id}` }))
+        } : null,
         userStats: {
           totalActiveAssignments: userRouteCount,
           maxAllowed: MAX_ROUTES_PER_USER,
@@ -255,12 +342,22 @@ exports.getAllAssignments = async (req, res) => {
       whereClause.status = status;
     }
     if (userId) {
-      whereClause.userId = userId;
+      Object.assign(whereClause, await userAssignmentCondition(userId));
     }
     if (routeId) {
       whereClause.routeId = routeId;
     }
 
+    // Limit to routes in the user's stations (older assignments have no policeStationId)
+    const stationIds = getStationFilter(req);
+    if (stationIds) {
+      const scopedRoutes = await Route.findAll({
+        where: { policeStationId: { [Op.in]: stationIds } },
+        attributes: ['id']
+      });
+      whereClause[Op.and] = [{ routeId: { [Op.in]: scopedRoutes.map(route => route.id) } }];
+    }
+
     const { count, rows: assignments } = await RouteAssignment.findAndCountAll({
       where: whereClause,
       order: [['id', 'DESC']],
@@ -285,7 +382,8 @@ exports.getAllAssignments = async (req, res) => {
           route: route ? {
             id: route.id,
             name: route.name,
-            description: route.description
+            description: route.description,
+            patrolMode: route.patrolMode
           } : null,
           progress: {
             total: totalCheckpoints,
@@ -333,6 +431,14 @@ exports.getAssignmentsByPoliceStation = async (req, res) => {
       });
     }
 
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
     const whereClause = {
       policeStationId: policeStationId,
       isActive: true
@@ -371,7 +477,8 @@ exports.getAssignmentsByPoliceStation = async (req, res) => {
           route: route ? {
             id: route.id,
             name: route.name,
-            description: route.description
+            description: route.description,
+            patrolMode: route.patrolMode
           } : null,
           progress: {
             total: totalCheckpoints,
@@ -390,7 +497,10 @@ exports.getAssignmentsByPoliceStation = async (req, res) => {
         assigned: assignmentsWithDetails.filter(a => a.status === 'assigned').length,
         inProgress: assignmentsWithDetails.filter(a => a.status === 'in_progress').length,
         completed: assignmentsWithDetails.filter(a => a.status === 'completed').length,
-        cancelled: assignmentsWithDetails.filter(a => a.status === 'cancelled').length
+        cancelled: assignmentsWithDetails.filter(a => a.status === 'cancelled').length,
+        expired: assignmentsWithDetails.filter(a => a.status === 'expired').length,
+        missed: assignmentsWithDetails.filter(a => a.status === 'missed').length,
+        handedOver: assignmentsWithDetails.filter(a => a.status === 'handed_over').length
       },
       progress: {
         totalCheckpoints: assignmentsWithDetails.reduce((sum, a) => sum + a.progress.total, 0),
@@ -405,6 +515,7 @@ exports.getAssignmentsByPoliceStation = async (req, res) => {
       message: 'Police station assignments retrieved successfully',
       data: {
         policeStationId: parseInt(policeStationId),
+        policeStation: toStationSummary(policeStation),
         assignments: assignmentsWithDetails,
         stats: stats,
         pagination: {
@@ -462,19 +573,28 @@ exports.getAssignmentById = async (req, res) => {
 
     const totalCheckpoints = route?.checkpoints?.length || 0;
     const completedCheckpoints = assignment.completedCheckpoints?.length || 0;
+    const skippedCheckpoints = assignment.skippedCheckpoints?.length || 0;
+    const nextCheckpointId = route
+      ? getNextExpectedCheckpointId(route, assignment.completedCheckpoints || [], getSkippedCheckpointIds(assignment))
+      : null;
 
     res.status(200).json({
       success: true,
       data: {
         ...assignment.toJSON(),
+        patrolMode: route?.patrolMode || 'any_order',
         user,
+        team: await getTeamDetails(assignment),
+        handover: await getHandoverDetails(assignment),
         route,
         checkpointDetails,
         progress: {
           total: totalCheckpoints,
           completed: completedCheckpoints,
+          skipped: skippedCheckpoints,
           percentage: totalCheckpoints > 0 ? Math.round((completedCheckpoints / totalCheckpoints) * 100) : 0,
-          remaining: totalCheckpoints - completedCheckpoints
+          remaining: totalCheckpoints - completedCheckpoints - skippedCheckpoints,
+          nextCheckpointId
         }
       },
     });
@@ -510,8 +630,10 @@ exports.getUserAssignments = async (req, res) => {
       });
     }
 
+    // Include team assignments the user is a member of
+    const memberAssignmentIds = await findMemberAssignmentIds(userId);
     const whereClause = {
-      userId,
+      ...(await userAssignmentCondition(userId, memberAssignmentIds)),
       isActive: true,
     };
 
@@ -532,20 +654,24 @@ exports.getUserAssignments = async (req, res) => {
       assignments.map(async (assignment) => {
         const route = await Route.findByPk(assignment.routeId);
         const completedCheckpointIds = assignment.completedCheckpoints || [];
+        const team = await getTeamDetails(assignment);
 
         // Get detailed checkpoint information
-        const checkpointInfo = await getDetailedCheckpointInfo(route, completedCheckpointIds);
+        const checkpointInfo = await getDetailedCheckpointInfo(route, completedCheckpointIds, assignment.skippedCheckpoints || []);
 
         return {
           // Assignment basic info
           id: assignment.id,
           userId: assignment.userId,
+          teamRole: getTeamRole(assignment, userId, memberAssignmentIds),
+          team,
           routeId: assignment.routeId,
           status: assignment.status,
           startDate: assignment.startDate,
           endDate: assignment.endDate,
           notes: assignment.notes,
           completedCheckpoints: completedCheckpointIds,
+          skippedCheckpoints: assignment.skippedCheckpoints || [],
           isActive: assignment.isActive,
           createdAt: assignment.createdAt,
           updatedAt: assignment.updatedAt,
@@ -557,6 +683,7 @@ exports.getUserAssignments = async (req, res) => {
             description: route.description,
             estimatedDuration: route.estimatedDuration,
             priority: route.priority || 'medium',
+            patrolMode: route.patrolMode,
             isActive: route.isActive,
             totalCheckpoints: route.checkpoints?.length || 0,
             checkpointIds: route.checkpoints || []
@@ -570,6 +697,7 @@ exports.getUserAssignments = async (req, res) => {
           progress: {
             total: checkpointInfo.checkpointSummary.total,
             completed: checkpointInfo.checkpointSummary.completed,
+            skipped: checkpointInfo.checkpointSummary.skipped,
             pending: checkpointInfo.checkpointSummary.pending,
             percentage: checkpointInfo.checkpointSummary.completionRate,
             nextCheckpoint: checkpointInfo.checkpointSummary.nextCheckpoint,
@@ -579,7 +707,7 @@ exports.getUserAssignments = async (req, res) => {
           // Action capabilities
           actions: {
             canStart: assignment.status === 'assigned',
-            canComplete: assignment.status === 'in_progress' && checkpointInfo.checkpointSummary.completed === checkpointInfo.checkpointSummary.total,
+            canComplete: assignment.status === 'in_progress' && checkpointInfo.checkpointSummary.pending === 0,
             canCancel: ['assigned', 'in_progress'].includes(assignment.status),
             canScanCheckpoint: assignment.status === 'in_progress' && checkpointInfo.checkpointSummary.pending > 0,
             recommendedAction: assignment.status === 'assigned' ? 'start_route' :
@@ -591,7 +719,7 @@ exports.getUserAssignments = async (req, res) => {
           // Status information
           statusInfo: {
             isActive: ['assigned', 'in_progress'].includes(assignment.status),
-            isFinished: ['completed', 'cancelled'].includes(assignment.status),
+            isFinished: FINISHED_ASSIGNMENT_STATUSES.includes(assignment.status),
             statusDisplay: assignment.status.charAt(0).toUpperCase() + assignment.status.slice(1).replace('_', ' '),
             priorityLevel: route?.priority || 'medium'
           }
@@ -611,7 +739,10 @@ exports.getUserAssignments = async (req, res) => {
         assignedRoutes: assignmentsWithFullDetails.filter(a => a.status === 'assigned').length,
         inProgressRoutes: assignmentsWithFullDetails.filter(a => a.status === 'in_progress').length,
         completedRoutes: assignmentsWithFullDetails.filter(a => a.status === 'completed').length,
-        cancelledRoutes: assignmentsWithFullDetails.filter(a => a.status === 'cancelled').length
+        cancelledRoutes: assignmentsWithFullDetails.filter(a => a.status === 'cancelled').length,
+        expiredRoutes: assignmentsWithFullDetails.filter(a => a.status === 'expired').length,
+        missedRoutes: assignmentsWithFullDetails.filter(a => a.status === 'missed').length,
+        handedOverRoutes: assignmentsWithFullDetails.filter(a => a.status === 'handed_over').length
       },
       checkpoints: {
         totalCheckpoints: assignmentsWithFullDetails.reduce((sum, a) => sum + a.progress.total, 0),
@@ -705,9 +836,10 @@ exports.getAllUserAssignments = async (req, res) => {
       });
     }
 
-    // Get all assignments for the user
+    // Get all assignments for the user, including team assignments they are a member of
+    const memberAssignmentIds = await findMemberAssignmentIds(userId);
     const whereClause = {
-      userId,
+      ...(await userAssignmentCondition(userId, memberAssignmentIds)),
       isActive: true,
     };
 
@@ -723,9 +855,10 @@ exports.getAllUserAssignments = async (req, res) => {
       assignments.map(async (assignment) => {
         const route = await Route.findByPk(assignment.routeId);
         const completedCheckpointIds = assignment.completedCheckpoints || [];
+        const team = await getTeamDetails(assignment);
 
         // Get detailed checkpoint information
-        const checkpointInfo = await getDetailedCheckpointInfo(route, completedCheckpointIds);
+        const checkpointInfo = await getDetailedCheckpointInfo(route, completedCheckpointIds, assignment.skippedCheckpoints || []);
 
         // Calculate timing information
         const startTime = assignment.startDate ? new Date(assignment.startDate) : null;
@@ -755,12 +888,15 @@ exports.getAllUserAssignments = async (req, res) => {
           assignment: {
             id: assignment.id,
             userId: assignment.userId,
+            teamRole: getTeamRole(assignment, userId, memberAssignmentIds),
+            team,
             routeId: assignment.routeId,
             status: assignment.status,
             startDate: assignment.startDate,
             endDate: assignment.endDate,
             notes: assignment.notes,
             completedCheckpoints: completedCheckpointIds,
+            skippedCheckpoints: assignment.skippedCheckpoints || [],
             isActive: assignment.isActive,
             createdAt: assignment.createdAt,
             updatedAt: assignment.updatedAt
@@ -773,6 +909,7 @@ exports.getAllUserAssignments = async (req, res) => {
             description: route.description,
             estimatedDuration: route.estimatedDuration,
             priority: route.priority || 'medium',
+            patrolMode: route.patrolMode,
             isActive: route.isActive,
             createdBy: route.createdBy,
             totalCheckpoints: route.checkpoints?.length || 0,
@@ -789,6 +926,7 @@ exports.getAllUserAssignments = async (req, res) => {
           progress: {
             total: checkpointInfo.checkpointSummary.total,
             completed: checkpointInfo.checkpointSummary.completed,
+            skipped: checkpointInfo.checkpointSummary.skipped,
             pending: checkpointInfo.checkpointSummary.pending,
             percentage: checkpointInfo.checkpointSummary.completionRate,
             nextCheckpoint: checkpointInfo.checkpointSummary.nextCheckpoint,
@@ -798,10 +936,10 @@ exports.getAllUserAssignments = async (req, res) => {
           // Status and action information
           statusInfo: {
             canStart: assignment.status === 'assigned',
-            canComplete: assignment.status === 'in_progress' && checkpointInfo.checkpointSummary.completed === checkpointInfo.checkpointSummary.total,
+            canComplete: assignment.status === 'in_progress' && checkpointInfo.checkpointSummary.pending === 0,
             canCancel: ['assigned', 'in_progress'].includes(assignment.status),
             isActive: ['assigned', 'in_progress'].includes(assignment.status),
-            isFinished: ['completed', 'cancelled'].includes(assignment.status),
+            isFinished: FINISHED_ASSIGNMENT_STATUSES.includes(assignment.status),
             canScanCheckpoint: assignment.status === 'in_progress' && checkpointInfo.checkpointSummary.pending > 0
           },
 
@@ -831,13 +969,16 @@ exports.getAllUserAssignments = async (req, res) => {
       total: {
         allAssignments: assignmentsWithFullDetails.length,
         activeAssignments: assignmentsWithFullDetails.filter(a => ['assigned', 'in_progress'].includes(a.assignment.status)).length,
-        finishedAssignments: assignmentsWithFullDetails.filter(a => ['completed', 'cancelled'].includes(a.assignment.status)).length
+        finishedAssignments: assignmentsWithFullDetails.filter(a => FINISHED_ASSIGNMENT_STATUSES.includes(a.assignment.status)).length
       },
       byStatus: {
         assigned: assignmentsWithFullDetails.filter(a => a.assignment.status === 'assigned').length,
         inProgress: assignmentsWithFullDetails.filter(a => a.assignment.status === 'in_progress').length,
         completed: assignmentsWithFullDetails.filter(a => a.assignment.status === 'completed').length,
-        cancelled: assignmentsWithFullDetails.filter(a => a.assignment.status === 'cancelled').length
+        cancelled: assignmentsWithFullDetails.filter(a => a.assignment.status === 'cancelled').length,
+        expired: assignmentsWithFullDetails.filter(a => a.assignment.status === 'expired').length,
+        missed: assignmentsWithFullDetails.filter(a => a.assignment.status === 'missed').length,
+        handedOver: assignmentsWithFullDetails.filter(a => a.assignment.status === 'handed_over').length
       },
       checkpoints: {
         totalCheckpoints: assignmentsWithFullDetails.reduce((sum, a) => sum + a.progress.total, 0),
@@ -932,9 +1073,10 @@ exports.getUserCompletedAssignments = async (req, res) => {
       });
     }
 
-    // Build where clause for completed assignments
+    // Build where clause for completed assignments (team assignments included)
+    const memberAssignmentIds = await findMemberAssignmentIds(userId);
     const whereClause = {
-      userId,
+      ...(await userAssignmentCondition(userId, memberAssignmentIds)),
       isActive: true,
       status: 'completed'
     };
@@ -964,9 +1106,10 @@ exports.getUserCompletedAssignments = async (req, res) => {
       completedAssignments.map(async (assignment) => {
         const route = await Route.findByPk(assignment.routeId);
         const completedCheckpointIds = assignment.completedCheckpoints || [];
+        const team = await getTeamDetails(assignment);
 
         // Get detailed checkpoint information
-        const checkpointInfo = await getDetailedCheckpointInfo(route, completedCheckpointIds);
+        const checkpointInfo = await getDetailedCheckpointInfo(route, completedCheckpointIds, assignment.skippedCheckpoints || []);
         
         // Calculate completion time and performance metrics
         const startTime = assignment.startDate ? new Date(assignment.startDate) : null;
@@ -979,12 +1122,15 @@ exports.getUserCompletedAssignments = async (req, res) => {
           assignment: {
             id: assignment.id,
             userId: assignment.userId,
+            teamRole: getTeamRole(assignment, userId, memberAssignmentIds),
+            team,
             routeId: assignment.routeId,
             status: assignment.status,
             startDate: assignment.startDate,
             endDate: assignment.endDate,
             notes: assignment.notes,
             completedCheckpoints: completedCheckpointIds,
+            skippedCheckpoints: assignment.skippedCheckpoints || [],
             isActive: assignment.isActive,
             createdAt: assignment.createdAt,
             updatedAt: assignment.updatedAt
@@ -997,6 +1143,7 @@ exports.getUserCompletedAssignments = async (req, res) => {
             description: route.description,
             estimatedDuration: route.estimatedDuration,
             priority: route.priority || 'medium',
+            patrolMode: route.patrolMode,
             isActive: route.isActive,
             createdBy: route.createdBy,
             totalCheckpoints: route.checkpoints?.length || 0,
@@ -1192,7 +1339,48 @@ exports.updateAssignment = async (req, res) => {
       }
     }
 
-    const allowedFields = ['startDate', 'endDate', 'notes', 'status'];
+    // Status only moves between open states here; finishing or reopening an assignment goes
+    // through complete / cancel / handover (and the expiry job)
+    if (updateData.status !== undefined && updateData.status !== assignment.status) {
+      if (FINISHED_ASSIGNMENT_STATUSES.includes(assignment.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot change the status of an assignment with status: ${assignment.status}`,
+          error: 'ASSIGNMENT_FINISHED'
+        });
+      }
+      if (!OPEN_ASSIGNMENT_STATUSES.includes(updateData.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status can only be set to ${OPEN_ASSIGNMENT_STATUSES.join(' or ')}; use the complete, cancel or handover actions instead`,
+        });
+      }
+    }
+
+    // Moving the planned window (e.g. extending a shift) keeps an open assignment from expiring
+    if (updateData.plannedStartAt !== undefined || updateData.plannedEndAt !== undefined) {
+      if (!['assigned', 'in_progress'].includes(assignment.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change the planned window of an assignment with status: ${assignment.status}`,
+        });
+      }
+
+      const plannedWindow = resolvePlannedWindow({
+        plannedStartAt: updateData.plannedStartAt !== undefined ? updateData.plannedStartAt : assignment.plannedStartAt,
+        plannedEndAt: updateData.plannedEndAt !== undefined ? updateData.plannedEndAt : assignment.plannedEndAt
+      });
+      if (!plannedWindow.valid) {
+        return res.status(400).json({
+          success: false,
+          message: plannedWindow.message,
+        });
+      }
+      updateData.plannedStartAt = plannedWindow.plannedStartAt;
+      updateData.plannedEndAt = plannedWindow.plannedEndAt;
+    }
+
+    const allowedFields = ['startDate', 'endDate', 'plannedStartAt', 'plannedEndAt', 'notes', 'status'];
     const filteredData = Object.keys(updateData)
       .filter(key => allowedFields.includes(key))
       .reduce((obj, key) => {
@@ -1245,12 +1433,30 @@ exports.startRoute = async (req, res) => {
       });
     }
 
+    // Officers without assignment:update may only start their own (or their team's) routes
+    if (!hasPermission(req.user.role, 'assignment:update') && !(await isTeamMember(assignment, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only start your own route assignments',
+      });
+    }
+
+    if (isPastWindow(assignment)) {
+      return res.status(400).json({
+        success: false,
+        message: `The planned window for this patrol ended at ${new Date(assignment.plannedEndAt).toLocaleString()}`,
+        error: 'WINDOW_ENDED'
+      });
+    }
+
     await assignment.update({
       status: 'in_progress',
       startDate: new Date(),
       notes: notes || `Route started at ${new Date().toLocaleString()}`,
     });
 
+    publishAssignmentEvent('assignment.started', assignment, { startedBy: req.user.id });
+
     res.status(200).json({
       success: true,
       message: 'Route started successfully',
@@ -1293,26 +1499,52 @@ exports.completeRoute = async (req, res) => {
       });
     }
 
-    if (assignment.status === 'completed') {
-      return res.status(400).json({
+    // Finished assignments (including handed over ones) are never completed, not even by force
+    if (FINISHED_ASSIGNMENT_STATUSES.includes(assignment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: assignment.status === 'completed'
+          ? 'Assignment is already completed'
+          : `Cannot complete assignment with status: ${assignment.status}`,
+        error: 'ASSIGNMENT_FINISHED'
+      });
+    }
+
+    // Officers without assignment:update may only complete their own (or their team's) routes,
+    // and never force complete
+    const canManage = hasPermission(req.user.role, 'assignment:update');
+    if (!canManage && !(await isTeamMember(assignment, req.user.id))) {
+      return res.status(403).json({
         success: false,
-        message: 'Assignment is already completed',
+        message: 'You can only complete your own route assignments',
+      });
+    }
+
+    if (forceComplete && !canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions to force complete a route',
+        error: 'PERMISSION_DENIED'
       });
     }
 
     const route = await Route.findByPk(assignment.routeId);
     const totalCheckpoints = route?.checkpoints?.length || 0;
     const completedCheckpoints = assignment.completedCheckpoints?.length || 0;
+    // Checkpoints skipped with a reason (sequence_with_skips routes) count as done
+    const skippedCheckpoints = assignment.skippedCheckpoints?.length || 0;
+    const remainingCheckpoints = totalCheckpoints - completedCheckpoints - skippedCheckpoints;
 
-    if (completedCheckpoints < totalCheckpoints && !forceComplete) {
+    if (remainingCheckpoints > 0 && !forceComplete) {
       return res.status(400).json({
         success: false,
-        message: `Cannot complete route. ${totalCheckpoints - completedCheckpoints} checkpoints remaining.`,
+        message: `Cannot complete route. ${remainingCheckpoints} checkpoints remaining.`,
         error: 'INCOMPLETE_CHECKPOINTS',
         data: {
           totalCheckpoints,
           completedCheckpoints,
-          remainingCheckpoints: totalCheckpoints - completedCheckpoints,
+          skippedCheckpoints,
+          remainingCheckpoints,
           canForceComplete: true,
           suggestion: 'Complete all checkpoints or use forceComplete=true to override'
         }
@@ -1325,6 +1557,12 @@ exports.completeRoute = async (req, res) => {
       notes: notes || `Route completed at ${new Date().toLocaleString()}${forceComplete ? ' (Force completed)' : ''}`,
     });
 
+    publishAssignmentEvent('assignment.completed', assignment, {
+      completedBy: req.user.id,
+      forceComplete: Boolean(forceComplete),
+      remainingCheckpoints: Math.max(remainingCheckpoints, 0)
+    });
+
     res.status(200).json({
       success: true,
       message: `Route completed successfully${forceComplete ? ' (force completed)' : ''}`,
@@ -1377,6 +1615,8 @@ exports.cancelAssignment = async (req, res) => {
       notes: cancellationNotes,
     });
 
+    publishAssignmentEvent('assignment.cancelled', assignment, { cancelledBy: req.user.id, reason: cancellationReason });
+
     res.status(200).json({
       success: true,
       message: 'Assignment cancelled successfully',
@@ -1392,6 +1632,244 @@ exports.cancelAssignment = async (req, res) => {
   }
 };
 
+// Hand an open assignment over to another officer. The current assignment is closed as
+// handed_over and a linked assignment is created for the new officer that carries over
+// the completed and skipped checkpoints, so it continues from the next pending checkpoint.
+// Scans stay on the assignment (and officer) that recorded them.
+exports.handoverAssignment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { toUserId, memberIds, reason, plannedEndAt, notes } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignment ID',
+      });
+    }
+
+    const newUserId = parseInt(toUserId);
+    if (!Number.isInteger(newUserId) || newUserId <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'toUserId must be a valid user ID',
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a handover',
+      });
+    }
+
+    const assignment = await RouteAssignment.findByPk(id);
+    if (!assignment || !assignment.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (!['assigned', 'in_progress'].includes(assignment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot hand over assignment with status: ${assignment.status}`,
+      });
+    }
+
+    if (newUserId === assignment.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The assignment is already with this officer',
+      });
+    }
+
+    const user = await User.findByPk(newUserId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const route = await Route.findByPk(assignment.routeId);
+    if (!route || !route.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Route is not active',
+      });
+    }
+
+    // The new officer starts now and, unless told otherwise, keeps the current window
+    const plannedWindow = resolvePlannedWindow({
+      plannedStartAt: new Date(),
+      plannedEndAt: plannedEndAt || assignment.plannedEndAt
+    });
+    if (!plannedWindow.valid) {
+      return res.status(400).json({
+        success: false,
+        message: plannedWindow.message,
+      });
+    }
+
+    const [leadNotPosted] = await findOfficersNotPosted([newUserId], route.policeStationId);
+    if (leadNotPosted) {
+      return res.status(400).json({
+        success: false,
+        message: `User ${leadNotPosted} is not posted at the route's police station`,
+      });
+    }
+
+    // The assignment being handed over no longer holds the route
+    const conflict = await checkAssignmentConflicts(route, newUserId, { excludeAssignmentId: assignment.id });
+    if (!conflict.allowed) {
+      return res.status(conflict.status).json({
+        success: false,
+        message: conflict.message,
+        error: conflict.error,
+        data: conflict.data
+      });
+    }
+
+    const team = await validateTeamMembers(route, newUserId, memberIds, { excludeAssignmentId: assignment.id });
+    if (!team.valid) {
+      return res.status(team.status).json({
+        success: false,
+        message: team.message,
+        error: team.error,
+        data: team.data
+      });
+    }
+
+    const now = new Date();
+    const handoverReason = String(reason).trim();
+    const fromUserId = assignment.userId;
+
+    const handover = await sequelize.transaction(async (transaction) => {
+      // Only hand over if nobody completed, cancelled or handed it over in the meantime
+      const current = await RouteAssignment.findByPk(assignment.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!['assigned', 'in_progress'].includes(current.status)) return { changed: true };
+
+      // A dwell check-in cannot be carried over: the new officer has not been there
+      const checkIns = await CheckpointScan.findAll({
+        where: { routeAssignmentId: current.id, scanType: 'check_in', isValid: true },
+        attributes: ['checkpointId'],
+        transaction
+      });
+      const openCheckIns = checkIns
+        .map(scan => scan.checkpointId)
+        .filter(checkpointId => !(current.completedCheckpoints || []).includes(checkpointId));
+      if (openCheckIns.length > 0) return { openCheckIns };
+
+      const created = await RouteAssignment.create({
+        userId: newUserId,
+        routeId: current.routeId,
+        policeStationId: current.policeStationId || route.policeStationId,
+        startDate: now,
+        plannedStartAt: plannedWindow.plannedStartAt,
+        plannedEndAt: plannedWindow.plannedEndAt,
+        status: 'assigned',
+        completedCheckpoints: current.completedCheckpoints || [],
+        skippedCheckpoints: current.skippedCheckpoints || [],
+        inheritedCheckpoints: current.completedCheckpoints || [],
+        handedOverFromId: current.id,
+        notes: notes || `Route handed over from user ${fromUserId} at ${now.toLocaleString()}. Reason: ${handoverReason}`
+      }, { transaction });
+
+      if (team.members.length > 0) {
+        await RouteAssignmentMember.bulkCreate(
+          team.members.map(member => ({ routeAssignmentId: created.id, userId: member.id, addedBy: req.user.id })),
+          { transaction }
+        );
+      }
+
+      await current.update({
+        status: 'handed_over',
+        endDate: now,
+        handedOverToId: created.id,
+        handedOverAt: now,
+        handedOverBy: req.user.id,
+        handoverReason,
+        notes: `Route handed over to user ${newUserId} at ${now.toLocaleString()}. Reason: ${handoverReason}`
+      }, { transaction });
+      assignment.set(current.get());
+
+      return { created };
+    });
+
+    if (handover.changed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Assignment changed while handing over, please retry',
+        error: 'ASSIGNMENT_CHANGED'
+      });
+    }
+
+    if (handover.openCheckIns) {
+      return res.status(409).json({
+        success: false,
+        message: 'The officer is checked in at a dwell checkpoint. The officer must check out before the route can be handed over.',
+        error: 'CHECK_IN_OPEN',
+        data: { checkpointIds: handover.openCheckIns }
+      });
+    }
+
+    const newAssignment = handover.created;
+
+    const totalCheckpoints = route.checkpoints ? route.checkpoints.length : 0;
+    const completedIds = newAssignment.completedCheckpoints || [];
+    const skippedIds = getSkippedCheckpointIds(newAssignment);
+    const progress = {
+      total: totalCheckpoints,
+      completed: completedIds.length,
+      skipped: skippedIds.length,
+      remaining: Math.max(totalCheckpoints - completedIds.length - skippedIds.length, 0),
+      nextCheckpointId: getNextExpectedCheckpointId(route, completedIds, skippedIds)
+    };
+
+    publishAssignmentEvent('assignment.handed_over', assignment, {
+      routeName: route.name,
+      handedOverBy: req.user.id,
+      reason: handoverReason,
+      toUserId: newAssignment.userId,
+      newAssignmentId: newAssignment.id,
+      progress
+    });
+    publishAssignmentEvent('assignment.created', newAssignment, {
+      routeName: route.name,
+      assignedBy: req.user.id,
+      memberIds: team.members.map(member => member.id),
+      handedOverFromId: assignment.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Assignment handed over successfully',
+      data: {
+        previousAssignment: assignment,
+        assignment: newAssignment,
+        user: {
+          id: user.id,
+          username: user.username || `User_${user.id}`
+        },
+        team: team.members.length > 0 ? {
+          lead: { id: user.id, username: user.username || `User_${user.id}` },
+          members: team.members.map(member => ({ id: member.id, username: member.username || `User_${member.id}` }))
+        } : null,
+        progress
+      }
+    });
+  } catch (error) {
+    console.error('Handover assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hand over assignment',
+      error: error.message,
+    });
+  }
+};
+
 // Delete Assignment
 exports.deleteAssignment = async (req, res) => {
   try {
@@ -1517,6 +1995,14 @@ exports.getCheckpointsByPoliceStation = async (req, res) => {
       });
     }
 
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const whereClause = {
       isActive: true,
@@ -1553,9 +2039,10 @@ exports.getCheckpointsByPoliceStation = async (req, res) => {
     if (includeRouteData !== 'true') {
       return res.status(200).json({
         success: true,
-        message: `Found ${count} checkpoints for police station ${policeStationId}`,
+        message: `Found ${count} checkpoints for police station ${policeStation.name}`,
         data: {
           policeStationId: parseInt(policeStationId),
+          policeStation: toStationSummary(policeStation),
           checkpoints: checkpointsWithCoords,
           pagination: {
             total: count,
@@ -1926,9 +2413,10 @@ exports.getCheckpointsByPoliceStation = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Found ${count} checkpoints for police station ${policeStationId} with route data and user details`,
+      message: `Found ${count} checkpoints for police station ${policeStation.name} with route data and user details`,
       data: {
         policeStationId: parseInt(policeStationId),
+        policeStation: toStationSummary(policeStation),
         checkpoints: checkpointsWithRouteData,
         pagination: {
           total: count,
@@ -1948,4 +2436,173 @@ exports.getCheckpointsByPoliceStation = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// Record a batch of GPS breadcrumbs for an in-progress assignment (own or team assignments;
+// each team member records their own track)
+exports.recordTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { points } = req.body;
+
+    const assignment = await RouteAssignment.findOne({ where: { id, isActive: true } });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (!(await isTeamMember(assignment, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record the track of your own route assignments',
+      });
+    }
+
+    if (assignment.status !== 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'Track points can only be recorded while the route is in progress',
+        error: 'ASSIGNMENT_NOT_IN_PROGRESS'
+      });
+    }
+
+    const lastSegment = await PatrolTrackSegment.findOne({
+      where: { routeAssignmentId: assignment.id, userId: req.user.id },
+      order: [['endedAt', 'DESC']]
+    });
+
+    const normalized = normalizeTrackPoints(points, {
+      notBefore: assignment.startDate,
+      after: lastSegment ? lastSegment.endedAt : null
+    });
+    if (!normalized.valid) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.message,
+      });
+    }
+
+    if (normalized.points.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'No new track points to record',
+        data: { accepted: 0, dropped: normalized.dropped, lastPointAt: lastSegment ? lastSegment.endedAt : null }
+      });
+    }
+
+    // Distance continues from the end of the previous batch
+    const previousPoint = lastSegment ? expandSegments([lastSegment]).pop() : null;
+    const compact = compactPoints(normalized.points);
+
+    const segment = await PatrolTrackSegment.create({
+      routeAssignmentId: assignment.id,
+      userId: req.user.id,
+      startedAt: compact.startedAt,
+      endedAt: compact.endedAt,
+      pointCount: compact.points.length,
+      points: compact.points,
+      distanceMeters: Math.round(pathDistance(normalized.points, previousPoint))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Recorded ${segment.pointCount} track point(s)`,
+      data: {
+        segmentId: segment.id,
+        accepted: segment.pointCount,
+        dropped: normalized.dropped,
+        distanceMeters: segment.distanceMeters,
+        lastPointAt: segment.endedAt
+      }
+    });
+  } catch (error) {
+    console.error('Record track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record track points',
+      error: error.message,
+    });
+  }
+};
+
+// Get the recorded track as GeoJSON (default) or GPX (?format=gpx), with distance and idle periods.
+// For a team, ?userId selects the member (default: the lead, or the first member with a track).
+exports.getTrack = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'geojson', userId } = req.query;
+
+    if (!['geojson', 'gpx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be geojson or gpx',
+      });
+    }
+
+    const assignment = await RouteAssignment.findOne({
+      where: { id, isActive: true },
+      include: [
+        { model: Route, attributes: ['id', 'name'] },
+        { model: User, attributes: ['id', 'username', 'smartusername'] }
+      ]
+    });
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    const allSegments = await PatrolTrackSegment.findAll({
+      where: { routeAssignmentId: assignment.id },
+      order: [['startedAt', 'ASC']]
+    });
+
+    const trackedUserIds = [...new Set(allSegments.map(segment => segment.userId))];
+    const trackUserId = userId
+      ? parseInt(userId)
+      : trackedUserIds.includes(assignment.userId) || trackedUserIds.length === 0 ? assignment.userId : trackedUserIds[0];
+
+    const segments = allSegments.filter(segment => segment.userId === trackUserId);
+    const points = expandSegments(segments);
+    const stats = buildTrackStats(points);
+    const routeName = assignment.Route ? assignment.Route.name : `Route ${assignment.routeId}`;
+    const trackUser = trackUserId === assignment.userId
+      ? assignment.User
+      : await User.findByPk(trackUserId, { attributes: ['id', 'username', 'smartusername'] });
+    const officerName = trackUser ? (trackUser.smartusername || trackUser.username) : `User ${trackUserId}`;
+
+    if (format === 'gpx') {
+      const gpx = toGpx(points, stats, {
+        name: `${routeName} - assignment ${assignment.id}`,
+        description: `Patrol by ${officerName}`
+      });
+      res.setHeader('Content-Type', 'application/gpx+xml; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="patrol-track-assignment-${assignment.id}.gpx"`);
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.send(gpx);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toGeoJson(points, stats, {
+        routeAssignmentId: assignment.id,
+        routeId: assignment.routeId,
+        routeName,
+        userId: trackUserId,
+        officerName,
+        status: assignment.status,
+        trackedUserIds
+      })
+    });
+  } catch (error) {
+    console.error('Get track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch patrol track',
+      error: error.message,
+    });
+  }
+};
@@ -3,6 +3,9 @@ const Route = require('../models/Route');
 const User = require('../models/User');
 const Checkpoint = require('../models/Checkpoint');
 const { Op } = require('sequelize');
+const { findActivePoliceStation, toStationSummary } = require('../services/policeStationService');
+const { hasStationAccess, scopedStationCondition } = require('../middlewares/stationScopeMiddleware');
+const { PATROL_MODES, DEFAULT_PATROL_MODE } = require('../services/patrolSequenceService');
 
 // Helper function to validate checkpoint IDs exist in database
 const validateCheckpointIds = async (checkpointIds) => {
@@ -50,7 +53,7 @@ const validateCheckpointIds = async (checkpointIds) => {
           [Op.in]: uniqueIds
         }
       },
-      attributes: ['id', 'name', 'isActive', 'lat_long', 'address']
+      attributes: ['id', 'name', 'isActive', 'lat_long', 'address', 'policeStationId']
     });
 
     const foundIds = foundCheckpoints.map(cp => cp.id);
@@ -137,13 +140,18 @@ const validateRouteData = (routeData) => {
     errors.push('Priority must be one of: low, medium, high, urgent');
   }
 
+  // Validate patrolMode if provided
+  if (routeData.patrolMode && !PATROL_MODES.includes(routeData.patrolMode)) {
+    errors.push(`Patrol mode must be one of: ${PATROL_MODES.join(', ')}`);
+  }
+
   return errors;
 };
 
 // Create Route
 exports.createRoute = async (req, res) => {
   try {
-    const { name, description, checkpoints, estimatedDuration, priority, createdBy, policeStationId } = req.body;
+    const { name, description, checkpoints, estimatedDuration, priority, patrolMode, createdBy, policeStationId } = req.body;
 
     // Basic validation
     const validationErrors = validateRouteData(req.body);
@@ -155,6 +163,14 @@ exports.createRoute = async (req, res) => {
       });
     }
 
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found'
+      });
+    }
+
     // Validate checkpoint IDs exist in database
     const checkpointValidation = await validateCheckpointIds(checkpoints);
     if (!checkpointValidation.valid) {
@@ -167,6 +183,16 @@ exports.createRoute = async (req, res) => {
       });
     }
 
+    // Routes may only use checkpoints from stations the user can access
+    const outOfScopeCheckpoints = checkpointValidation.validCheckpoints.filter(cp => !hasStationAccess(req, cp.policeStationId));
+    if (outOfScopeCheckpoints.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have access to checkpoint(s): [${outOfScopeCheckpoints.map(cp => cp.id).join(', ')}]`,
+        error: 'STATION_ACCESS_DENIED'
+      });
+    }
+
     // Check if route name already exists for the same police station
     const existingRoute = await Route.findOne({
       where: {
@@ -179,7 +205,7 @@ exports.createRoute = async (req, res) => {
     if (existingRoute) {
       return res.status(409).json({
         success: false,
-        message: `Route with name "${name.trim()}" already exists in police station ${policeStationId}. Please choose a different name.`
+        message: `Route with name "${name.trim()}" already exists in police station ${policeStation.name}. Please choose a different name.`
       });
     }
 
@@ -192,6 +218,7 @@ exports.createRoute = async (req, res) => {
       checkpoints: validCheckpointIds,
       estimatedDuration: estimatedDuration || null,
       priority: priority || 'medium',
+      patrolMode: patrolMode || DEFAULT_PATROL_MODE,
       createdBy: createdBy || 1, // Default user ID, should come from auth
       policeStationId: Number(policeStationId)
     });
@@ -209,6 +236,7 @@ exports.createRoute = async (req, res) => {
       message: 'Route created successfully',
       data: {
         ...route.toJSON(),
+        policeStation: toStationSummary(policeStation),
         checkpointDetails: checkpointDetails,
         totalCheckpoints: validCheckpointIds.length
       }
@@ -256,9 +284,10 @@ exports.getAllRoutes = async (req, res) => {
       whereClause.priority = priority;
     }
 
-    // Add police station filter
-    if (policeStationId) {
-      whereClause.policeStationId = parseInt(policeStationId);
+    // Add police station filter, otherwise limit to the user's stations
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) {
+      whereClause.policeStationId = stationCondition;
     }
 
     const { count, rows: routes } = await Route.findAndCountAll({
@@ -326,6 +355,14 @@ exports.getRoutesByPoliceStation = async (req, res) => {
       });
     }
 
+    const policeStation = await findActivePoliceStation(policeStationId);
+    if (!policeStation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Police station not found',
+      });
+    }
+
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const whereClause = { 
       isActive: true,
@@ -376,9 +413,10 @@ exports.getRoutesByPoliceStation = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Found ${count} routes for police station ${policeStationId}`,
+      message: `Found ${count} routes for police station ${policeStation.name}`,
       data: {
         policeStationId: parseInt(policeStationId),
+        policeStation: toStationSummary(policeStation),
         routes: routesWithCheckpoints,
         pagination: {
           total: count,
@@ -427,7 +465,7 @@ exports.getRouteById = async (req, res) => {
           [Op.in]: route.checkpoints
         }
       },
-      attributes: ['id', 'name', 'lat_long', 'address', 'isActive'],
+      attributes: ['id', 'name', 'lat_long', 'address', 'scanRadius', 'geofence', 'geofenceBuffer', 'timeWindows', 'minDwellMinutes', 'isActive'],
       order: [['id', 'ASC']]
     });
 
@@ -503,6 +541,14 @@ exports.updateRoute = async (req, res) => {
         });
       }
       updateData.policeStationId = Number(updateData.policeStationId);
+
+      const policeStation = await findActivePoliceStation(updateData.policeStationId);
+      if (!policeStation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Police station not found'
+        });
+      }
     }
 
     // Validate update data
@@ -527,6 +573,14 @@ exports.updateRoute = async (req, res) => {
           inactiveIds: checkpointValidation.inactiveIds
         });
       }
+      const outOfScopeCheckpoints = checkpointValidation.validCheckpoints.filter(cp => !hasStationAccess(req, cp.policeStationId));
+      if (outOfScopeCheckpoints.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have access to checkpoint(s): [${outOfScopeCheckpoints.map(cp => cp.id).join(', ')}]`,
+          error: 'STATION_ACCESS_DENIED'
+        });
+      }
       // Use validated checkpoint IDs
       updateData.checkpoints = checkpointValidation.validCheckpoints.map(cp => cp.id);
     }
@@ -0,0 +1,155 @@
+// controllers/scanAttemptController.js
+const ScanAttempt = require('../models/ScanAttempt');
+const Checkpoint = require('../models/Checkpoint');
+const User = require('../models/User');
+const { Op, fn, col, literal } = require('sequelize');
+const { scopedStationCondition } = require('../middlewares/stationScopeMiddleware');
+
+const GROUP_BY_FIELDS = {
+  user: 'userId',
+  checkpoint: 'checkpointId',
+  reason: 'reason'
+};
+
+// Shared filters for the list and summary endpoints
+const buildAttemptWhere = (req) => {
+  const { userId, checkpointId, reason, suspicious, source, policeStationId, startDate, endDate } = req.query;
+
+  const whereClause = {};
+  if (userId) whereClause.userId = parseInt(userId);
+  if (checkpointId) whereClause.checkpointId = parseInt(checkpointId);
+  if (reason) whereClause.reason = { [Op.in]: reason.split(',').map(code => code.trim()).filter(Boolean) };
+  if (suspicious !== undefined) whereClause.suspicious = suspicious === 'true';
+  if (source) whereClause.source = source;
+
+  if (startDate || endDate) {
+    whereClause.createdAt = {};
+    if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+    if (endDate) whereClause.createdAt[Op.lte] = new Date(endDate);
+  }
+
+  // Limit to the user's stations
+  const stationCondition = scopedStationCondition(req, policeStationId);
+  if (stationCondition !== undefined) whereClause.policeStationId = stationCondition;
+
+  return whereClause;
+};
+
+// Get Scan Attempts (rejected scans, with pagination and filters)
+exports.getScanAttempts = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { count, rows: scanAttempts } = await ScanAttempt.findAndCountAll({
+      where: buildAttemptWhere(req),
+      include: [
+        {
+          model: User,
+          attributes: ['id', 'username', 'smartusername', 'smartuserrank']
+        },
+        {
+          model: Checkpoint,
+          attributes: ['id', 'name', 'lat_long', 'policeStationId']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scanAttempts,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scan attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scan attempts',
+      error: error.message,
+    });
+  }
+};
+
+// Aggregate rejected scans by officer, checkpoint or reason
+exports.getScanAttemptSummary = async (req, res) => {
+  try {
+    const { groupBy = 'reason', limit = 50 } = req.query;
+
+    const field = GROUP_BY_FIELDS[groupBy];
+    if (!field) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(GROUP_BY_FIELDS).join(', ')}`,
+      });
+    }
+
+    const rows = await ScanAttempt.findAll({
+      where: buildAttemptWhere(req),
+      attributes: [
+        field,
+        [fn('COUNT', col('id')), 'attempts'],
+        [fn('COUNT', literal('CASE WHEN "suspicious" THEN 1 END')), 'suspiciousCount'],
+        [fn('AVG', col('distance')), 'avgDistance'],
+        [fn('MIN', col('distance')), 'minDistance'],
+        [fn('MAX', col('createdAt')), 'lastAttemptAt']
+      ],
+      group: [field],
+      order: [[fn('COUNT', col('id')), 'DESC']],
+      limit: parseInt(limit),
+      raw: true
+    });
+
+    // Attach names for the grouped officers / checkpoints
+    let names = {};
+    const ids = rows.map(row => row[field]).filter(Boolean);
+    if (groupBy === 'user' && ids.length > 0) {
+      const users = await User.findAll({
+        where: { id: { [Op.in]: ids } },
+        attributes: ['id', 'username', 'smartusername', 'smartuserrank']
+      });
+      names = Object.fromEntries(users.map(user => [user.id, user]));
+    } else if (groupBy === 'checkpoint' && ids.length > 0) {
+      const checkpoints = await Checkpoint.findAll({
+        where: { id: { [Op.in]: ids } },
+        attributes: ['id', 'name', 'policeStationId']
+      });
+      names = Object.fromEntries(checkpoints.map(checkpoint => [checkpoint.id, checkpoint]));
+    }
+
+    const summary = rows.map(row => ({
+      [field]: row[field],
+      ...(groupBy === 'user' ? { user: names[row[field]] || null } : {}),
+      ...(groupBy === 'checkpoint' ? { checkpoint: names[row[field]] || null } : {}),
+      attempts: parseInt(row.attempts),
+      suspiciousCount: parseInt(row.suspiciousCount) || 0,
+      avgDistance: row.avgDistance !== null ? Math.round(parseFloat(row.avgDistance)) : null,
+      minDistance: row.minDistance !== null ? Math.round(parseFloat(row.minDistance)) : null,
+      lastAttemptAt: row.lastAttemptAt
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groupBy,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Get scan attempt summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scan attempt summary',
+      error: error.message,
+    });
+  }
+};
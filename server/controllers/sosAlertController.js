@@ -0,0 +1,477 @@
+// controllers/sosAlertController.js
+const SosAlert = require('../models/SosAlert');
+const User = require('../models/User');
+const Route = require('../models/Route');
+const RouteAssignment = require('../models/RouteAssignment');
+const sequelize = require('../config/database');
+const { Op, fn, col, literal } = require('sequelize');
+const { hasPermission } = require('../config/permissions');
+const { scopedStationCondition } = require('../middlewares/stationScopeMiddleware');
+const { validateLatLong } = require('../services/geoService');
+const {
+  findStationSupervisors,
+  getResponseTimes,
+  buildSosNotification,
+  buildAcknowledgedNotification,
+  notifyInBackground
+} = require('../services/sosAlertService');
+const { publishStationEvent } = require('../services/stationEventService');
+const { userAssignmentCondition } = require('../services/assignmentService');
+
+const SOS_STATUSES = ['active', 'acknowledged', 'resolved'];
+const userAttributes = ['id', 'username', 'smartusername', 'smartuserrank'];
+
+const alertIncludes = [
+  { model: User, as: 'officer', attributes: userAttributes },
+  { model: User, as: 'acknowledger', attributes: userAttributes },
+  { model: User, as: 'resolver', attributes: userAttributes },
+  {
+    model: RouteAssignment,
+    attributes: ['id', 'routeId', 'status'],
+    include: [{ model: Route, attributes: ['id', 'name'] }]
+  }
+];
+
+const withResponseTimes = (alert) => ({
+  ...alert.toJSON(),
+  responseTimes: getResponseTimes(alert)
+});
+
+// Raise SOS (officer or team member on an in_progress assignment). Pressing again
+// while an alert is open updates its location instead of raising a second alert.
+exports.raiseSos = async (req, res) => {
+  try {
+    const { assignmentId, lat_long, gpsAccuracy, message } = req.body;
+    const userId = req.user.id;
+
+    if (!assignmentId || !lat_long) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignmentId and lat_long are required',
+      });
+    }
+
+    const latLongValidation = validateLatLong(lat_long);
+    if (!latLongValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: latLongValidation.message,
+      });
+    }
+
+    const assignment = await RouteAssignment.findOne({
+      where: { id: assignmentId, ...(await userAssignmentCondition(userId)), isActive: true, status: 'in_progress' },
+      include: [{ model: Route, attributes: ['id', 'name', 'policeStationId'] }]
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active route assignment found. SOS can only be raised during a started route.',
+        error: 'NO_ACTIVE_ASSIGNMENT'
+      });
+    }
+
+    const accuracy = gpsAccuracy !== undefined && gpsAccuracy !== null ? parseFloat(gpsAccuracy) : null;
+
+    const policeStationId = assignment.policeStationId || (assignment.Route && assignment.Route.policeStationId);
+
+    // Lock the assignment row so two quick presses cannot both raise an alert
+    const { alert, openAlert } = await sequelize.transaction(async (transaction) => {
+      await RouteAssignment.findByPk(assignment.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+      const existing = await SosAlert.findOne({
+        where: { userId, routeAssignmentId: assignment.id, status: { [Op.ne]: 'resolved' } },
+        order: [['createdAt', 'DESC']],
+        transaction
+      });
+      if (existing) {
+        await existing.update({ lastLatLong: String(lat_long).trim(), lastLocationAt: new Date() }, { transaction });
+        return { openAlert: existing };
+      }
+
+      const created = await SosAlert.create({
+        userId,
+        routeAssignmentId: assignment.id,
+        policeStationId,
+        lat_long: String(lat_long).trim(),
+        gpsAccuracy: Number.isFinite(accuracy) ? accuracy : null,
+        message: message ? String(message).trim().slice(0, 1000) : null
+      }, { transaction });
+      return { alert: created };
+    });
+
+    if (openAlert) {
+      return res.status(200).json({
+        success: true,
+        message: 'SOS alert is already active. Location updated.',
+        data: withResponseTimes(openAlert),
+      });
+    }
+
+    const [officer, supervisors] = await Promise.all([
+      User.findByPk(userId, { attributes: userAttributes }),
+      findStationSupervisors(policeStationId, userId)
+    ]);
+
+    notifyInBackground(alert.id, 'raised', buildSosNotification(alert, officer, assignment.Route), supervisors);
+    publishStationEvent('sos.raised', policeStationId, {
+      alertId: alert.id,
+      userId,
+      officerName: officer ? (officer.smartusername || officer.username) : null,
+      assignmentId: assignment.id,
+      lat_long: alert.lat_long,
+      message: alert.message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: supervisors.length > 0
+        ? `SOS alert raised. ${supervisors.length} supervisor(s) are being notified.`
+        : 'SOS alert raised. No supervisors are posted at this station; the control room webhook is being notified.',
+      data: {
+        ...withResponseTimes(alert),
+        notifiedSupervisors: supervisors.map(supervisor => supervisor.id)
+      },
+    });
+  } catch (error) {
+    console.error('Raise SOS error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to raise SOS alert',
+      error: error.message,
+    });
+  }
+};
+
+// Get SOS Alerts (with pagination, filters and police station scope)
+exports.getSosAlerts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, userId, routeAssignmentId, policeStationId, startDate, endDate } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereClause = {};
+    if (status) {
+      const statuses = status.split(',').map(item => item.trim()).filter(Boolean);
+      if (statuses.some(item => !SOS_STATUSES.includes(item))) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${SOS_STATUSES.join(', ')}`,
+        });
+      }
+      whereClause.status = { [Op.in]: statuses };
+    }
+    if (userId) whereClause.userId = parseInt(userId);
+    if (routeAssignmentId) whereClause.routeAssignmentId = parseInt(routeAssignmentId);
+
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    // Filter by police station if provided, otherwise limit to the user's stations
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) whereClause.policeStationId = stationCondition;
+
+    const { count, rows: alerts } = await SosAlert.findAndCountAll({
+      where: whereClause,
+      include: alertIncludes,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: offset,
+      distinct: true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        alerts: alerts.map(withResponseTimes),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get SOS alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SOS alerts',
+      error: error.message,
+    });
+  }
+};
+
+// Response-time summary per police station (counts, average / slowest acknowledgement and resolution)
+exports.getSosResponseSummary = async (req, res) => {
+  try {
+    const { policeStationId, startDate, endDate } = req.query;
+
+    const whereClause = {};
+    if (startDate || endDate) {
+      whereClause.createdAt = {};
+      if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    const stationCondition = scopedStationCondition(req, policeStationId);
+    if (stationCondition !== undefined) whereClause.policeStationId = stationCondition;
+
+    const acknowledgeSeconds = 'EXTRACT(EPOCH FROM ("acknowledgedAt" - "createdAt"))';
+    const resolveSeconds = 'EXTRACT(EPOCH FROM ("resolvedAt" - "createdAt"))';
+
+    const rows = await SosAlert.findAll({
+      where: whereClause,
+      attributes: [
+        'policeStationId',
+        [fn('COUNT', col('id')), 'alerts'],
+        [fn('COUNT', literal(`CASE WHEN "status" = 'active' THEN 1 END`)), 'active'],
+        [fn('COUNT', literal(`CASE WHEN "status" = 'acknowledged' THEN 1 END`)), 'acknowledged'],
+        [fn('COUNT', literal(`CASE WHEN "status" = 'resolved' THEN 1 END`)), 'resolved'],
+        [fn('COUNT', literal('CASE WHEN "falseAlarm" THEN 1 END')), 'falseAlarms'],
+        [fn('AVG', literal(acknowledgeSeconds)), 'avgAcknowledgeSeconds'],
+        [fn('MAX', literal(acknowledgeSeconds)), 'maxAcknowledgeSeconds'],
+        [fn('AVG', literal(resolveSeconds)), 'avgResolveSeconds'],
+        [fn('MAX', literal(resolveSeconds)), 'maxResolveSeconds']
+      ],
+      group: ['policeStationId'],
+      raw: true
+    });
+
+    const toSeconds = (value) => (value !== null && value !== undefined ? Math.round(parseFloat(value)) : null);
+
+    const summary = rows.map(row => ({
+      policeStationId: row.policeStationId,
+      alerts: parseInt(row.alerts),
+      active: parseInt(row.active) || 0,
+      acknowledged: parseInt(row.acknowledged) || 0,
+      resolved: parseInt(row.resolved) || 0,
+      falseAlarms: parseInt(row.falseAlarms) || 0,
+      avgAcknowledgeSeconds: toSeconds(row.avgAcknowledgeSeconds),
+      maxAcknowledgeSeconds: toSeconds(row.maxAcknowledgeSeconds),
+      avgResolveSeconds: toSeconds(row.avgResolveSeconds),
+      maxResolveSeconds: toSeconds(row.maxResolveSeconds)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { summary }
+    });
+  } catch (error) {
+    console.error('Get SOS response summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SOS response summary',
+      error: error.message,
+    });
+  }
+};
+
+// Get SOS Alert by ID (the raising officer or alert:read)
+exports.getSosAlertById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid SOS alert ID',
+      });
+    }
+
+    const alert = await SosAlert.findByPk(id, { include: alertIncludes });
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'SOS alert not found',
+      });
+    }
+
+    if (alert.userId !== req.user.id && !hasPermission(req.user.role, 'alert:read')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own SOS alerts',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withResponseTimes(alert)
+    });
+  } catch (error) {
+    console.error('Get SOS alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SOS alert',
+      error: error.message,
+    });
+  }
+};
+
+// Acknowledge SOS Alert (supervisor is responding)
+exports.acknowledgeSosAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid SOS alert ID',
+      });
+    }
+
+    const alert = await SosAlert.findByPk(id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'SOS alert not found',
+      });
+    }
+
+    if (alert.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: `SOS alert is already ${alert.status}`,
+      });
+    }
+
+    // Only the first supervisor to respond acknowledges the alert
+    const acknowledgement = { status: 'acknowledged', acknowledgedBy: req.user.id, acknowledgedAt: new Date() };
+    const [updated] = await SosAlert.update(acknowledgement, { where: { id: alert.id, status: 'active' } });
+    if (updated === 0) {
+      await alert.reload();
+      return res.status(409).json({
+        success: false,
+        message: `SOS alert is already ${alert.status}`,
+      });
+    }
+    alert.set(acknowledgement);
+
+    publishStationEvent('sos.acknowledged', alert.policeStationId, {
+      alertId: alert.id,
+      userId: alert.userId,
+      acknowledgedBy: req.user.id,
+      responseTimes: getResponseTimes(alert)
+    });
+
+    // Let the officer know help is on the way
+    const [supervisor, officer] = await Promise.all([
+      User.findByPk(req.user.id, { attributes: userAttributes }),
+      User.findByPk(alert.userId)
+    ]);
+    if (supervisor && officer) {
+      notifyInBackground(alert.id, 'acknowledged', buildAcknowledgedNotification(alert, supervisor), [officer]);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'SOS alert acknowledged',
+      data: withResponseTimes(alert),
+    });
+  } catch (error) {
+    console.error('Acknowledge SOS alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge SOS alert',
+      error: error.message,
+    });
+  }
+};
+
+// Resolve SOS Alert. Supervisors resolve with notes; the raising officer may only
+// cancel their own alert, which is recorded as a false alarm.
+exports.resolveSosAlert = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes, falseAlarm } = req.body;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid SOS alert ID',
+      });
+    }
+
+    const alert = await SosAlert.findByPk(id);
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'SOS alert not found',
+      });
+    }
+
+    const canManage = hasPermission(req.user.role, 'alert:manage');
+    const isOwnAlert = alert.userId === req.user.id;
+    if (!canManage && !isOwnAlert) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only cancel your own SOS alerts',
+      });
+    }
+
+    if (alert.status === 'resolved') {
+      return res.status(409).json({
+        success: false,
+        message: 'SOS alert is already resolved',
+      });
+    }
+
+    if (canManage && !isOwnAlert && (!notes || !String(notes).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'notes describing the response are required to resolve an SOS alert',
+      });
+    }
+
+    const now = new Date();
+    const updateData = {
+      status: 'resolved',
+      resolvedBy: req.user.id,
+      resolvedAt: now,
+      resolutionNotes: notes ? String(notes).trim() : 'Cancelled by officer',
+      falseAlarm: isOwnAlert && !canManage ? true : falseAlarm === true || falseAlarm === 'true'
+    };
+
+    // Resolving straight from active also counts as the acknowledgement, unless the
+    // officer is cancelling their own alert (nobody responded to it)
+    if (!alert.acknowledgedAt && !isOwnAlert) {
+      updateData.acknowledgedBy = req.user.id;
+      updateData.acknowledgedAt = now;
+    }
+
+    // Only applies if nobody acknowledged or resolved the alert in the meantime
+    const [updated] = await SosAlert.update(updateData, { where: { id: alert.id, status: alert.status } });
+    if (updated === 0) {
+      await alert.reload();
+      return res.status(409).json({
+        success: false,
+        message: `SOS alert was ${alert.status} by someone else, please retry`,
+      });
+    }
+    alert.set(updateData);
+
+    publishStationEvent('sos.resolved', alert.policeStationId, {
+      alertId: alert.id,
+      userId: alert.userId,
+      resolvedBy: req.user.id,
+      falseAlarm: alert.falseAlarm,
+      responseTimes: getResponseTimes(alert)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: updateData.falseAlarm ? 'SOS alert closed as a false alarm' : 'SOS alert resolved',
+      data: withResponseTimes(alert),
+    });
+  } catch (error) {
+    console.error('Resolve SOS alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve SOS alert',
+      error: error.message,
+    });
+  }
+};
@@ -1,19 +1,16 @@
 // controllers/userController.js
 
 const User = require('../models/User');
+const PoliceStation = require('../models/PoliceStation');
 const { Op } = require('sequelize');
 
 const { sendRegistrationEmail } = require('../services/emailService');
-
-// Helper function to generate secure password
-const generateSecurePassword = (length = 12) => {
-  const charset = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*";
-  let password = "";
-  for (let i = 0; i < length; i++) {
-    password += charset.charAt(Math.floor(Math.random() * charset.length));
-  }
-  return password;
-};
+const { findActivePoliceStation, resolveStations } = require('../services/policeStationService');
+const { getStationFilter, getTokenStationIds } = require('../middlewares/stationScopeMiddleware');
+const { resolveRole, canAssignRole } = require('../config/permissions');
+const { revokeUserSessions, listUserSessions } = require('../services/tokenService');
+const { generateTemporaryPassword } = require('../services/passwordPolicyService');
+const { unlockAccount } = require('../services/loginSecurityService');
 
 // Helper function to generate unique username
 const generateUniqueUsername = async (baseName) => {
@@ -71,12 +68,32 @@ exports.createUser = async (req, res) => {
       }
     }
 
-    // Generate unique username and secure password
-    const username = await generateUniqueUsername(smartusername);
-    const password = generateSecurePassword();
+    // Users cannot create accounts with a higher role than their own
+    if (!canAssignRole(req.user.role, resolveRole({ roleName, smartuserrank }))) {
+      return res.status(403).json({ 
+        message: 'You cannot create a user with a higher role than your own.' 
+      });
+    }
+
+    // Station-scoped admins must post new users to at least one of their stations
+    if (getStationFilter(req) && (!Array.isArray(stations) || stations.length === 0)) {
+      return res.status(400).json({ 
+        message: 'At least one police station is required in stations.' 
+      });
+    }
+
+    // Resolve stations against the PoliceStation table
+    const stationResolution = await resolveStations(stations || []);
+    if (!stationResolution.valid) {
+      return res.status(400).json({
+        message: stationResolution.message,
+        invalidStationIds: stationResolution.invalidIds
+      });
+    }
 
-    // Store the plain password temporarily for email
-    const plainPassword = password;
+    // Generate unique username and a temporary password (must be changed on first login)
+    const username = await generateUniqueUsername(smartusername);
+    const plainPassword = generateTemporaryPassword();
 
     const newUser = await User.create({ 
       roleId: roleId || null, 
@@ -85,14 +102,15 @@ exports.createUser = async (req, res) => {
       smartusername: smartusername || null,
       smartuserphone: smartuserphone || null,
       smartuserrank: smartuserrank || null,
-      stations: stations || [],
+      stations: stationResolution.stations,
       userId: userId || null,
       username, 
-      password,
-      autoGeneratedPassword: plainPassword, // Store for reference
+      password: plainPassword,
       isFirstLogin: true
     });
 
+    await newUser.setPoliceStations(stationResolution.policeStations);
+
     // Send registration email with credentials (only if email is provided)
     let emailResult = { success: true };
     if (smartuseremail) {
@@ -150,13 +168,29 @@ exports.getUsers = async (req, res) => {
     if (roleName) whereClause.roleName = roleName;
 
     const offset = (page - 1) * limit;
+
+    // Only list users posted at the requesting user's stations
+    const include = [];
+    const stationIds = getStationFilter(req);
+    if (stationIds) {
+      include.push({
+        model: PoliceStation,
+        as: 'policeStations',
+        where: { id: { [Op.in]: stationIds } },
+        attributes: [],
+        through: { attributes: [] },
+        required: true
+      });
+    }
     
     const { count, rows: users } = await User.findAndCountAll({
       where: whereClause,
+      include,
+      distinct: true,
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['createdAt', 'DESC']],
-      attributes: { exclude: ['password', 'autoGeneratedPassword'] } // Don't send passwords
+      attributes: { exclude: ['password'] } // Don't send passwords
     });
 
     res.status(200).json({
@@ -182,7 +216,7 @@ exports.getUsers = async (req, res) => {
 exports.getUserById = async (req, res) => {
   try {
     const user = await User.findByPk(req.params.id, {
-      attributes: { exclude: ['password', 'autoGeneratedPassword'] }
+      attributes: { exclude: ['password'] }
     });
     
     if (!user) {
@@ -218,6 +252,17 @@ exports.updateUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Users cannot manage accounts above their own role, or promote anyone above it
+    const newRole = resolveRole({
+      roleName: roleName !== undefined ? roleName : user.roleName,
+      smartuserrank: smartuserrank !== undefined ? smartuserrank : user.smartuserrank
+    });
+    if (!canAssignRole(req.user.role, resolveRole(user)) || !canAssignRole(req.user.role, newRole)) {
+      return res.status(403).json({ 
+        message: 'You cannot assign or modify a role higher than your own.' 
+      });
+    }
+
     // Check if smart user email already exists (excluding current user)
     if (smartuseremail && smartuseremail !== user.smartuseremail) {
       const existingSmartEmail = await User.findOne({ 
@@ -248,6 +293,18 @@ exports.updateUser = async (req, res) => {
       }
     }
 
+    // Resolve stations against the PoliceStation table
+    let stationResolution = null;
+    if (stations !== undefined) {
+      stationResolution = await resolveStations(stations || []);
+      if (!stationResolution.valid) {
+        return res.status(400).json({
+          message: stationResolution.message,
+          invalidStationIds: stationResolution.invalidIds
+        });
+      }
+    }
+
     // Generate new username if smartusername is changed
     let username = user.username;
     
@@ -263,12 +320,27 @@ exports.updateUser = async (req, res) => {
     if (smartusername !== undefined) updateData.smartusername = smartusername;
     if (smartuserphone !== undefined) updateData.smartuserphone = smartuserphone;
     if (smartuserrank !== undefined) updateData.smartuserrank = smartuserrank;
-    if (stations !== undefined) updateData.stations = stations;
     if (userId !== undefined) updateData.userId = userId;
     if (username !== user.username) updateData.username = username;
 
+    if (stationResolution) updateData.stations = stationResolution.stations;
+
+    const previousRole = resolveRole(user);
+    const previousStationIds = getTokenStationIds(user).sort().join(',');
+
     await user.update(updateData);
 
+    if (stationResolution) {
+      await user.setPoliceStations(stationResolution.policeStations);
+    }
+
+    // Tokens carry the role and stations claims, so force a fresh login after a transfer or role change
+    const stationsChanged = stationResolution &&
+      stationResolution.stations.map(station => station.id).sort().join(',') !== previousStationIds;
+    if (stationsChanged || newRole !== previousRole) {
+      await revokeUserSessions(user.id, stationsChanged ? 'stations_changed' : 'role_changed');
+    }
+
     res.status(200).json({ 
       message: 'User updated successfully',
       data: {
@@ -297,6 +369,11 @@ exports.deleteUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!canAssignRole(req.user.role, resolveRole(user))) {
+      return res.status(403).json({ message: 'You cannot delete a user with a higher role than your own.' });
+    }
+
+    await revokeUserSessions(user.id, 'user_deleted');
     await user.destroy();
 
     res.status(200).json({ message: 'User deleted successfully' });
@@ -309,6 +386,81 @@ exports.deleteUser = async (req, res) => {
   }
 };
 
+// List active sessions of a user
+exports.getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: ['id'] });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await listUserSessions(user.id);
+
+    res.status(200).json({ data: sessions });
+  } catch (err) {
+    console.error('Error fetching user sessions:', err);
+    res.status(500).json({ 
+      message: 'Error fetching user sessions', 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+};
+
+// Revoke all sessions of a user (lost device, transfer, suspension)
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!canAssignRole(req.user.role, resolveRole(user))) {
+      return res.status(403).json({ message: 'You cannot revoke sessions of a user with a higher role than your own.' });
+    }
+
+    const revoked = await revokeUserSessions(user.id, 'admin_revoked');
+
+    res.status(200).json({ 
+      message: 'All sessions revoked successfully',
+      sessionsRevoked: revoked
+    });
+  } catch (err) {
+    console.error('Error revoking user sessions:', err);
+    res.status(500).json({ 
+      message: 'Error revoking user sessions', 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+};
+
+// Unlock an account locked by failed login attempts
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasLocked = !!(user.lockedUntil && new Date(user.lockedUntil) > new Date());
+    await unlockAccount(user);
+
+    res.status(200).json({ 
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked',
+      data: {
+        id: user.id,
+        username: user.username,
+        unlockedBy: req.user.id
+      }
+    });
+  } catch (err) {
+    console.error('Error unlocking user:', err);
+    res.status(500).json({ 
+      message: 'Error unlocking user', 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+};
+
 // Reset Password (New endpoint for admin to reset user password)
 exports.resetUserPassword = async (req, res) => {
   try {
@@ -317,14 +469,20 @@ exports.resetUserPassword = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const newPassword = generateSecurePassword();
+    if (!canAssignRole(req.user.role, resolveRole(user))) {
+      return res.status(403).json({ message: 'You cannot reset the password of a user with a higher role than your own.' });
+    }
+
+    const newPassword = generateTemporaryPassword();
     
     await user.update({
       password: newPassword,
-      autoGeneratedPassword: newPassword,
       isFirstLogin: true
     });
 
+    // Existing tokens were issued without the password-change requirement
+    await revokeUserSessions(user.id, 'password_reset');
+
     // Send email with new password if email exists
     let emailResult = { success: true };
     if (user.smartuseremail) {
@@ -371,11 +529,18 @@ exports.getUsersByStation = async (req, res) => {
       });
     }
 
+    const policeStation = await findActivePoliceStation(stationId);
+    if (!policeStation) {
+      return res.status(404).json({ 
+        message: 'Police station not found' 
+      });
+    }
+
     const offset = (page - 1) * limit;
     
-    // Build base WHERE clause using raw SQL for JSON operations
-    let whereConditions = [`stations::text LIKE '%"id":${parseInt(stationId)}%'`];
-    let replacements = {};
+    // Build base WHERE clause from the UserStations join table
+    let whereConditions = [`"id" IN (SELECT "userId" FROM "UserStations" WHERE "policeStationId" = :stationId)`];
+    let replacements = { stationId: policeStation.id };
     
     // Add search functionality
     if (search) {
@@ -430,23 +595,6 @@ exports.getUsersByStation = async (req, res) => {
       type: User.sequelize.QueryTypes.SELECT
     });
 
-    // Get station name from the first user's stations
-    let stationName = null;
-    if (users.length > 0 && users[0].stations) {
-      try {
-        const stations = typeof users[0].stations === 'string' 
-          ? JSON.parse(users[0].stations) 
-          : users[0].stations;
-        
-        if (Array.isArray(stations)) {
-          const station = stations.find(s => s.id === parseInt(stationId));
-          stationName = station ? station.name : null;
-        }
-      } catch (e) {
-        console.error('Error parsing stations:', e);
-      }
-    }
-
     // Debug logging to verify fresh data is being sent
     console.log(`📡 Fresh data sent for station ${stationId} - ${users.length} users found at ${new Date().toISOString()}`);
 
@@ -455,8 +603,10 @@ exports.getUsersByStation = async (req, res) => {
       data: {
         users,
         stationInfo: {
-          stationId: parseInt(stationId),
-          stationName: stationName
+          stationId: policeStation.id,
+          stationName: policeStation.name,
+          stationCode: policeStation.code,
+          district: policeStation.district
         },
         pagination: {
           currentPage: parseInt(page),
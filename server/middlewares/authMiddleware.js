@@ -1,10 +1,9 @@
-const jwt = require('jsonwebtoken');
+const { resolveRole, hasPermission } = require('../config/permissions');
+const { verifyAccessToken, isSessionActive } = require('../services/tokenService');
 
-// JWT secret key - should be in .env file in production
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
-
-// Authentication middleware
-const authMiddleware = (req, res, next) => {
+// Authentication middleware factory. Users still on a temporary password are
+// blocked everywhere except routes created with { allowPasswordChangePending: true }.
+const authenticate = ({ allowPasswordChangePending = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -22,18 +21,32 @@ const authMiddleware = (req, res, next) => {
     const token = parts[1];
 
     // Verify token
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-      if (err) {
-        if (err.name === 'TokenExpiredError') {
-          return res.status(401).json({ message: 'Token has expired' });
-        }
-        return res.status(401).json({ message: 'Invalid token' });
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: 'Token has expired' });
       }
+      return res.status(401).json({ message: 'Invalid token' });
+    }
 
-      // Add user info to request
-      req.user = decoded;
-      next();
-    });
+    // Tokens must belong to a session that has not been revoked (logout, admin revoke)
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has been revoked. Please log in again.' });
+    }
+
+    if (decoded.pwdChangeRequired && !allowPasswordChangePending) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must change your password before continuing',
+        error: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    // Add user info to request, with the role resolved from roleName/smartuserrank
+    req.user = { ...decoded, role: resolveRole(decoded) };
+    next();
 
   } catch (err) {
     console.error('Auth middleware error:', err);
@@ -41,15 +54,23 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-// Optional: Role-based middleware
-const requireRole = (roles) => {
+const authMiddleware = authenticate();
+
+// Permission middleware: the user's role must grant every listed permission
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.rank)) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        error: 'PERMISSION_DENIED',
+        data: { role: req.user.role, required: missing }
+      });
     }
 
     next();
@@ -57,6 +78,7 @@ const requireRole = (roles) => {
 };
 
 module.exports = {
+  authenticate,
   authMiddleware,
-  requireRole
-};
\ No newline at end of file
+  requirePermission
+};
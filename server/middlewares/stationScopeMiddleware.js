@@ -0,0 +1,248 @@
+// middlewares/stationScopeMiddleware.js
+const { Op } = require('sequelize');
+const Checkpoint = require('../models/Checkpoint');
+const CheckpointScan = require('../models/CheckpointScan');
+const Route = require('../models/Route');
+const RouteAssignment = require('../models/RouteAssignment');
+const User = require('../models/User');
+const UserStation = require('../models/UserStation');
+const PoliceStation = require('../models/PoliceStation');
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+const Incident = require('../models/Incident');
+const SosAlert = require('../models/SosAlert');
+const PatrolSchedule = require('../models/PatrolSchedule');
+const { ROLES, resolveRole } = require('../config/permissions');
+
+// Extract station IDs from the `stations` JWT claim ([{ id, name }] or [id])
+const getTokenStationIds = (user) => {
+  const stations = Array.isArray(user?.stations) ? user.stations : [];
+  return [...new Set(
+    stations
+      .map(station => parseInt(station && typeof station === 'object' ? station.id : station))
+      .filter(id => Number.isInteger(id) && id > 0)
+  )];
+};
+
+// Build req.stationScope from the authenticated user (must run after authMiddleware).
+// Station-level roles are limited to their postings, district admins to every
+// station in the districts they are posted to, and super admins are unrestricted.
+const attachStationScope = async (req, res, next) => {
+  try {
+    const role = req.user.role || resolveRole(req.user);
+    const scopeType = ROLES[role]?.scope || 'station';
+    const stationIds = getTokenStationIds(req.user);
+
+    req.stationScope = { stationIds, isGlobal: scopeType === 'global' };
+
+    if (scopeType === 'district' && stationIds.length > 0) {
+      const postings = await PoliceStation.findAll({
+        where: { id: { [Op.in]: stationIds } },
+        attributes: ['id', 'district']
+      });
+      const districts = [...new Set(postings.map(station => station.district))];
+
+      if (districts.length > 0) {
+        const districtStations = await PoliceStation.findAll({
+          where: { district: { [Op.in]: districts }, isActive: true },
+          attributes: ['id']
+        });
+        req.stationScope.stationIds = [...new Set([...stationIds, ...districtStations.map(station => station.id)])];
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Station scope error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve station access',
+      error: error.message,
+    });
+  }
+};
+
+const getScope = (req) => req.stationScope || { stationIds: getTokenStationIds(req.user), isGlobal: false };
+
+// Check whether the current user may act on the given police station
+const hasStationAccess = (req, policeStationId) => {
+  const scope = getScope(req);
+  if (scope.isGlobal) return true;
+  return scope.stationIds.includes(parseInt(policeStationId));
+};
+
+// Station IDs to filter list queries by, or null when the user is not restricted
+const getStationFilter = (req) => {
+  const scope = getScope(req);
+  return scope.isGlobal ? null : scope.stationIds;
+};
+
+// Sequelize condition for a policeStationId column, honouring an optional requested station
+const scopedStationCondition = (req, requestedStationId) => {
+  if (requestedStationId) return parseInt(requestedStationId);
+  const stationIds = getStationFilter(req);
+  return stationIds ? { [Op.in]: stationIds } : undefined;
+};
+
+const denyStationAccess = (res, policeStationId) => res.status(403).json({
+  success: false,
+  message: policeStationId
+    ? `You do not have access to police station ${policeStationId}`
+    : 'You do not have access to this police station',
+  error: 'STATION_ACCESS_DENIED'
+});
+
+// router.param handler for /police-station/:policeStationId and /station/:stationId
+const stationParamGuard = (req, res, next, value) => {
+  if (!value || isNaN(value)) return next(); // let the controller report the bad ID
+  if (!hasStationAccess(req, value)) return denyStationAccess(res, value);
+  next();
+};
+
+// Check policeStationId (and a user's `stations` list) sent in the body or query string
+const stationScopeGuard = (req, res, next) => {
+  const requested = [];
+
+  if (req.body && req.body.policeStationId) requested.push(req.body.policeStationId);
+  if (req.query && req.query.policeStationId) requested.push(req.query.policeStationId);
+
+  if (req.body && Array.isArray(req.body.stations)) {
+    req.body.stations.forEach(station => {
+      requested.push(station && typeof station === 'object' ? station.id : station);
+    });
+  }
+
+  const denied = requested.find(id => id && !isNaN(id) && !hasStationAccess(req, id));
+  if (denied) return denyStationAccess(res, denied);
+
+  next();
+};
+
+// Guard a route whose resource is identified by a param/body value. The resolver
+// returns the police station ID(s) of the resource, or null when it does not exist
+// (in which case the controller produces the usual 404).
+const requireResourceStation = (resolver) => async (req, res, next) => {
+  try {
+    const stationIds = await resolver(req);
+    if (stationIds === null || stationIds === undefined) return next();
+
+    const ids = (Array.isArray(stationIds) ? stationIds : [stationIds]).filter(Boolean);
+    if (ids.some(id => hasStationAccess(req, id))) return next();
+
+    return denyStationAccess(res);
+  } catch (error) {
+    console.error('Station scope check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify station access',
+      error: error.message,
+    });
+  }
+};
+
+const validId = (value) => value && !isNaN(value) && parseInt(value) > 0;
+
+// Resolvers mapping request identifiers to police stations
+const resolveCheckpointStation = (field = 'id') => async (req) => {
+  const id = req.params[field];
+  if (!validId(id)) return null;
+  const checkpoint = await Checkpoint.findByPk(id, { attributes: ['id', 'policeStationId'] });
+  return checkpoint ? checkpoint.policeStationId : null;
+};
+
+const resolveRouteStation = (field = 'id') => async (req) => {
+  const id = req.params[field] || (req.body && req.body[field]);
+  if (!validId(id)) return null;
+  const route = await Route.findByPk(id, { attributes: ['id', 'policeStationId'] });
+  return route ? route.policeStationId : null;
+};
+
+const resolveAssignmentStation = (field = 'id') => async (req) => {
+  const id = req.params[field] || (req.body && req.body[field]);
+  if (!validId(id)) return null;
+  const assignment = await RouteAssignment.findByPk(id, { attributes: ['id', 'routeId', 'policeStationId'] });
+  if (!assignment) return null;
+  if (assignment.policeStationId) return assignment.policeStationId;
+
+  // Older assignments were created without policeStationId
+  const route = await Route.findByPk(assignment.routeId, { attributes: ['id', 'policeStationId'] });
+  return route ? route.policeStationId : null;
+};
+
+const resolveScanStation = (field = 'id') => async (req) => {
+  const id = req.params[field];
+  if (!validId(id)) return null;
+  const scan = await CheckpointScan.findByPk(id, {
+    attributes: ['id', 'checkpointId'],
+    include: [{ model: Checkpoint, attributes: ['id', 'policeStationId'] }]
+  });
+  return scan && scan.Checkpoint ? scan.Checkpoint.policeStationId : null;
+};
+
+const resolveChecklistTemplateStation = (field = 'id') => async (req) => {
+  const id = req.params[field];
+  if (!validId(id)) return null;
+  const template = await ChecklistTemplate.findByPk(id, { attributes: ['id', 'policeStationId'] });
+  return template ? template.policeStationId : null;
+};
+
+const resolveIncidentStation = (field = 'id') => async (req) => {
+  const id = req.params[field];
+  if (!validId(id)) return null;
+  const incident = await Incident.findByPk(id, { attributes: ['id', 'policeStationId'] });
+  return incident ? incident.policeStationId : null;
+};
+
+const resolveSosAlertStation = (field = 'id') => async (req) => {
+  const id = req.params[field];
+  if (!validId(id)) return null;
+  const alert = await SosAlert.findByPk(id, { attributes: ['id', 'policeStationId'] });
+  return alert ? alert.policeStationId : null;
+};
+
+const resolvePatrolScheduleStation = (field = 'id') => async (req) => {
+  const id = req.params[field];
+  if (!validId(id)) return null;
+  const schedule = await PatrolSchedule.findByPk(id, { attributes: ['id', 'policeStationId'] });
+  return schedule ? schedule.policeStationId : null;
+};
+
+const resolveUserStations = (field = 'id') => async (req) => {
+  const id = req.params[field] || (req.body && req.body[field]);
+  if (!validId(id)) return null;
+  const user = await User.findByPk(id, { attributes: ['id'] });
+  if (!user) return null;
+  const postings = await UserStation.findAll({ where: { userId: id }, attributes: ['policeStationId'] });
+  return postings.map(posting => posting.policeStationId);
+};
+
+// Users may always read their own records; everyone else must pass the guards in order
+const allowSelf = (field, ...guards) => (req, res, next) => {
+  if (req.user && String(req.user.id) === String(req.params[field])) return next();
+
+  const run = (index) => {
+    if (index >= guards.length) return next();
+    guards[index](req, res, (err) => (err ? next(err) : run(index + 1)));
+  };
+  run(0);
+};
+
+module.exports = {
+  getTokenStationIds,
+  attachStationScope,
+  hasStationAccess,
+  getStationFilter,
+  scopedStationCondition,
+  stationParamGuard,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveCheckpointStation,
+  resolveRouteStation,
+  resolveAssignmentStation,
+  resolveScanStation,
+  resolveChecklistTemplateStation,
+  resolveIncidentStation,
+  resolveSosAlertStation,
+  resolvePatrolScheduleStation,
+  resolveUserStations,
+  allowSelf
+};
@@ -12,6 +12,37 @@ const getFileType = (mimetype) => {
   return 'others';
 };
 
+// Allowed media types for scan uploads
+const mediaFileFilter = (req, file, cb) => {
+  // Allowed file types
+  const allowedMimes = [
+    // Images
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    // Videos
+    'video/mp4',
+    'video/mpeg',
+    'video/quicktime',
+    'video/x-msvideo',
+    'video/webm',
+    // Audio
+    'audio/mpeg',
+    'audio/wav',
+    'audio/mp4',
+    'audio/ogg',
+    'audio/webm'
+  ];
+
+  if (allowedMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Allowed types: images (jpg, png, gif, webp), videos (mp4, mpeg, mov, avi, webm), audio (mp3, wav, m4a, ogg, webm)`), false);
+  }
+};
+
 // Configure multer for memory storage (direct to S3)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -19,39 +50,23 @@ const upload = multer({
     fileSize: 100 * 1024 * 1024, // 100MB limit
     files: 10 // Maximum 10 files per request
   },
-  fileFilter: function (req, file, cb) {
-    // Allowed file types
-    const allowedMimes = [
-      // Images
-      'image/jpeg',
-      'image/jpg',
-      'image/png',
-      'image/gif',
-      'image/webp',
-      // Videos
-      'video/mp4',
-      'video/mpeg',
-      'video/quicktime',
-      'video/x-msvideo',
-      'video/webm',
-      // Audio
-      'audio/mpeg',
-      'audio/wav',
-      'audio/mp4',
-      'audio/ogg',
-      'audio/webm'
-    ];
-
-    if (allowedMimes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Invalid file type. Allowed types: images (jpg, png, gif, webp), videos (mp4, mpeg, mov, avi, webm), audio (mp3, wav, m4a, ogg, webm)`), false);
-    }
-  }
+  fileFilter: mediaFileFilter
+});
+
+// Offline batch sync carries media for many scans in one request
+const MAX_BATCH_FILES = 30;
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: mediaFileFilter
 });
 
-// Function to upload file to S3 (direct from memory)
-const uploadFileToS3 = (file, userId, checkpointId) => {
+// Function to upload file to S3 (direct from memory). `folder` is the key prefix
+// (checkpoint-scans, incidents, ...) and resourceId the scan's checkpoint or the incident.
+const uploadFileToS3 = (file, userId, resourceId, folder = 'checkpoint-scans') => {
   return new Promise((resolve, reject) => {
     // Check if S3 is configured
     if (!s3 || !bucketName || !process.env.AWS_ACCESS_KEY_ID) {
@@ -64,7 +79,7 @@ const uploadFileToS3 = (file, userId, checkpointId) => {
     const timestamp = Date.now();
     const date = new Date().toISOString().split('T')[0];
     
-    const key = `checkpoint-scans/${fileType}/${date}/${userId}-${checkpointId}-${timestamp}-${uniqueId}${ext}`;
+    const key = `${folder}/${fileType}/${date}/${userId}-${resourceId}-${timestamp}-${uniqueId}${ext}`;
     
     const params = {
       Bucket: bucketName,
@@ -74,7 +89,7 @@ const uploadFileToS3 = (file, userId, checkpointId) => {
       ACL: 'public-read',
       Metadata: {
         userId: userId.toString(),
-        checkpointId: checkpointId.toString(),
+        resourceId: resourceId.toString(),
         originalName: file.originalname,
         uploadedAt: new Date().toISOString()
       }
@@ -97,6 +112,16 @@ const checkpointScanUpload = upload.fields([
   { name: 'audios', maxCount: 3 }
 ]);
 
+// Middleware for incident reports (same media fields as scans)
+const incidentMediaUpload = upload.fields([
+  { name: 'images', maxCount: 5 },
+  { name: 'videos', maxCount: 3 },
+  { name: 'audios', maxCount: 3 }
+]);
+
+// Middleware for offline scan batches: files are sent as media[<idempotencyKey>]
+const batchScanUpload = batchUpload.any();
+
 // Error handling middleware
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -109,7 +134,7 @@ const handleUploadError = (err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Maximum 10 files per request.'
+        message: `Too many files. Maximum ${req.path.endsWith('/batch') ? MAX_BATCH_FILES : 10} files per request.`
       });
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -161,7 +186,10 @@ const deleteFromS3 = async (fileUrls) => {
 };
 
 module.exports = {
+  getFileType,
   checkpointScanUpload,
+  batchScanUpload,
+  incidentMediaUpload,
   handleUploadError,
   deleteFromS3,
   uploadFileToS3
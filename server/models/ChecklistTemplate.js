@@ -0,0 +1,47 @@
+// models/ChecklistTemplate.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Structured inspection questions answered when a checkpoint is scanned
+const ChecklistTemplate = sequelize.define('ChecklistTemplate', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  policeStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'ID of the police station this template belongs to'
+  },
+  fields: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ key, label, type: boolean|number|choice|text|photo, required, options?, min?, max? }]'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Incremented whenever fields change; stored with each scan'
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  indexes: [
+    { fields: ['policeStationId'] }
+  ]
+});
+
+module.exports = ChecklistTemplate;
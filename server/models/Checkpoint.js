@@ -28,6 +28,38 @@ const Checkpoint = sequelize.define('Checkpoint', {
     type: DataTypes.INTEGER,
     defaultValue: 100,
   },
+  geofence: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Optional GeoJSON Polygon/MultiPolygon; replaces the scanRadius circle when set'
+  },
+  geofenceBuffer: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Meters outside the geofence polygon still accepted'
+  },
+  timeWindows: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Times the checkpoint may be scanned ([{ days?, start: "HH:MM", end: "HH:MM" }]); null means always'
+  },
+  timeWindowPolicy: {
+    type: DataTypes.ENUM('reject', 'flag'),
+    allowNull: false,
+    defaultValue: 'reject',
+    comment: 'Reject scans outside timeWindows, or accept them flagged for review'
+  },
+  checklistTemplateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Inspection checklist answered when the checkpoint is scanned'
+  },
+  minDwellMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'When set, the checkpoint needs a check-in and a check-out scan this many minutes apart'
+  },
   qrCode: {
     type: DataTypes.STRING,
     allowNull: true,
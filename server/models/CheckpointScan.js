@@ -54,6 +54,20 @@ const CheckpointScan = sequelize.define('CheckpointScan', {
     defaultValue: [],
     comment: 'Array of audio URLs stored in S3',
   },
+  checklistTemplateId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  checklistVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Template version the answers were validated against',
+  },
+  checklistAnswers: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Inspection answers keyed by checklist field key (photo answers are S3 URLs)',
+  },
   metadata: {
     type: DataTypes.JSON,
     defaultValue: {},
@@ -64,6 +78,78 @@ const CheckpointScan = sequelize.define('CheckpointScan', {
     defaultValue: true,
     comment: 'Whether the scan was valid (within radius)',
   },
+  scanType: {
+    type: DataTypes.ENUM('single', 'check_in', 'check_out'),
+    allowNull: false,
+    defaultValue: 'single',
+    comment: 'Dwell checkpoints (minDwellMinutes) take a check-in and a check-out scan',
+  },
+  checkInScanId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'For check-out scans, the matching check-in scan',
+  },
+  dwellSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'For check-out scans, time spent since check-in',
+  },
+  source: {
+    type: DataTypes.ENUM('live', 'offline'),
+    allowNull: false,
+    defaultValue: 'live',
+    comment: 'live scans use the server clock; offline scans use the device capture time as scanTime',
+  },
+  idempotencyKey: {
+    type: DataTypes.STRING(128),
+    allowNull: true,
+    comment: 'Client-generated key so offline batches can be retried without duplicates',
+  },
+  syncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When an offline scan reached the server',
+  },
+  riskScore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Scan integrity risk score (0-100)',
+  },
+  riskLevel: {
+    type: DataTypes.ENUM('low', 'medium', 'high'),
+    allowNull: false,
+    defaultValue: 'low',
+  },
+  riskFlags: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Integrity checks that raised the score (IMPOSSIBLE_TRAVEL, MOCK_LOCATION, ...)',
+  },
+  reviewStatus: {
+    type: DataTypes.ENUM('not_required', 'pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'not_required',
+    comment: 'Flagged scans stay valid but wait for supervisor review',
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['userId', 'idempotencyKey'] },
+    { fields: ['reviewStatus'] },
+    { fields: ['routeAssignmentId', 'checkpointId'] }
+  ]
 });
 
 module.exports = CheckpointScan;
\ No newline at end of file
@@ -0,0 +1,144 @@
+// models/Incident.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Something an officer found on patrol (broken lock, suspicious vehicle, accident, ...)
+const Incident = sequelize.define('Incident', {
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  category: {
+    type: DataTypes.ENUM(
+      'broken_lock',
+      'suspicious_vehicle',
+      'suspicious_person',
+      'accident',
+      'property_damage',
+      'trespass',
+      'fire',
+      'medical',
+      'public_nuisance',
+      'other'
+    ),
+    allowNull: false,
+    defaultValue: 'other',
+  },
+  severity: {
+    type: DataTypes.ENUM('low', 'medium', 'high', 'critical'),
+    allowNull: false,
+    defaultValue: 'medium',
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'acknowledged', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open',
+  },
+  policeStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'ID of the police station responsible for the incident'
+  },
+  lat_long: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Incident location (latitude,longitude)'
+  },
+  locationDescription: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+  },
+  checkpointScanId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  checkpointId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  routeAssignmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  images: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Array of image URLs stored in S3',
+  },
+  videos: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Array of video URLs stored in S3',
+  },
+  audios: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Array of audio URLs stored in S3',
+  },
+  reportedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  assignedTo: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Officer handling the incident'
+  },
+  assignedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  assignedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  acknowledgedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  resolvedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  statusHistory: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: '[{ from, to, changedBy, changedAt, notes }]'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  indexes: [
+    { fields: ['policeStationId', 'status'] },
+    { fields: ['policeStationId', 'occurredAt'] },
+    { fields: ['checkpointId'] },
+    { fields: ['routeAssignmentId'] },
+    { fields: ['assignedTo'] }
+  ]
+});
+
+module.exports = Incident;
@@ -0,0 +1,49 @@
+// models/LoginAttempt.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Audit trail of every login attempt (password and OTP)
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Null when the username/phone did not match a user'
+  },
+  identifier: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Username or phone number that was submitted'
+  },
+  method: {
+    type: DataTypes.ENUM('password', 'otp'),
+    allowNull: false,
+    defaultValue: 'password',
+  },
+  outcome: {
+    type: DataTypes.ENUM('success', 'failure', 'locked'),
+    allowNull: false,
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'invalid_credentials, invalid_otp, account_locked, ip_throttled'
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['ipAddress', 'createdAt'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = LoginAttempt;
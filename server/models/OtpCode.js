@@ -0,0 +1,52 @@
+// models/OtpCode.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One-time passwords sent by SMS for phone login
+const OtpCode = sequelize.define('OtpCode', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Null when the phone is not registered (row kept so rate limits apply uniformly)'
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized phone number the code was sent to'
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+  },
+  purpose: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'login',
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the code is verified, superseded or locked after too many attempts'
+  },
+  requestedIp: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { fields: ['phone', 'createdAt'] },
+    { fields: ['requestedIp', 'createdAt'] }
+  ]
+});
+
+module.exports = OtpCode;
@@ -0,0 +1,36 @@
+// models/PasswordResetToken.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Single-use password reset tokens, stored hashed
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 hash of the token sent in the reset link'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  requestedIp: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,113 @@
+// models/PatrolSchedule.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Recurring beat: the scheduler creates a RouteAssignment ahead of each shift
+const PatrolSchedule = sequelize.define('PatrolSchedule', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  routeId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  policeStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Station of the route'
+  },
+  officerIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'One officer, or a pool rotated across occurrences'
+  },
+  recurrence: {
+    type: DataTypes.ENUM('daily', 'weekdays', 'rrule'),
+    allowNull: false,
+    defaultValue: 'daily',
+  },
+  rrule: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'RRULE subset (FREQ=DAILY|WEEKLY;INTERVAL;BYDAY;COUNT;UNTIL) when recurrence is rrule'
+  },
+  shiftStart: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'HH:MM local time'
+  },
+  shiftEnd: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    comment: 'HH:MM local time; before shiftStart means the shift ends the next day'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Asia/Kolkata',
+  },
+  startsOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+  },
+  endsOn: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+  },
+  leadTimeMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 120,
+    comment: 'How long before the shift starts the assignment is created'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'paused'),
+    allowNull: false,
+    defaultValue: 'active',
+  },
+  pausedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  pausedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  pauseReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  skippedOccurrences: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: '[{ date: YYYY-MM-DD, reason, skippedBy, skippedAt }]'
+  },
+  lastIssues: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Recent occurrences the scheduler could not assign: [{ date, error, message, at }]'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+}, {
+  indexes: [
+    { fields: ['policeStationId'] },
+    { fields: ['routeId'] },
+    { fields: ['status', 'isActive'] }
+  ]
+});
+
+module.exports = PatrolSchedule;
@@ -0,0 +1,51 @@
+// models/PatrolTrackSegment.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One uploaded batch of GPS breadcrumbs for an in-progress assignment.
+// Points are stored compactly as [latitude, longitude, secondsSinceStartedAt, accuracy].
+const PatrolTrackSegment = sequelize.define('PatrolTrackSegment', {
+  routeAssignmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Timestamp of the first point in the segment'
+  },
+  endedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Timestamp of the last point in the segment'
+  },
+  pointCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+  },
+  points: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[[lat, lng, secondsSinceStartedAt, accuracy|null]]'
+  },
+  distanceMeters: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Distance covered within the segment (from the previous segment end)'
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['routeAssignmentId', 'startedAt'] }
+  ]
+});
+
+module.exports = PatrolTrackSegment;
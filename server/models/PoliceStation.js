@@ -0,0 +1,53 @@
+// models/PoliceStation.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PoliceStation = sequelize.define('PoliceStation', {
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Short unique station code (e.g., AHN-01)'
+  },
+  district: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  jurisdiction: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Jurisdiction boundary as a GeoJSON Polygon or MultiPolygon geometry'
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  lat_long: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Station building location (latitude,longitude)'
+  },
+  contactPerson: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+  },
+});
+
+module.exports = PoliceStation;
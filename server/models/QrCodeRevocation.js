@@ -0,0 +1,39 @@
+// models/QrCodeRevocation.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// History of checkpoint QR codes that were rotated out and must no longer scan
+const QrCodeRevocation = sequelize.define('QrCodeRevocation', {
+  checkpointId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  qrCode: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'The revoked QR code identifier'
+  },
+  replacedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'QR code identifier issued in its place'
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false,
+  },
+  revokedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'User who rotated the code'
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['checkpointId'] }
+  ]
+});
+
+module.exports = QrCodeRevocation;
@@ -0,0 +1,41 @@
+// models/RefreshToken.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Refresh tokens are stored hashed and rotated on every use
+const RefreshToken = sequelize.define('RefreshToken', {
+  sessionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 hash of the refresh token'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is rotated; presenting it again revokes the session'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { fields: ['sessionId'] }
+  ]
+});
+
+module.exports = RefreshToken;
@@ -22,6 +22,12 @@ const Route = sequelize.define('Route', {
     allowNull: false,
     comment: 'ID of the police station this route belongs to'
   },
+  patrolMode: {
+    type: DataTypes.ENUM('any_order', 'strict_sequence', 'sequence_with_skips'),
+    allowNull: false,
+    defaultValue: 'any_order',
+    comment: 'Whether checkpoints must be scanned in route order'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -24,14 +24,40 @@ const RouteAssignment = sequelize.define('RouteAssignment', {
     type: DataTypes.DATE,
     allowNull: true,
   },
+  plannedStartAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Start of the shift window the patrol is planned for'
+  },
+  plannedEndAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of the shift window; open assignments past it are expired or missed'
+  },
   status: {
-    type: DataTypes.ENUM('assigned', 'in_progress', 'completed', 'cancelled'),
+    // missed: never started within its window; expired: started but not completed in time;
+    // handed_over: remaining checkpoints moved to another officer's assignment
+    type: DataTypes.ENUM('assigned', 'in_progress', 'completed', 'cancelled', 'expired', 'missed', 'handed_over'),
     defaultValue: 'assigned',
   },
+  expiredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
   completedCheckpoints: {
     type: DataTypes.JSON,
     defaultValue: [],
   },
+  skippedCheckpoints: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Checkpoints passed over on sequence_with_skips routes ([{ checkpointId, reason, skippedBy, skippedAt }])'
+  },
+  inheritedCheckpoints: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Completed checkpoints carried over from the assignment this one took over (scanned by earlier officers)'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -40,6 +66,45 @@ const RouteAssignment = sequelize.define('RouteAssignment', {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
   },
+  patrolScheduleId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Schedule that generated this assignment'
+  },
+  scheduledFor: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    comment: 'Schedule occurrence (local date the shift starts on)'
+  },
+  handedOverFromId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Assignment whose remaining checkpoints this one took over'
+  },
+  handedOverToId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Assignment that took over the remaining checkpoints'
+  },
+  handedOverAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  handedOverBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'User who authorised the handover'
+  },
+  handoverReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { fields: ['status', 'plannedEndAt'] },
+    // One assignment per schedule occurrence, even with several scheduler instances
+    { unique: true, fields: ['patrolScheduleId', 'scheduledFor'] }
+  ]
 });
 
 module.exports = RouteAssignment;
\ No newline at end of file
@@ -0,0 +1,27 @@
+// models/RouteAssignmentMember.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Officer walking a team assignment with its lead (RouteAssignment.userId)
+const RouteAssignmentMember = sequelize.define('RouteAssignmentMember', {
+  routeAssignmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  addedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['routeAssignmentId', 'userId'] },
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = RouteAssignmentMember;
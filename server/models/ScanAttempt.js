@@ -0,0 +1,79 @@
+// models/ScanAttempt.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Rejected checkpoint scans, kept for review (e.g. out of radius, revoked or forged QR codes)
+const ScanAttempt = sequelize.define('ScanAttempt', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  checkpointId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Checkpoint the QR code resolved to, if any'
+  },
+  routeAssignmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  qrCode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'QR code identifier that was presented'
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Machine-readable rejection code (e.g. QR_REVOKED)'
+  },
+  suspicious: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Flagged for review (possible copied or forged QR)'
+  },
+  policeStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Station of the checkpoint (or assignment), used for station-scoped queries'
+  },
+  userLatLong: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  distance: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Distance from checkpoint in meters, when the checkpoint was resolved'
+  },
+  source: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'live',
+    comment: 'live or offline (batch sync)'
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+  },
+  details: {
+    type: DataTypes.JSON,
+    defaultValue: {},
+  },
+}, {
+  updatedAt: false,
+  indexes: [
+    { fields: ['checkpointId', 'createdAt'] },
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['policeStationId', 'createdAt'] },
+    { fields: ['reason'] }
+  ]
+});
+
+module.exports = ScanAttempt;
@@ -0,0 +1,87 @@
+// models/SosAlert.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Emergency raised by an officer on patrol; timestamps are kept for response-time audits
+const SosAlert = sequelize.define('SosAlert', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  routeAssignmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  policeStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Station of the assignment; its supervisors are notified'
+  },
+  lat_long: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Officer location when the alert was raised (latitude,longitude)'
+  },
+  gpsAccuracy: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+  },
+  lastLatLong: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Latest location sent while the alert was active'
+  },
+  lastLocationAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'acknowledged', 'resolved'),
+    allowNull: false,
+    defaultValue: 'active',
+  },
+  acknowledgedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  acknowledgedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  resolvedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+  },
+  falseAlarm: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+  },
+  notifications: {
+    type: DataTypes.JSON,
+    defaultValue: [],
+    comment: 'Delivery log: [{ event, channel, recipientId, success, messageId, error, sentAt }]'
+  },
+}, {
+  indexes: [
+    { fields: ['policeStationId', 'status'] },
+    { fields: ['policeStationId', 'createdAt'] },
+    { fields: ['userId', 'status'] },
+    { fields: ['routeAssignmentId'] }
+  ]
+});
+
+module.exports = SosAlert;
@@ -48,6 +48,32 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: false,
   },
+  isFirstLogin: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'True while the user still has an administrator-issued temporary password'
+  },
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Consecutive failed password logins since the last success or lockout'
+  },
+  lockoutCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Lockouts since the last successful login (drives exponential backoff)'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
 }, {
   hooks: {
     beforeCreate: async (user) => {
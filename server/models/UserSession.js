@@ -0,0 +1,51 @@
+// models/UserSession.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per login (device). Access tokens carry the session ID in the `sid` claim,
+// so revoking the session invalidates every token issued for it.
+const UserSession = sequelize.define('UserSession', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  authMethod: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'password',
+    comment: 'How the session was started: password or otp'
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    allowNull: true,
+  },
+  ipAddress: {
+    type: DataTypes.STRING,
+    allowNull: true,
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Last time a refresh token was redeemed for this session'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+  },
+  revokedReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'logout, logout_all, admin_revoked, stations_changed, role_changed, user_deleted, refresh_token_reuse'
+  },
+}, {
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = UserSession;
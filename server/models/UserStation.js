@@ -0,0 +1,22 @@
+// models/UserStation.js
+
+const { Sequelize, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Join table linking users to the police stations they are posted at
+const UserStation = sequelize.define('UserStation', {
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+  policeStationId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+  },
+}, {
+  indexes: [
+    { unique: true, fields: ['userId', 'policeStationId'] }
+  ]
+});
+
+module.exports = UserStation;
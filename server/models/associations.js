@@ -5,6 +5,21 @@ const Checkpoint = require('./Checkpoint');
 const Route = require('./Route');
 const RouteAssignment = require('./RouteAssignment');
 const CheckpointScan = require('./CheckpointScan');
+const PoliceStation = require('./PoliceStation');
+const UserStation = require('./UserStation');
+const UserSession = require('./UserSession');
+const RefreshToken = require('./RefreshToken');
+const PasswordResetToken = require('./PasswordResetToken');
+const OtpCode = require('./OtpCode');
+const LoginAttempt = require('./LoginAttempt');
+const QrCodeRevocation = require('./QrCodeRevocation');
+const ScanAttempt = require('./ScanAttempt');
+const ChecklistTemplate = require('./ChecklistTemplate');
+const Incident = require('./Incident');
+const SosAlert = require('./SosAlert');
+const PatrolTrackSegment = require('./PatrolTrackSegment');
+const PatrolSchedule = require('./PatrolSchedule');
+const RouteAssignmentMember = require('./RouteAssignmentMember');
 
 const setupAssociations = () => {
   // User and RouteAssignment associations
@@ -24,6 +39,96 @@ const setupAssociations = () => {
 
   RouteAssignment.hasMany(CheckpointScan, { foreignKey: 'routeAssignmentId' });
   CheckpointScan.belongsTo(RouteAssignment, { foreignKey: 'routeAssignmentId' });
+
+  // PoliceStation associations (stations are soft deleted, so never cascade)
+  PoliceStation.hasMany(Checkpoint, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  Checkpoint.belongsTo(PoliceStation, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+
+  PoliceStation.hasMany(Route, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  Route.belongsTo(PoliceStation, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+
+  PoliceStation.hasMany(RouteAssignment, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  RouteAssignment.belongsTo(PoliceStation, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+
+  // User <-> PoliceStation postings (User.stations JSON is kept in sync for the JWT claim)
+  User.belongsToMany(PoliceStation, { through: UserStation, foreignKey: 'userId', otherKey: 'policeStationId', as: 'policeStations' });
+  PoliceStation.belongsToMany(User, { through: UserStation, foreignKey: 'policeStationId', otherKey: 'userId', as: 'officers' });
+
+  // Login sessions and their refresh tokens
+  User.hasMany(UserSession, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  UserSession.belongsTo(User, { foreignKey: 'userId' });
+
+  UserSession.hasMany(RefreshToken, { foreignKey: 'sessionId', onDelete: 'CASCADE' });
+  RefreshToken.belongsTo(UserSession, { foreignKey: 'sessionId' });
+
+  User.hasMany(PasswordResetToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  PasswordResetToken.belongsTo(User, { foreignKey: 'userId' });
+
+  User.hasMany(OtpCode, { foreignKey: 'userId', onDelete: 'CASCADE' });
+  OtpCode.belongsTo(User, { foreignKey: 'userId' });
+
+  // Login audit rows outlive deleted users
+  User.hasMany(LoginAttempt, { foreignKey: 'userId', constraints: false });
+  LoginAttempt.belongsTo(User, { foreignKey: 'userId', constraints: false });
+
+  // QR code rotation history
+  Checkpoint.hasMany(QrCodeRevocation, { foreignKey: 'checkpointId', as: 'qrRevocations' });
+  QrCodeRevocation.belongsTo(Checkpoint, { foreignKey: 'checkpointId' });
+  QrCodeRevocation.belongsTo(User, { foreignKey: 'revokedBy', as: 'revoker', constraints: false });
+
+  // Rejected scans (audit rows, so no FK constraints)
+  Checkpoint.hasMany(ScanAttempt, { foreignKey: 'checkpointId', constraints: false });
+  ScanAttempt.belongsTo(Checkpoint, { foreignKey: 'checkpointId', constraints: false });
+  User.hasMany(ScanAttempt, { foreignKey: 'userId', constraints: false });
+  ScanAttempt.belongsTo(User, { foreignKey: 'userId', constraints: false });
+  RouteAssignment.hasMany(ScanAttempt, { foreignKey: 'routeAssignmentId', constraints: false });
+  ScanAttempt.belongsTo(RouteAssignment, { foreignKey: 'routeAssignmentId', constraints: false });
+
+  // Inspection checklists (templates are soft-deleted, scans keep their answers)
+  ChecklistTemplate.hasMany(Checkpoint, { foreignKey: 'checklistTemplateId', constraints: false });
+  Checkpoint.belongsTo(ChecklistTemplate, { foreignKey: 'checklistTemplateId', constraints: false });
+  ChecklistTemplate.hasMany(CheckpointScan, { foreignKey: 'checklistTemplateId', constraints: false });
+  CheckpointScan.belongsTo(ChecklistTemplate, { foreignKey: 'checklistTemplateId', constraints: false });
+
+  // Incidents reported on patrol (optional links to a scan, checkpoint and assignment)
+  PoliceStation.hasMany(Incident, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  Incident.belongsTo(PoliceStation, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  Incident.belongsTo(User, { foreignKey: 'reportedBy', as: 'reporter', constraints: false });
+  Incident.belongsTo(User, { foreignKey: 'assignedTo', as: 'assignee', constraints: false });
+  Incident.belongsTo(User, { foreignKey: 'assignedBy', as: 'assigner', constraints: false });
+  Checkpoint.hasMany(Incident, { foreignKey: 'checkpointId', constraints: false });
+  Incident.belongsTo(Checkpoint, { foreignKey: 'checkpointId', constraints: false });
+  CheckpointScan.hasMany(Incident, { foreignKey: 'checkpointScanId', constraints: false });
+  Incident.belongsTo(CheckpointScan, { foreignKey: 'checkpointScanId', constraints: false });
+  RouteAssignment.hasMany(Incident, { foreignKey: 'routeAssignmentId', constraints: false });
+  Incident.belongsTo(RouteAssignment, { foreignKey: 'routeAssignmentId', constraints: false });
+
+  // SOS alerts (kept for response-time audits)
+  PoliceStation.hasMany(SosAlert, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  SosAlert.belongsTo(PoliceStation, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  SosAlert.belongsTo(User, { foreignKey: 'userId', as: 'officer', constraints: false });
+  SosAlert.belongsTo(User, { foreignKey: 'acknowledgedBy', as: 'acknowledger', constraints: false });
+  SosAlert.belongsTo(User, { foreignKey: 'resolvedBy', as: 'resolver', constraints: false });
+  RouteAssignment.hasMany(SosAlert, { foreignKey: 'routeAssignmentId', constraints: false });
+  SosAlert.belongsTo(RouteAssignment, { foreignKey: 'routeAssignmentId', constraints: false });
+
+  // GPS breadcrumbs recorded during a patrol
+  RouteAssignment.hasMany(PatrolTrackSegment, { foreignKey: 'routeAssignmentId', onDelete: 'CASCADE' });
+  PatrolTrackSegment.belongsTo(RouteAssignment, { foreignKey: 'routeAssignmentId' });
+
+  // Team assignments: members besides the lead officer (RouteAssignment.userId)
+  RouteAssignment.hasMany(RouteAssignmentMember, { foreignKey: 'routeAssignmentId', as: 'members', onDelete: 'CASCADE' });
+  RouteAssignmentMember.belongsTo(RouteAssignment, { foreignKey: 'routeAssignmentId' });
+  User.hasMany(RouteAssignmentMember, { foreignKey: 'userId' });
+  RouteAssignmentMember.belongsTo(User, { foreignKey: 'userId' });
+
+  // Recurring patrol schedules and the assignments they generate
+  Route.hasMany(PatrolSchedule, { foreignKey: 'routeId', onDelete: 'RESTRICT' });
+  PatrolSchedule.belongsTo(Route, { foreignKey: 'routeId', onDelete: 'RESTRICT' });
+  PoliceStation.hasMany(PatrolSchedule, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  PatrolSchedule.belongsTo(PoliceStation, { foreignKey: 'policeStationId', onDelete: 'RESTRICT' });
+  PatrolSchedule.hasMany(RouteAssignment, { foreignKey: 'patrolScheduleId', constraints: false });
+  RouteAssignment.belongsTo(PatrolSchedule, { foreignKey: 'patrolScheduleId', constraints: false });
 };
 
 module.exports = { 
@@ -32,5 +137,20 @@ module.exports = {
   Checkpoint,
   Route,
   RouteAssignment,
-  CheckpointScan
+  CheckpointScan,
+  PoliceStation,
+  UserStation,
+  UserSession,
+  RefreshToken,
+  PasswordResetToken,
+  OtpCode,
+  LoginAttempt,
+  QrCodeRevocation,
+  ScanAttempt,
+  ChecklistTemplate,
+  Incident,
+  SosAlert,
+  PatrolTrackSegment,
+  PatrolSchedule,
+  RouteAssignmentMember
 };
\ No newline at end of file
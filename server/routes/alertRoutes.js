@@ -0,0 +1,38 @@
+// routes/alertRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const sosAlertController = require('../controllers/sosAlertController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveSosAlertStation,
+  resolveAssignmentStation
+} = require('../middlewares/stationScopeMiddleware');
+
+// Every alert endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+
+const alertScope = requireResourceStation(resolveSosAlertStation());
+
+// Raise SOS from an in_progress assignment
+router.post('/sos', requirePermission('alert:raise'), requireResourceStation(resolveAssignmentStation('assignmentId')), sosAlertController.raiseSos);
+
+// Get SOS Alerts (with pagination, filters and police station filter)
+router.get('/sos', requirePermission('alert:read'), sosAlertController.getSosAlerts);
+
+// Response-time summary per police station
+router.get('/sos/summary', requirePermission('alert:read'), sosAlertController.getSosResponseSummary);
+
+// Get SOS Alert by ID (the raising officer may view their own alert)
+router.get('/sos/:id', requirePermission('alert:raise'), alertScope, sosAlertController.getSosAlertById);
+
+// Acknowledge SOS Alert
+router.put('/sos/:id/acknowledge', requirePermission('alert:manage'), alertScope, sosAlertController.acknowledgeSosAlert);
+
+// Resolve SOS Alert (the raising officer may cancel their own alert)
+router.put('/sos/:id/resolve', requirePermission('alert:raise'), alertScope, sosAlertController.resolveSosAlert);
+
+module.exports = router;
@@ -3,8 +3,20 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
-const { body } = require('express-validator');
+const { authenticate } = require('../middlewares/authMiddleware');
+const { body, validationResult } = require('express-validator');
+
+// Handle validation errors
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      message: 'Validation failed',
+      errors: errors.array() 
+    });
+  }
+  next();
+};
 
 // Validation middleware for login
 const validateLogin = [
@@ -14,25 +26,95 @@ const validateLogin = [
   
   body('password')
     .notEmpty().withMessage('Password is required'),
-  
-  // Handle validation errors
-  (req, res, next) => {
-    const { validationResult } = require('express-validator');
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        message: 'Validation failed',
-        errors: errors.array() 
-      });
-    }
-    next();
-  }
+
+  handleValidation
+];
+
+// Validation middleware for refresh
+const validateRefresh = [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isString().withMessage('Refresh token must be a string'),
+
+  handleValidation
+];
+
+// Validation middleware for password change
+const validateChangePassword = [
+  // Optional only for the first-login change after an OTP login
+  body('currentPassword')
+    .optional()
+    .isString().withMessage('Current password must be a string'),
+
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isString().withMessage('New password must be a string'),
+
+  handleValidation
+];
+
+// Validation middleware for forgot/reset password
+const validateForgotPassword = [
+  body('identifier')
+    .notEmpty().withMessage('Username or email is required')
+    .isString().withMessage('Username or email must be a string'),
+  handleValidation
 ];
 
+const validateResetPassword = [
+  body('token')
+    .notEmpty().withMessage('Reset token is required')
+    .isString().withMessage('Reset token must be a string'),
+  body('newPassword')
+    .notEmpty().withMessage('New password is required')
+    .isString().withMessage('New password must be a string'),
+  handleValidation
+];
+
+// Validation middleware for OTP login
+const validateOtpRequest = [
+  body('phone')
+    .notEmpty().withMessage('Phone number is required')
+    .isString().withMessage('Phone number must be a string'),
+  handleValidation
+];
+
+const validateOtpVerify = [
+  body('phone')
+    .notEmpty().withMessage('Phone number is required')
+    .isString().withMessage('Phone number must be a string'),
+  body('otp')
+    .notEmpty().withMessage('OTP is required')
+    .matches(/^\d{4,8}$/).withMessage('OTP must be numeric'),
+  handleValidation
+];
+
+// Routes a user on a temporary password can still reach
+const authenticatePending = authenticate({ allowPasswordChangePending: true });
+
 // Login route
 router.post('/login', validateLogin, authController.login);
 
+// Phone OTP login routes
+router.post('/otp/request', validateOtpRequest, authController.requestOtp);
+router.post('/otp/verify', validateOtpVerify, authController.verifyOtp);
+
+// Refresh token route (rotates the refresh token)
+router.post('/refresh', validateRefresh, authController.refresh);
+
+// Logout route (protected)
+router.post('/logout', authenticatePending, authController.logout);
+
+// Change password route (protected, also used for the forced first-login change)
+router.post('/change-password', authenticatePending, validateChangePassword, authController.changePassword);
+
+// Forgot password route (always returns the same response)
+router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+
+// Reset password route (single-use token from the reset email)
+router.post('/reset-password', validateResetPassword, authController.resetPassword);
+
 // Verify token route (protected)
-router.get('/verify', authMiddleware, authController.verifyToken);
+router.get('/verify', authenticatePending, authController.verifyToken);
 
 module.exports = router;
\ No newline at end of file
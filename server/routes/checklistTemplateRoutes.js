@@ -0,0 +1,37 @@
+// routes/checklistTemplateRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const checklistTemplateController = require('../controllers/checklistTemplateController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveChecklistTemplateStation
+} = require('../middlewares/stationScopeMiddleware');
+
+// Every checklist endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+
+const templateScope = requireResourceStation(resolveChecklistTemplateStation());
+
+// Create Checklist Template (policeStationId required)
+router.post('/', requirePermission('checkpoint:update'), checklistTemplateController.createChecklistTemplate);
+
+// Get Checklist Templates (with pagination and police station filter)
+router.get('/', requirePermission('checkpoint:read'), checklistTemplateController.getChecklistTemplates);
+
+// Checklist answers aggregated per checkpoint over time
+router.get('/reports/checkpoints', requirePermission('scan:read'), checklistTemplateController.getChecklistReport);
+
+// Get Checklist Template by ID
+router.get('/:id', requirePermission('checkpoint:read'), templateScope, checklistTemplateController.getChecklistTemplateById);
+
+// Update Checklist Template
+router.put('/:id', requirePermission('checkpoint:update'), templateScope, checklistTemplateController.updateChecklistTemplate);
+
+// Delete Checklist Template (soft delete)
+router.delete('/:id', requirePermission('checkpoint:delete'), templateScope, checklistTemplateController.deleteChecklistTemplate);
+
+module.exports = router;
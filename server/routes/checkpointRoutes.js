@@ -3,7 +3,17 @@
 const express = require('express');
 const router = express.Router();
 const checkpointController = require('../controllers/checkpointController');
-const { checkpointScanUpload, handleUploadError } = require('../middlewares/uploadMiddleware');
+const { checkpointScanUpload, batchScanUpload, handleUploadError } = require('../middlewares/uploadMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationParamGuard,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveCheckpointStation,
+  resolveScanStation,
+  resolveAssignmentStation
+} = require('../middlewares/stationScopeMiddleware');
 
 // Validation middleware for policeStationId
 const validatePoliceStationId = (req, res, next) => {
@@ -20,42 +30,73 @@ const validatePoliceStationId = (req, res, next) => {
   next();
 };
 
+// Every checkpoint endpoint requires a valid token and is limited to the user's stations
+// (multipart endpoints check their body again once the upload has been parsed)
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+router.param('policeStationId', stationParamGuard);
+
+const checkpointScope = requireResourceStation(resolveCheckpointStation());
+
 // Create Checkpoint (policeStationId required)
-router.post('/', validatePoliceStationId, checkpointController.createCheckpoint);
+router.post('/', requirePermission('checkpoint:create'), validatePoliceStationId, checkpointController.createCheckpoint);
 
 // Get All Checkpoints (with pagination, search, and police station filter)
-router.get('/', checkpointController.getAllCheckpoints);
+router.get('/', requirePermission('checkpoint:read'), checkpointController.getAllCheckpoints);
 
 // Get Checkpoints by Police Station ID
-router.get('/police-station/:policeStationId', checkpointController.getCheckpointsByPoliceStation);
+router.get('/police-station/:policeStationId', requirePermission('checkpoint:read'), checkpointController.getCheckpointsByPoliceStation);
 
 // Get Checkpoint Scan History (with police station filter)
-router.get('/scans', checkpointController.getCheckpointScans);
+router.get('/scans', requirePermission('scan:read'), checkpointController.getCheckpointScans);
+
+// Sync scans captured offline (idempotent, per-item results)
+router.post('/scans/batch',
+  requirePermission('scan:create'),
+  batchScanUpload,
+  handleUploadError,
+  stationScopeGuard,
+  checkpointController.syncScanBatch
+);
+
+// Get flagged scans waiting for supervisor review
+router.get('/scans/review-queue', requirePermission('scan:review'), checkpointController.getScanReviewQueue);
+
+// Review a flagged scan
+router.post('/scans/:id/review', requirePermission('scan:review'), requireResourceStation(resolveScanStation()), checkpointController.reviewScan);
 
 // Get Single Scan Details
-router.get('/scans/:id', checkpointController.getScanById);
+router.get('/scans/:id', requirePermission('scan:read'), requireResourceStation(resolveScanStation()), checkpointController.getScanById);
 
 // Get Checkpoint by ID
-router.get('/:id', checkpointController.getCheckpointById);
+router.get('/:id', requirePermission('checkpoint:read'), checkpointScope, checkpointController.getCheckpointById);
 
 // Update Checkpoint (policeStationId optional for updates)
-router.put('/:id', validatePoliceStationId, checkpointController.updateCheckpoint);
+router.put('/:id', requirePermission('checkpoint:update'), checkpointScope, validatePoliceStationId, checkpointController.updateCheckpoint);
 
 // Delete Checkpoint (soft delete)
-router.delete('/:id', checkpointController.deleteCheckpoint);
+router.delete('/:id', requirePermission('checkpoint:delete'), checkpointScope, checkpointController.deleteCheckpoint);
 
 // Get QR Code data (includes policeStationId and createTime)
-router.get('/:id/qrcode', checkpointController.getCheckpointQRCode);
+router.get('/:id/qrcode', requirePermission('checkpoint:read'), checkpointScope, checkpointController.getCheckpointQRCode);
 
 // Download QR Code as file (includes policeStationId in QR data)
-router.get('/:id/qrcode/download', checkpointController.downloadCheckpointQRCode);
+router.get('/:id/qrcode/download', requirePermission('checkpoint:read'), checkpointScope, checkpointController.downloadCheckpointQRCode);
+
+// Rotate QR Code (revokes the current code, e.g. when a print was copied)
+router.post('/:id/qrcode/rotate', requirePermission('checkpoint:update'), checkpointScope, checkpointController.rotateCheckpointQRCode);
+
+// Get QR Code revocation history
+router.get('/:id/qrcode/revocations', requirePermission('checkpoint:read'), checkpointScope, checkpointController.getQRCodeRevocations);
 
 // Scan QR Code - WITH FILE UPLOAD SUPPORT
 router.post('/scan-qr', 
+  requirePermission('scan:create'),
   checkpointScanUpload,
   handleUploadError,
+  stationScopeGuard,
+  requireResourceStation(resolveAssignmentStation('assignmentId')),
   checkpointController.scanQRCode
 );
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/eventRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { attachStationScope, stationScopeGuard } = require('../middlewares/stationScopeMiddleware');
+
+// Browsers' EventSource cannot set headers, so the access token may be sent as
+// ?access_token= on the stream endpoint only
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Live station events for supervisor dashboards (Server-Sent Events)
+router.get('/stream',
+  acceptQueryToken,
+  authMiddleware,
+  attachStationScope,
+  stationScopeGuard,
+  requirePermission('events:subscribe'),
+  eventController.streamStationEvents
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// routes/incidentRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const incidentController = require('../controllers/incidentController');
+const { incidentMediaUpload, handleUploadError } = require('../middlewares/uploadMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationParamGuard,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveIncidentStation
+} = require('../middlewares/stationScopeMiddleware');
+
+// Every incident endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope);
+router.param('policeStationId', stationParamGuard);
+
+const incidentScope = requireResourceStation(resolveIncidentStation());
+
+// Report Incident - WITH FILE UPLOAD SUPPORT (station resolved from links or policeStationId)
+router.post('/',
+  requirePermission('incident:create'),
+  incidentMediaUpload,
+  handleUploadError,
+  stationScopeGuard,
+  incidentController.createIncident
+);
+
+// Get All Incidents (with pagination, filters and police station filter)
+router.get('/', requirePermission('incident:read'), stationScopeGuard, incidentController.getAllIncidents);
+
+// Get Incidents by Police Station ID
+router.get('/police-station/:policeStationId', requirePermission('incident:read'), incidentController.getIncidentsByPoliceStation);
+
+// Get Incident by ID
+router.get('/:id', requirePermission('incident:read'), incidentScope, incidentController.getIncidentById);
+
+// Update Incident details
+router.put('/:id', requirePermission('incident:update'), incidentScope, incidentController.updateIncident);
+
+// Change Incident status (assignees may progress their own incidents)
+router.put('/:id/status', requirePermission('incident:read'), incidentScope, incidentController.updateIncidentStatus);
+
+// Assign Incident to an officer
+router.put('/:id/assign', requirePermission('incident:assign'), incidentScope, incidentController.assignIncident);
+
+// Add media to Incident
+router.post('/:id/media',
+  requirePermission('incident:create'),
+  incidentScope,
+  incidentMediaUpload,
+  handleUploadError,
+  incidentController.addIncidentMedia
+);
+
+// Delete Incident (soft delete)
+router.delete('/:id', requirePermission('incident:delete'), incidentScope, incidentController.deleteIncident);
+
+module.exports = router;
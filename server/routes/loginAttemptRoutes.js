@@ -0,0 +1,15 @@
+// routes/loginAttemptRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const loginAttemptController = require('../controllers/loginAttemptController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { attachStationScope } = require('../middlewares/stationScopeMiddleware');
+
+// Login audit is limited to officers posted at the user's stations
+router.use(authMiddleware, attachStationScope);
+
+// Get Login Attempts (with pagination and filters)
+router.get('/', requirePermission('audit:read'), loginAttemptController.getLoginAttempts);
+
+module.exports = router;
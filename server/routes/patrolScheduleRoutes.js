@@ -0,0 +1,50 @@
+// routes/patrolScheduleRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const patrolScheduleController = require('../controllers/patrolScheduleController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveRouteStation,
+  resolvePatrolScheduleStation
+} = require('../middlewares/stationScopeMiddleware');
+
+// Every schedule endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+
+const scheduleScope = requireResourceStation(resolvePatrolScheduleStation());
+
+// Create Patrol Schedule
+router.post('/',
+  requirePermission('schedule:manage'),
+  requireResourceStation(resolveRouteStation('routeId')),
+  patrolScheduleController.createPatrolSchedule
+);
+
+// Get Patrol Schedules (with filters and police station filter)
+router.get('/', requirePermission('schedule:read'), patrolScheduleController.getPatrolSchedules);
+
+// Get Patrol Schedule by ID
+router.get('/:id', requirePermission('schedule:read'), scheduleScope, patrolScheduleController.getPatrolScheduleById);
+
+// Preview occurrences (?from=YYYY-MM-DD&days=14)
+router.get('/:id/preview', requirePermission('schedule:read'), scheduleScope, patrolScheduleController.previewPatrolSchedule);
+
+// Update Patrol Schedule
+router.put('/:id', requirePermission('schedule:manage'), scheduleScope, patrolScheduleController.updatePatrolSchedule);
+
+// Pause / Resume Patrol Schedule
+router.put('/:id/pause', requirePermission('schedule:manage'), scheduleScope, patrolScheduleController.pausePatrolSchedule);
+router.put('/:id/resume', requirePermission('schedule:manage'), scheduleScope, patrolScheduleController.resumePatrolSchedule);
+
+// Skip / restore one occurrence
+router.put('/:id/skip', requirePermission('schedule:manage'), scheduleScope, patrolScheduleController.skipOccurrence);
+router.delete('/:id/skip/:date', requirePermission('schedule:manage'), scheduleScope, patrolScheduleController.unskipOccurrence);
+
+// Delete Patrol Schedule (soft delete)
+router.delete('/:id', requirePermission('schedule:delete'), scheduleScope, patrolScheduleController.deletePatrolSchedule);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+// routes/policeStationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const policeStationController = require('../controllers/policeStationController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { attachStationScope, stationParamGuard } = require('../middlewares/stationScopeMiddleware');
+
+// Every police station endpoint requires a valid token; :id is itself a station ID
+router.use(authMiddleware, attachStationScope);
+router.param('id', stationParamGuard);
+
+// Create Police Station
+router.post('/', requirePermission('station:create'), policeStationController.createPoliceStation);
+
+// Get All Police Stations (with pagination, search, and district filter)
+router.get('/', requirePermission('station:read'), policeStationController.getAllPoliceStations);
+
+// Get Police Station by ID
+router.get('/:id', requirePermission('station:read'), policeStationController.getPoliceStationById);
+
+// Update Police Station
+router.put('/:id', requirePermission('station:update'), policeStationController.updatePoliceStation);
+
+// Delete Police Station (soft delete)
+router.delete('/:id', requirePermission('station:delete'), policeStationController.deletePoliceStation);
+
+module.exports = router;
@@ -2,53 +2,90 @@
 const express = require('express');
 const router = express.Router();
 const routeAssignmentController = require('../controllers/routeAssignmentController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationParamGuard,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveRouteStation,
+  resolveAssignmentStation,
+  resolveUserStations,
+  allowSelf
+} = require('../middlewares/stationScopeMiddleware');
+
+// Every assignment endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+router.param('policeStationId', stationParamGuard);
+
+const assignmentScope = requireResourceStation(resolveAssignmentStation());
+const userScope = allowSelf('userId', requirePermission('assignment:read'), requireResourceStation(resolveUserStations('userId')));
 
 // Assign Route to User
-router.post('/assign', routeAssignmentController.assignRoute);
+router.post('/assign',
+  requirePermission('assignment:assign'),
+  requireResourceStation(resolveRouteStation('routeId')),
+  requireResourceStation(resolveUserStations('userId')),
+  routeAssignmentController.assignRoute
+);
 
 // Get All Assignments (Admin view)
-router.get('/', routeAssignmentController.getAllAssignments);
+router.get('/', requirePermission('assignment:read'), routeAssignmentController.getAllAssignments);
 
 // Get Assignment by ID
-router.get('/:id', routeAssignmentController.getAssignmentById);
+router.get('/:id', requirePermission('assignment:read'), assignmentScope, routeAssignmentController.getAssignmentById);
 
 // Update Assignment
-router.put('/:id', routeAssignmentController.updateAssignment);
+router.put('/:id', requirePermission('assignment:update'), assignmentScope, routeAssignmentController.updateAssignment);
 
 // Delete Assignment
-router.delete('/:id', routeAssignmentController.deleteAssignment);
+router.delete('/:id', requirePermission('assignment:delete'), assignmentScope, routeAssignmentController.deleteAssignment);
 
 
 // ========== SEGREGATED USER ROUTE ENDPOINTS ==========
 
 // Get ALL user assignments (any status)
-router.get('/user/:userId/all', routeAssignmentController.getAllUserAssignments);
+router.get('/user/:userId/all', userScope, routeAssignmentController.getAllUserAssignments);
 
 // Get user's COMPLETED assignments only
-router.get('/user/:userId/completed', routeAssignmentController.getUserCompletedAssignments);
+router.get('/user/:userId/completed', userScope, routeAssignmentController.getUserCompletedAssignments);
 
 // Original user assignments endpoint (for backward compatibility)
-router.get('/user/:userId', routeAssignmentController.getUserAssignments);
+router.get('/user/:userId', userScope, routeAssignmentController.getUserAssignments);
 
 // ========== POLICE STATION ENDPOINTS ==========
 
 // Get assignments by Police Station ID - NEW ENDPOINT
-router.get('/police-station/:policeStationId', routeAssignmentController.getAssignmentsByPoliceStation);
+router.get('/police-station/:policeStationId', requirePermission('assignment:read'), routeAssignmentController.getAssignmentsByPoliceStation);
 
 // ========== OTHER ENDPOINTS ==========
 
 // Check Route Availability
-router.get('/route/:routeId/availability', routeAssignmentController.checkRouteAvailability);
+router.get('/route/:routeId/availability', requirePermission('assignment:read'), requireResourceStation(resolveRouteStation('routeId')), routeAssignmentController.checkRouteAvailability);
 
 // Start Route
-router.put('/:id/start', routeAssignmentController.startRoute);
+router.put('/:id/start', requirePermission('assignment:execute'), assignmentScope, routeAssignmentController.startRoute);
 
 // Complete Route
-router.put('/:id/complete', routeAssignmentController.completeRoute);
+router.put('/:id/complete', requirePermission('assignment:execute'), assignmentScope, routeAssignmentController.completeRoute);
 
 // Cancel Assignment
-router.put('/:id/cancel', routeAssignmentController.cancelAssignment);
+router.put('/:id/cancel', requirePermission('assignment:cancel'), assignmentScope, routeAssignmentController.cancelAssignment);
 
-router.get('/police-station/:policeStationId/checkpoints', routeAssignmentController.getCheckpointsByPoliceStation);
+// Hand the remaining checkpoints over to another officer
+router.put('/:id/handover',
+  requirePermission('assignment:assign'),
+  assignmentScope,
+  requireResourceStation(resolveUserStations('toUserId')),
+  routeAssignmentController.handoverAssignment
+);
 
-module.exports = router;
\ No newline at end of file
+// Record GPS breadcrumbs while the route is in progress
+router.post('/:id/track', requirePermission('assignment:execute'), assignmentScope, routeAssignmentController.recordTrack);
+
+// Get the patrol track (GeoJSON, or GPX with ?format=gpx)
+router.get('/:id/track', requirePermission('assignment:read'), assignmentScope, routeAssignmentController.getTrack);
+
+router.get('/police-station/:policeStationId/checkpoints', requirePermission('checkpoint:read'), routeAssignmentController.getCheckpointsByPoliceStation);
+
+module.exports = router;
@@ -3,6 +3,14 @@
 const express = require('express');
 const router = express.Router();
 const routeController = require('../controllers/routeController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationParamGuard,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveRouteStation
+} = require('../middlewares/stationScopeMiddleware');
 
 // Validation middleware for policeStationId
 const validatePoliceStationId = (req, res, next) => {
@@ -19,25 +27,31 @@ const validatePoliceStationId = (req, res, next) => {
   next();
 };
 
+// Every route endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+router.param('policeStationId', stationParamGuard);
+
+const routeScope = requireResourceStation(resolveRouteStation());
+
 // Create Route (policeStationId required)
-router.post('/', validatePoliceStationId, routeController.createRoute);
+router.post('/', requirePermission('route:create'), validatePoliceStationId, routeController.createRoute);
 
 // Get All Routes (with pagination, search, priority, and police station filter)
-router.get('/', routeController.getAllRoutes);
+router.get('/', requirePermission('route:read'), routeController.getAllRoutes);
 
 // Get Routes by Police Station ID
-router.get('/police-station/:policeStationId', routeController.getRoutesByPoliceStation);
+router.get('/police-station/:policeStationId', requirePermission('route:read'), routeController.getRoutesByPoliceStation);
 
 // Validate Route Checkpoints
-router.post('/validate-checkpoints', routeController.validateRouteCheckpoints);
+router.post('/validate-checkpoints', requirePermission('route:create'), routeController.validateRouteCheckpoints);
 
 // Get Route by ID
-router.get('/:id', routeController.getRouteById);
+router.get('/:id', requirePermission('route:read'), routeScope, routeController.getRouteById);
 
 // Update Route (policeStationId optional for updates)
-router.put('/:id', validatePoliceStationId, routeController.updateRoute);
+router.put('/:id', requirePermission('route:update'), routeScope, validatePoliceStationId, routeController.updateRoute);
 
 // Delete Route
-router.delete('/:id', routeController.deleteRoute);
+router.delete('/:id', requirePermission('route:delete'), routeScope, routeController.deleteRoute);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
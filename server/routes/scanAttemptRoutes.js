@@ -0,0 +1,18 @@
+// routes/scanAttemptRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const scanAttemptController = require('../controllers/scanAttemptController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { attachStationScope, stationScopeGuard } = require('../middlewares/stationScopeMiddleware');
+
+// Rejected scans are limited to the user's stations
+router.use(authMiddleware, attachStationScope);
+
+// Aggregate Rejected Scans (groupBy=user|checkpoint|reason)
+router.get('/summary', requirePermission('scan:read'), stationScopeGuard, scanAttemptController.getScanAttemptSummary);
+
+// Get Rejected Scans (with pagination and filters)
+router.get('/', requirePermission('scan:read'), stationScopeGuard, scanAttemptController.getScanAttempts);
+
+module.exports = router;
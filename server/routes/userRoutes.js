@@ -2,23 +2,49 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  attachStationScope,
+  stationParamGuard,
+  stationScopeGuard,
+  requireResourceStation,
+  resolveUserStations,
+  allowSelf
+} = require('../middlewares/stationScopeMiddleware');
+
+// Every user endpoint requires a valid token and is limited to the user's stations
+router.use(authMiddleware, attachStationScope, stationScopeGuard);
+router.param('stationId', stationParamGuard);
+
+const userScope = requireResourceStation(resolveUserStations());
 
 // Create User
-router.post('/', userController.createUser);
+router.post('/', requirePermission('user:create'), userController.createUser);
 
 // Get All Users
-router.get('/', userController.getUsers);
+router.get('/', requirePermission('user:read'), userController.getUsers);
 
 // Get User by ID
-router.get('/:id', userController.getUserById);
+router.get('/:id', allowSelf('id', requirePermission('user:read'), userScope), userController.getUserById);
 
 // Update User
-router.put('/:id', userController.updateUser);
+router.put('/:id', requirePermission('user:update'), userScope, userController.updateUser);
 
 // Delete User
-router.delete('/:id', userController.deleteUser);
+router.delete('/:id', requirePermission('user:delete'), userScope, userController.deleteUser);
 
+// Reset a user's password to a new temporary password (emailed to the user)
+router.post('/:id/reset-password', requirePermission('user:update'), userScope, userController.resetUserPassword);
 
-router.get('/station/:stationId', userController.getUsersByStation);
+// Unlock an account locked by failed login attempts
+router.post('/:id/unlock', requirePermission('user:unlock'), userScope, userController.unlockUser);
+
+// List active sessions of a user
+router.get('/:id/sessions', allowSelf('id', requirePermission('user:update'), userScope), userController.getUserSessions);
+
+// Revoke all sessions of a user
+router.post('/:id/revoke-sessions', requirePermission('user:update'), userScope, userController.revokeUserSessions);
+
+router.get('/station/:stationId', requirePermission('user:read'), userController.getUsersByStation);
 
 module.exports = router;
@@ -0,0 +1,82 @@
+// scripts/addMissingColumns.js
+//
+// `sequelize.sync({ force: false })` creates new tables but never adds columns,
+// indexes or enum values to existing ones. This adds any model attribute that is
+// missing from its table (new columns must be nullable or have a default), any
+// value missing from an existing ENUM column, and any missing model index.
+// Safe to run repeatedly.
+//
+// Usage: npm run db:add-columns
+
+const sequelize = require('../config/database');
+const { setupAssociations } = require('../models/associations');
+require('dotenv').config();
+
+// Postgres ENUM columns use a type named enum_<table>_<column>
+const addMissingEnumValues = async (tableName, column, attribute) => {
+  if (!attribute.type || attribute.type.key !== 'ENUM') return 0;
+
+  const typeName = `enum_${tableName}_${column}`;
+  const [rows] = await sequelize.query(
+    'SELECT e.enumlabel FROM pg_enum e JOIN pg_type t ON t.oid = e.enumtypid WHERE t.typname = :typeName',
+    { replacements: { typeName } }
+  );
+  if (rows.length === 0) return 0;
+
+  const existingValues = rows.map(row => row.enumlabel);
+  let added = 0;
+  for (const value of attribute.type.values) {
+    if (existingValues.includes(value)) continue;
+
+    await sequelize.query(`ALTER TYPE "${typeName}" ADD VALUE IF NOT EXISTS '${value.replace(/'/g, "''")}'`);
+    console.log(`Added ${tableName}.${column} value "${value}"`);
+    added++;
+  }
+  return added;
+};
+
+const run = async () => {
+  setupAssociations();
+  await sequelize.sync({ force: false });
+
+  const queryInterface = sequelize.getQueryInterface();
+  let added = 0;
+  let addedValues = 0;
+  let addedIndexes = 0;
+
+  for (const model of Object.values(sequelize.models)) {
+    const tableName = model.getTableName();
+    const existing = await queryInterface.describeTable(tableName);
+
+    for (const [name, attribute] of Object.entries(model.rawAttributes)) {
+      const column = attribute.field || name;
+      if (existing[column]) {
+        addedValues += await addMissingEnumValues(tableName, column, attribute);
+        continue;
+      }
+
+      const { type, allowNull, defaultValue, comment } = attribute;
+      await queryInterface.addColumn(tableName, column, { type, allowNull, defaultValue, comment });
+      console.log(`Added ${tableName}.${column}`);
+      added++;
+    }
+
+    const existingIndexes = (await queryInterface.showIndex(tableName)).map(index => index.name);
+    for (const index of model._indexes || []) {
+      if (existingIndexes.includes(index.name)) continue;
+
+      await queryInterface.addIndex(tableName, index.fields, { name: index.name, unique: !!index.unique });
+      console.log(`Added index ${index.name}`);
+      addedIndexes++;
+    }
+  }
+
+  console.log(`Added ${added} column(s), ${addedValues} enum value(s) and ${addedIndexes} index(es)`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Adding missing columns failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,70 @@
+// scripts/backfillPoliceStations.js
+//
+// One-off migration from the old hard-coded station map:
+//   1. seeds the Ahilyanagar police stations with their historical IDs
+//   2. fills the UserStations join table from each user's `stations` JSON
+//
+// Usage: npm run backfill:stations
+
+const sequelize = require('../config/database');
+const { setupAssociations, PoliceStation, User } = require('../models/associations');
+require('dotenv').config();
+
+// Station IDs previously hard-coded in checkpointController
+const AHILYANAGAR_STATIONS = {
+  1: 'KOTWALI', 2: 'TOFFKHANA', 3: 'BHINGAR CAMP', 4: 'MIDC',
+  5: 'NAGAR TALUKA', 6: 'PARNER', 7: 'SUPA', 8: 'KARJAT',
+  9: 'SHRIGONDA', 10: 'BELVANDI', 11: 'JAMKHED', 12: 'KHARDA',
+  13: 'MIRAJGAON', 14: 'SHEVGAON', 15: 'PATHARDI', 16: 'NEVASA',
+  17: 'SONAI', 18: 'SHANI SHINGNAPUR', 19: 'SHRIRAMPUR', 20: 'SHRIRAMPUR RURAL',
+  21: 'RAHURI', 22: 'KOPARGAON CITY', 23: 'KOPARGAON TALUKA', 24: 'SHIRDI',
+  25: 'RAHATA', 26: 'LONI', 27: 'SANGAMNER CITY', 28: 'SANGAMNER TALUKA',
+  29: 'GHARGAON', 30: 'AKOLE', 31: 'RAJUR', 32: 'ASHVI'
+};
+
+const run = async () => {
+  setupAssociations();
+  await sequelize.sync({ force: false });
+
+  let seeded = 0;
+  for (const [id, name] of Object.entries(AHILYANAGAR_STATIONS)) {
+    const [, created] = await PoliceStation.findOrCreate({
+      where: { id: Number(id) },
+      defaults: {
+        id: Number(id),
+        name,
+        code: `AHN-${String(id).padStart(2, '0')}`,
+        district: 'Ahilyanagar'
+      }
+    });
+    if (created) seeded++;
+  }
+
+  // Explicit IDs do not advance the serial sequence on PostgreSQL
+  await sequelize.query(
+    `SELECT setval(pg_get_serial_sequence('"PoliceStations"', 'id'), (SELECT MAX("id") FROM "PoliceStations"))`
+  );
+
+  let linkedUsers = 0;
+  const users = await User.findAll();
+  for (const user of users) {
+    const stationIds = (user.stations || [])
+      .map(station => parseInt(station && typeof station === 'object' ? station.id : station))
+      .filter(id => Number.isInteger(id) && id > 0);
+
+    if (stationIds.length === 0) continue;
+
+    const policeStations = await PoliceStation.findAll({ where: { id: stationIds } });
+    await user.setPoliceStations(policeStations);
+    linkedUsers++;
+  }
+
+  console.log(`Seeded ${seeded} police station(s), linked stations for ${linkedUsers} user(s)`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Police station backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+// scripts/resignCheckpointQRCodes.js
+//
+// Regenerates the stored qrCodeUrl of every active checkpoint with a signed payload
+// (signed by the active QR_SIGNING_ACTIVE_KEY_ID). Run after enabling signing or
+// rotating keys, then reprint the codes before QR_ACCEPT_UNSIGNED_UNTIL passes.
+//
+// Usage: npm run qr:resign
+
+const QRCode = require('qrcode');
+const sequelize = require('../config/database');
+const { setupAssociations, Checkpoint } = require('../models/associations');
+const { buildCheckpointQrPayload } = require('../services/qrSigningService');
+require('dotenv').config();
+
+const run = async () => {
+  setupAssociations();
+  await sequelize.authenticate();
+
+  const checkpoints = await Checkpoint.findAll({ where: { isActive: true } });
+
+  let updated = 0;
+  let skipped = 0;
+  for (const checkpoint of checkpoints) {
+    const latitude = checkpoint.getLatitude();
+    const longitude = checkpoint.getLongitude();
+    if (!checkpoint.qrCode || isNaN(latitude) || isNaN(longitude)) {
+      console.warn(`Skipping checkpoint ${checkpoint.id}: missing QR code or invalid coordinates`);
+      skipped++;
+      continue;
+    }
+
+    const qrData = buildCheckpointQrPayload({
+      qrCode: checkpoint.qrCode,
+      name: checkpoint.name,
+      lat_long: checkpoint.lat_long,
+      latitude,
+      longitude,
+      policeStationId: checkpoint.policeStationId
+    });
+
+    const qrCodeUrl = await QRCode.toDataURL(qrData, { width: 300, margin: 2 });
+    await checkpoint.update({ qrCodeUrl });
+    updated++;
+  }
+
+  console.log(`Re-signed ${updated} checkpoint QR code(s), skipped ${skipped}`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('QR re-signing failed:', error);
+    process.exit(1);
+  });
@@ -2,11 +2,28 @@ const express = require('express');
 const cors = require('cors'); // Import cors
 const sequelize = require('./config/database'); // Import the Sequelize instance....
 const { setupAssociations } = require('./models/associations'); // Import associations
+const { startPatrolScheduler } = require('./services/patrolScheduleService');
+const { startAssignmentExpiryJob } = require('./services/assignmentExpiryService');
+const { assertQrSigningConfigured } = require('./services/qrSigningService');
 require('dotenv').config();
 
+// Checkpoint QR codes must not be signed with the public development key
+try {
+  assertQrSigningConfigured();
+} catch (error) {
+  console.error(`Invalid QR signing configuration: ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+// used for login throttling and audit
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors()); // Enable CORS
 app.use(express.json());
@@ -20,13 +37,27 @@ app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/checkpoints', require('./routes/checkpointRoutes'));
 app.use('/api/routes', require('./routes/routeRoutes'));
 app.use('/api/route-assignments', require('./routes/routeAssignmentRoutes'));
+app.use('/api/police-stations', require('./routes/policeStationRoutes'));
+app.use('/api/login-attempts', require('./routes/loginAttemptRoutes'));
+app.use('/api/scan-attempts', require('./routes/scanAttemptRoutes'));
+app.use('/api/checklist-templates', require('./routes/checklistTemplateRoutes'));
+app.use('/api/incidents', require('./routes/incidentRoutes'));
+app.use('/api/alerts', require('./routes/alertRoutes'));
+app.use('/api/events', require('./routes/eventRoutes'));
+app.use('/api/patrol-schedules', require('./routes/patrolScheduleRoutes'));
 
 // Setup model associations
 setupAssociations();
 
 // Sync sequelize models with the database
 sequelize.sync({ force: false }) // Set to 'true' only for testing, to drop tables on restart
-  .then(() => console.log('Database synced successfully'))
+  .then(() => {
+    console.log('Database synced successfully');
+    // Creates assignments from patrol schedules (PATROL_SCHEDULER_ENABLED=false to disable)
+    startPatrolScheduler();
+    // Marks assignments past their planned window as expired / missed (ASSIGNMENT_EXPIRY_ENABLED=false to disable)
+    startAssignmentExpiryJob();
+  })
   .catch((error) => console.error('Error syncing the database:', error));
 
 app.listen(PORT, () => {
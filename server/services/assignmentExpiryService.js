@@ -0,0 +1,166 @@
+// services/assignmentExpiryService.js
+//
+// Background job closing assignments whose planned window has ended: never started
+// becomes `missed`, started but unfinished becomes `expired`. Progress is kept, the
+// route is released (only assigned / in_progress block it) and the station's
+// supervisors are notified.
+const { Op } = require('sequelize');
+const RouteAssignment = require('../models/RouteAssignment');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const { publishAssignmentEvent } = require('./stationEventService');
+const { findStationSupervisors } = require('./sosAlertService');
+const { toRecipient, dispatchNotification } = require('./notificationService');
+const { startIntervalJob } = require('./backgroundJobService');
+
+const EXPIRY_CONFIG = {
+  enabled: process.env.ASSIGNMENT_EXPIRY_ENABLED !== 'false',
+  intervalSeconds: parseInt(process.env.ASSIGNMENT_EXPIRY_INTERVAL_SECONDS) || 300,
+  // Time allowed after plannedEndAt before the assignment is closed
+  graceMinutes: parseInt(process.env.ASSIGNMENT_EXPIRY_GRACE_MINUTES) || 15,
+  batchSize: 200
+};
+
+const progressOf = (assignment, route) => {
+  const total = route && route.checkpoints ? route.checkpoints.length : 0;
+  const completed = (assignment.completedCheckpoints || []).length;
+  return { total, completed, remaining: Math.max(total - completed, 0) };
+};
+
+const officerName = (user, userId) => (user ? user.smartusername || user.username : `User ${userId}`);
+
+// One notification per station and run, listing every closed assignment
+const buildOverdueNotification = (policeStationId, closed) => {
+  const missed = closed.filter(entry => entry.status === 'missed');
+  const expired = closed.filter(entry => entry.status === 'expired');
+
+  const describe = (entry) =>
+    `${entry.routeName} (${officerName(entry.officer, entry.userId)}), ` +
+    `window ended ${new Date(entry.plannedEndAt).toLocaleString()}, ` +
+    `${entry.progress.completed}/${entry.progress.total} checkpoints`;
+
+  const lines = [
+    ...missed.map(entry => `Missed: ${describe(entry)}`),
+    ...expired.map(entry => `Not completed: ${describe(entry)}`)
+  ];
+
+  const subject = missed.length > 0
+    ? `${missed.length} missed patrol${missed.length === 1 ? '' : 's'}${expired.length > 0 ? ` and ${expired.length} unfinished` : ''}`
+    : `${expired.length} unfinished patrol${expired.length === 1 ? '' : 's'}`;
+
+  return {
+    type: 'assignment.overdue',
+    subject,
+    text: lines.join('\n'),
+    html: `<p><strong>${subject}</strong></p><ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>`,
+    data: {
+      policeStationId,
+      assignments: closed.map(entry => ({
+        assignmentId: entry.id,
+        status: entry.status,
+        userId: entry.userId,
+        routeId: entry.routeId,
+        plannedEndAt: entry.plannedEndAt,
+        progress: entry.progress
+      }))
+    }
+  };
+};
+
+const notifySupervisors = async (policeStationId, closed) => {
+  const supervisors = await findStationSupervisors(policeStationId, null, 'assignment:assign');
+  if (supervisors.length === 0) return [];
+  return dispatchNotification(buildOverdueNotification(policeStationId, closed), supervisors.map(toRecipient));
+};
+
+// Close every open assignment whose window ended more than graceMinutes ago.
+// Returns { expired, missed, assignments }.
+const expireOverdueAssignments = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - EXPIRY_CONFIG.graceMinutes * 60 * 1000);
+
+  const overdue = await RouteAssignment.findAll({
+    where: {
+      isActive: true,
+      status: { [Op.in]: ['assigned', 'in_progress'] },
+      plannedEndAt: { [Op.lt]: cutoff }
+    },
+    include: [
+      { model: Route, attributes: ['id', 'name', 'policeStationId', 'checkpoints'] },
+      { model: User, attributes: ['id', 'username', 'smartusername'] }
+    ],
+    order: [['plannedEndAt', 'ASC']],
+    limit: EXPIRY_CONFIG.batchSize
+  });
+
+  const closed = [];
+  for (const assignment of overdue) {
+    const status = assignment.status === 'assigned' ? 'missed' : 'expired';
+    const progress = progressOf(assignment, assignment.Route);
+    const notes = status === 'missed'
+      ? `Patrol missed: not started by ${new Date(assignment.plannedEndAt).toLocaleString()}`
+      : `Patrol expired at ${new Date(assignment.plannedEndAt).toLocaleString()} with ${progress.completed}/${progress.total} checkpoints`;
+
+    // Only close it if nobody started or completed it in the meantime
+    const [updated] = await RouteAssignment.update(
+      { status, expiredAt: now, endDate: now, notes },
+      { where: { id: assignment.id, status: assignment.status } }
+    );
+    if (updated === 0) continue;
+
+    assignment.set({ status, expiredAt: now, endDate: now, notes });
+    publishAssignmentEvent(`assignment.${status}`, assignment, {
+      routeName: assignment.Route ? assignment.Route.name : null,
+      plannedEndAt: assignment.plannedEndAt,
+      progress
+    });
+
+    closed.push({
+      id: assignment.id,
+      status,
+      userId: assignment.userId,
+      routeId: assignment.routeId,
+      routeName: assignment.Route ? assignment.Route.name : `Route ${assignment.routeId}`,
+      policeStationId: assignment.policeStationId || (assignment.Route ? assignment.Route.policeStationId : null),
+      officer: assignment.User,
+      plannedEndAt: assignment.plannedEndAt,
+      progress
+    });
+  }
+
+  // Supervisors get one message per station
+  const byStation = new Map();
+  closed.filter(entry => entry.policeStationId).forEach(entry => {
+    byStation.set(entry.policeStationId, [...(byStation.get(entry.policeStationId) || []), entry]);
+  });
+  for (const [policeStationId, entries] of byStation) {
+    try {
+      await notifySupervisors(policeStationId, entries);
+    } catch (error) {
+      console.error(`Failed to notify station ${policeStationId} of overdue patrols:`, error);
+    }
+  }
+
+  return {
+    expired: closed.filter(entry => entry.status === 'expired').length,
+    missed: closed.filter(entry => entry.status === 'missed').length,
+    assignments: closed.map(entry => entry.id)
+  };
+};
+
+// Run the expiry job every EXPIRY_CONFIG.intervalSeconds
+const startAssignmentExpiryJob = () => {
+  if (!EXPIRY_CONFIG.enabled) return;
+
+  startIntervalJob('assignment-expiry', EXPIRY_CONFIG.intervalSeconds, async () => {
+    const result = await expireOverdueAssignments();
+    if (result.expired > 0 || result.missed > 0) {
+      console.log(`Assignment expiry: ${result.missed} missed, ${result.expired} expired`);
+    }
+  });
+};
+
+module.exports = {
+  EXPIRY_CONFIG,
+  expireOverdueAssignments,
+  startAssignmentExpiryJob
+};
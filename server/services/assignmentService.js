@@ -0,0 +1,256 @@
+// services/assignmentService.js
+//
+// Rules that decide whether a route can be assigned to an officer, the planned
+// shift window of an assignment, and team membership. Used by manual assignment
+// and by the patrol schedule generator.
+// A team assignment has a lead officer (RouteAssignment.userId) and members
+// (RouteAssignmentMember); every team member may work the assignment.
+const { Op } = require('sequelize');
+const RouteAssignment = require('../models/RouteAssignment');
+const RouteAssignmentMember = require('../models/RouteAssignmentMember');
+const User = require('../models/User');
+const UserStation = require('../models/UserStation');
+
+const OPEN_ASSIGNMENT_STATUSES = ['assigned', 'in_progress'];
+const FINISHED_ASSIGNMENT_STATUSES = ['completed', 'cancelled', 'expired', 'missed', 'handed_over'];
+const MAX_ROUTES_PER_USER = 5;
+const MAX_TEAM_SIZE = 5; // lead included
+
+// Window used when an assignment is created without plannedEndAt
+const DEFAULT_WINDOW_HOURS = parseInt(process.env.ASSIGNMENT_DEFAULT_WINDOW_HOURS) || 12;
+const MAX_WINDOW_HOURS = 7 * 24;
+
+// Validate a planned shift window. plannedStartAt defaults to now and plannedEndAt
+// to DEFAULT_WINDOW_HOURS after it. Returns { valid, plannedStartAt, plannedEndAt }.
+const resolvePlannedWindow = ({ plannedStartAt, plannedEndAt }, now = new Date()) => {
+  const start = plannedStartAt ? new Date(plannedStartAt) : now;
+  if (isNaN(start.getTime())) {
+    return { valid: false, message: 'plannedStartAt must be a valid date' };
+  }
+
+  const end = plannedEndAt ? new Date(plannedEndAt) : new Date(start.getTime() + DEFAULT_WINDOW_HOURS * 60 * 60 * 1000);
+  if (isNaN(end.getTime())) {
+    return { valid: false, message: 'plannedEndAt must be a valid date' };
+  }
+  if (end <= start) {
+    return { valid: false, message: 'plannedEndAt must be after plannedStartAt' };
+  }
+  if (end <= now) {
+    return { valid: false, message: 'plannedEndAt must be in the future' };
+  }
+  if (end.getTime() - start.getTime() > MAX_WINDOW_HOURS * 60 * 60 * 1000) {
+    return { valid: false, message: `A planned window can be at most ${MAX_WINDOW_HOURS} hours long` };
+  }
+
+  return { valid: true, plannedStartAt: start, plannedEndAt: end };
+};
+
+// True when the assignment's planned window has ended
+const isPastWindow = (assignment, now = new Date()) =>
+  !!assignment.plannedEndAt && new Date(assignment.plannedEndAt) <= now;
+
+// IDs of assignments the user belongs to as a (non-lead) team member
+const findMemberAssignmentIds = async (userId) => {
+  const memberships = await RouteAssignmentMember.findAll({ where: { userId }, attributes: ['routeAssignmentId'] });
+  return memberships.map(membership => membership.routeAssignmentId);
+};
+
+// Where condition matching assignments the user leads or is a member of
+const userAssignmentCondition = async (userId, memberAssignmentIds = null) => {
+  if (!memberAssignmentIds) memberAssignmentIds = await findMemberAssignmentIds(userId);
+  if (memberAssignmentIds.length === 0) return { userId };
+  return { [Op.or]: [{ userId }, { id: { [Op.in]: memberAssignmentIds } }] };
+};
+
+// User IDs of everyone on the assignment, lead first
+const getTeamUserIds = async (assignment) => {
+  const members = await RouteAssignmentMember.findAll({
+    where: { routeAssignmentId: assignment.id },
+    attributes: ['userId'],
+    order: [['id', 'ASC']]
+  });
+  return [assignment.userId, ...members.map(member => member.userId)];
+};
+
+// True when the user leads the assignment or is one of its members
+const isTeamMember = async (assignment, userId) => {
+  if (assignment.userId === userId) return true;
+  const membership = await RouteAssignmentMember.findOne({ where: { routeAssignmentId: assignment.id, userId } });
+  return !!membership;
+};
+
+// 'lead', 'member' or null
+const getTeamRole = (assignment, userId, memberAssignmentIds = []) => {
+  if (Number(assignment.userId) === Number(userId)) return 'lead';
+  return memberAssignmentIds.includes(assignment.id) ? 'member' : null;
+};
+
+// Officers in the list who are not posted at the station
+const findOfficersNotPosted = async (officerIds, policeStationId) => {
+  const postings = await UserStation.findAll({
+    where: { userId: { [Op.in]: officerIds }, policeStationId },
+    attributes: ['userId']
+  });
+  const posted = new Set(postings.map(posting => posting.userId));
+  return officerIds.filter(id => !posted.has(id));
+};
+
+// Check the assignment rules for a route and user. Returns { allowed: true, activeCount }
+// or { allowed: false, status, error, message, data }. excludeAssignmentId ignores an
+// assignment that is about to be closed (handover).
+const checkAssignmentConflicts = async (route, userId, { excludeAssignmentId } = {}) => {
+  const excluded = excludeAssignmentId ? { id: { [Op.ne]: excludeAssignmentId } } : {};
+
+  // RULE 1: Check if this route is already assigned to ANY user
+  const existingRouteAssignment = await RouteAssignment.findOne({
+    where: {
+      ...excluded,
+      routeId: route.id,
+      isActive: true,
+      status: { [Op.in]: OPEN_ASSIGNMENT_STATUSES }
+    }
+  });
+
+  if (existingRouteAssignment) {
+    const assignedUser = await User.findByPk(existingRouteAssignment.userId);
+
+    return {
+      allowed: false,
+      status: 409,
+      error: 'ROUTE_ALREADY_ASSIGNED',
+      message: `Route "${route.name}" is already assigned to another user`,
+      data: {
+        route: {
+          id: route.id,
+          name: route.name
+        },
+        assignedTo: {
+          id: existingRouteAssignment.userId,
+          username: assignedUser ? assignedUser.username || `User_${assignedUser.id}` : null
+        },
+        assignmentId: existingRouteAssignment.id,
+        assignedAt: existingRouteAssignment.createdAt,
+        status: existingRouteAssignment.status,
+        suggestion: 'Please choose a different route or wait for the current assignment to be completed/cancelled'
+      }
+    };
+  }
+
+  // RULE 2: Check if user already has this specific route assigned
+  // (team assignments the user is a member of count as theirs)
+  const userCondition = await userAssignmentCondition(userId);
+  const userRouteConflict = await RouteAssignment.findOne({
+    where: {
+      ...userCondition,
+      ...excluded,
+      routeId: route.id,
+      isActive: true,
+      status: { [Op.in]: OPEN_ASSIGNMENT_STATUSES }
+    }
+  });
+
+  if (userRouteConflict) {
+    return {
+      allowed: false,
+      status: 409,
+      error: 'USER_ROUTE_DUPLICATE',
+      message: 'User already has this route assigned',
+      data: {
+        existingAssignment: {
+          id: userRouteConflict.id,
+          status: userRouteConflict.status,
+          assignedAt: userRouteConflict.createdAt
+        }
+      }
+    };
+  }
+
+  // RULE 3: Check user's active assignment limit
+  const activeCount = await RouteAssignment.count({
+    where: {
+      ...userCondition,
+      ...excluded,
+      isActive: true,
+      status: { [Op.in]: OPEN_ASSIGNMENT_STATUSES }
+    }
+  });
+
+  if (activeCount >= MAX_ROUTES_PER_USER) {
+    return {
+      allowed: false,
+      status: 400,
+      error: 'MAX_ROUTES_REACHED',
+      message: `User has reached the maximum limit of ${MAX_ROUTES_PER_USER} active route assignments`,
+      data: {
+        currentActiveRoutes: activeCount,
+        maxAllowed: MAX_ROUTES_PER_USER,
+        suggestion: 'Complete or cancel existing routes before assigning new ones'
+      }
+    };
+  }
+
+  return { allowed: true, activeCount };
+};
+
+// Validate the members of a team assignment: existing users, posted at the route's
+// station, not the lead, and each passing the assignment rules. Returns
+// { valid: true, members } or { valid: false, status, error?, message, data? }.
+// options are passed on to checkAssignmentConflicts.
+const validateTeamMembers = async (route, leadUserId, memberIds, options = {}) => {
+  if (memberIds === undefined || memberIds === null) return { valid: true, members: [] };
+
+  const ids = Array.isArray(memberIds) ? memberIds.map(Number) : null;
+  if (!ids || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { valid: false, status: 400, message: 'memberIds must be an array of user IDs' };
+  }
+  if (new Set(ids).size !== ids.length || ids.includes(Number(leadUserId))) {
+    return { valid: false, status: 400, message: 'memberIds must be distinct and must not include the lead officer' };
+  }
+  if (ids.length + 1 > MAX_TEAM_SIZE) {
+    return { valid: false, status: 400, message: `A team can have at most ${MAX_TEAM_SIZE} officers including the lead` };
+  }
+  if (ids.length === 0) return { valid: true, members: [] };
+
+  const members = await User.findAll({ where: { id: { [Op.in]: ids } }, attributes: ['id', 'username', 'smartusername'] });
+  const missing = ids.filter(id => !members.some(member => member.id === id));
+  if (missing.length > 0) {
+    return { valid: false, status: 404, message: `Users not found: ${missing.join(', ')}` };
+  }
+
+  const notPosted = await findOfficersNotPosted(ids, route.policeStationId);
+  if (notPosted.length > 0) {
+    return { valid: false, status: 400, message: `Users ${notPosted.join(', ')} are not posted at the route's police station` };
+  }
+
+  for (const id of ids) {
+    const conflict = await checkAssignmentConflicts(route, id, options);
+    if (!conflict.allowed) {
+      return {
+        valid: false,
+        status: conflict.status,
+        error: conflict.error,
+        message: `Team member ${id}: ${conflict.message}`,
+        data: { userId: id, ...conflict.data }
+      };
+    }
+  }
+
+  return { valid: true, members };
+};
+
+module.exports = {
+  OPEN_ASSIGNMENT_STATUSES,
+  FINISHED_ASSIGNMENT_STATUSES,
+  MAX_ROUTES_PER_USER,
+  MAX_TEAM_SIZE,
+  resolvePlannedWindow,
+  isPastWindow,
+  findOfficersNotPosted,
+  findMemberAssignmentIds,
+  userAssignmentCondition,
+  getTeamUserIds,
+  isTeamMember,
+  getTeamRole,
+  checkAssignmentConflicts,
+  validateTeamMembers
+};
@@ -0,0 +1,42 @@
+// services/backgroundJobService.js
+//
+// In-process jobs run on an interval. A tick is skipped while the previous run of
+// the same job is still going, and a failing run never stops the job.
+const jobs = new Map();
+
+// Start `run` every intervalSeconds (and once immediately). Starting a job that is
+// already running does nothing.
+const startIntervalJob = (name, intervalSeconds, run) => {
+  if (jobs.has(name)) return;
+
+  const job = { running: false, timer: null };
+
+  const tick = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Background job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(tick, intervalSeconds * 1000);
+  jobs.set(name, job);
+  tick();
+  console.log(`Background job "${name}" started (every ${intervalSeconds}s)`);
+};
+
+const stopIntervalJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) return;
+  clearInterval(job.timer);
+  jobs.delete(name);
+};
+
+module.exports = {
+  startIntervalJob,
+  stopIntervalJob
+};
@@ -0,0 +1,237 @@
+// services/checklistService.js
+//
+// Checkpoint inspection checklists: template field validation, validation of the
+// answers submitted with a scan, and aggregation of stored answers for reports.
+const ChecklistTemplate = require('../models/ChecklistTemplate');
+
+const FIELD_TYPES = ['boolean', 'number', 'choice', 'text', 'photo'];
+const MAX_FIELDS = 50;
+const MAX_CHOICE_OPTIONS = 50;
+const MAX_TEXT_LENGTH = 1000;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// Validate and normalize template fields. Returns { valid, message, fields }.
+const validateTemplateFields = (fields) => {
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FIELDS) {
+    return { valid: false, message: `fields must be an array of 1 to ${MAX_FIELDS} fields` };
+  }
+
+  const keys = new Set();
+  const normalized = [];
+
+  for (const field of fields) {
+    if (!field || typeof field !== 'object') {
+      return { valid: false, message: 'Each field must be an object' };
+    }
+
+    const { key, label, type } = field;
+    if (typeof key !== 'string' || !FIELD_KEY_PATTERN.test(key)) {
+      return { valid: false, message: `Field key "${key}" must start with a lowercase letter and contain only a-z, 0-9 and _` };
+    }
+    if (keys.has(key)) {
+      return { valid: false, message: `Duplicate field key "${key}"` };
+    }
+    keys.add(key);
+
+    if (typeof label !== 'string' || !label.trim()) {
+      return { valid: false, message: `Field "${key}" needs a label` };
+    }
+    if (!FIELD_TYPES.includes(type)) {
+      return { valid: false, message: `Field "${key}" type must be one of: ${FIELD_TYPES.join(', ')}` };
+    }
+
+    const entry = { key, label: label.trim(), type, required: field.required === true };
+
+    if (type === 'choice') {
+      const options = Array.isArray(field.options)
+        ? [...new Set(field.options.filter(option => typeof option === 'string' && option.trim()).map(option => option.trim()))]
+        : [];
+      if (options.length === 0 || options.length > MAX_CHOICE_OPTIONS) {
+        return { valid: false, message: `Choice field "${key}" needs 1 to ${MAX_CHOICE_OPTIONS} options` };
+      }
+      entry.options = options;
+      entry.multiple = field.multiple === true;
+    }
+
+    if (type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (field[bound] !== undefined && field[bound] !== null) {
+          if (typeof field[bound] !== 'number' || !Number.isFinite(field[bound])) {
+            return { valid: false, message: `Field "${key}" ${bound} must be a number` };
+          }
+          entry[bound] = field[bound];
+        }
+      }
+      if (entry.min !== undefined && entry.max !== undefined && entry.min > entry.max) {
+        return { valid: false, message: `Field "${key}" min cannot be greater than max` };
+      }
+      entry.integer = field.integer === true;
+    }
+
+    normalized.push(entry);
+  }
+
+  return { valid: true, fields: normalized };
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Multipart requests send answers as a JSON string and every value as text
+const parseAnswers = (rawAnswers) => {
+  if (rawAnswers === undefined || rawAnswers === null || rawAnswers === '') return { valid: true, answers: {} };
+  if (typeof rawAnswers === 'string') {
+    try {
+      rawAnswers = JSON.parse(rawAnswers);
+    } catch (e) {
+      return { valid: false, errors: ['checklistAnswers must be a JSON object'] };
+    }
+  }
+  if (typeof rawAnswers !== 'object' || Array.isArray(rawAnswers)) {
+    return { valid: false, errors: ['checklistAnswers must be an object keyed by field key'] };
+  }
+  return { valid: true, answers: rawAnswers };
+};
+
+// Validate scan answers against a template. Photo answers name one of the uploaded
+// images by its original filename; `photoRefs` maps field key to that image's index
+// so the S3 URL can be filled in after upload.
+const validateChecklistAnswers = (template, rawAnswers, files) => {
+  const parsed = parseAnswers(rawAnswers);
+  if (!parsed.valid) return parsed;
+
+  const images = (files && files.images) || [];
+  const fieldKeys = template.fields.map(field => field.key);
+  const errors = Object.keys(parsed.answers)
+    .filter(key => !fieldKeys.includes(key))
+    .map(key => `Unknown checklist field "${key}"`);
+  const answers = {};
+  const photoRefs = {};
+
+  for (const field of template.fields) {
+    const value = parsed.answers[field.key];
+
+    if (isEmpty(value) || (Array.isArray(value) && value.length === 0)) {
+      if (field.required) errors.push(`"${field.label}" is required`);
+      continue;
+    }
+
+    switch (field.type) {
+      case 'boolean': {
+        if (value === true || value === 'true') answers[field.key] = true;
+        else if (value === false || value === 'false') answers[field.key] = false;
+        else errors.push(`"${field.label}" must be true or false`);
+        break;
+      }
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (!Number.isFinite(number)) {
+          errors.push(`"${field.label}" must be a number`);
+        } else if (field.integer && !Number.isInteger(number)) {
+          errors.push(`"${field.label}" must be a whole number`);
+        } else if (field.min !== undefined && number < field.min) {
+          errors.push(`"${field.label}" must be at least ${field.min}`);
+        } else if (field.max !== undefined && number > field.max) {
+          errors.push(`"${field.label}" must be at most ${field.max}`);
+        } else {
+          answers[field.key] = number;
+        }
+        break;
+      }
+      case 'choice': {
+        const selected = Array.isArray(value) ? value : [value];
+        const invalid = selected.filter(option => !field.options.includes(option));
+        if (invalid.length > 0) {
+          errors.push(`"${field.label}" must be one of: ${field.options.join(', ')}`);
+        } else if (!field.multiple && selected.length > 1) {
+          errors.push(`"${field.label}" accepts a single option`);
+        } else {
+          answers[field.key] = field.multiple ? [...new Set(selected)] : selected[0];
+        }
+        break;
+      }
+      case 'text': {
+        const text = String(value).trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+          errors.push(`"${field.label}" cannot exceed ${MAX_TEXT_LENGTH} characters`);
+        } else if (text) {
+          answers[field.key] = text;
+        } else if (field.required) {
+          errors.push(`"${field.label}" is required`);
+        }
+        break;
+      }
+      case 'photo': {
+        const index = images.findIndex(file => file.originalname === value);
+        if (index === -1) {
+          errors.push(`"${field.label}" must name an uploaded image ("${value}" was not uploaded)`);
+        } else {
+          photoRefs[field.key] = index;
+        }
+        break;
+      }
+    }
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, answers, photoRefs };
+};
+
+// Replace photo references with the uploaded image URLs
+const resolvePhotoAnswers = (answers, photoRefs, uploadedImages) => {
+  const resolved = { ...answers };
+  Object.entries(photoRefs).forEach(([key, index]) => {
+    resolved[key] = uploadedImages[index] || null;
+  });
+  return resolved;
+};
+
+// Load the active template attached to a checkpoint, or null
+const getCheckpointTemplate = async (checkpoint) => {
+  if (!checkpoint.checklistTemplateId) return null;
+  const template = await ChecklistTemplate.findByPk(checkpoint.checklistTemplateId);
+  return template && template.isActive ? template : null;
+};
+
+// Aggregate answers of many scans for the given template fields
+const aggregateAnswers = (fields, scans) => {
+  const summary = {};
+
+  for (const field of fields) {
+    const values = scans
+      .map(scan => (scan.checklistAnswers || {})[field.key])
+      .filter(value => !isEmpty(value));
+    const entry = { key: field.key, label: field.label, type: field.type, answered: values.length };
+
+    if (field.type === 'boolean') {
+      entry.yes = values.filter(value => value === true).length;
+      entry.no = values.filter(value => value === false).length;
+      entry.yesRate = values.length > 0 ? Math.round((entry.yes / values.length) * 100) : null;
+    } else if (field.type === 'number') {
+      const numbers = values.filter(value => typeof value === 'number');
+      entry.sum = numbers.reduce((total, value) => total + value, 0);
+      entry.avg = numbers.length > 0 ? Math.round((entry.sum / numbers.length) * 100) / 100 : null;
+      entry.min = numbers.length > 0 ? Math.min(...numbers) : null;
+      entry.max = numbers.length > 0 ? Math.max(...numbers) : null;
+    } else if (field.type === 'choice') {
+      entry.counts = Object.fromEntries((field.options || []).map(option => [option, 0]));
+      values.flat().forEach(option => {
+        entry.counts[option] = (entry.counts[option] || 0) + 1;
+      });
+    } else if (field.type === 'text') {
+      entry.recent = values.slice(0, 5);
+    }
+
+    summary[field.key] = entry;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateTemplateFields,
+  validateChecklistAnswers,
+  resolvePhotoAnswers,
+  getCheckpointTemplate,
+  aggregateAnswers
+};
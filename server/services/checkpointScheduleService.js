@@ -0,0 +1,123 @@
+// services/checkpointScheduleService.js
+//
+// Time-of-day / day-of-week windows and minimum dwell for checkpoints.
+// timeWindows: [{ days?: [0-6] (0 = Sunday, omitted = every day), start: 'HH:MM', end: 'HH:MM' }]
+// A window whose end is before its start runs past midnight (e.g. 22:00-06:00);
+// `days` then refers to the day it starts on.
+const CheckpointScan = require('../models/CheckpointScan');
+
+const PATROL_TIMEZONE = process.env.PATROL_TIMEZONE || 'Asia/Kolkata';
+const TIME_WINDOW_POLICIES = ['reject', 'flag'];
+const MAX_TIME_WINDOWS = 20;
+const MAX_DWELL_MINUTES = 240;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (value) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Validate the timeWindows array (null/undefined means "always")
+const validateTimeWindows = (timeWindows) => {
+  if (timeWindows === null || timeWindows === undefined) return { valid: true };
+
+  if (!Array.isArray(timeWindows) || timeWindows.length === 0 || timeWindows.length > MAX_TIME_WINDOWS) {
+    return { valid: false, message: `timeWindows must be an array of 1 to ${MAX_TIME_WINDOWS} windows, or null` };
+  }
+
+  for (const window of timeWindows) {
+    if (!window || typeof window !== 'object') {
+      return { valid: false, message: 'Each time window must be an object with start and end' };
+    }
+    if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+      return { valid: false, message: 'Time window start and end must be in HH:MM (24-hour) format' };
+    }
+    if (window.start === window.end) {
+      return { valid: false, message: 'Time window start and end must differ' };
+    }
+    if (window.days !== undefined && (
+      !Array.isArray(window.days) || window.days.length === 0 ||
+      window.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)
+    )) {
+      return { valid: false, message: 'Time window days must be a non-empty array of 0 (Sunday) to 6 (Saturday)' };
+    }
+  }
+
+  return { valid: true };
+};
+
+const validateMinDwellMinutes = (minDwellMinutes) => {
+  if (minDwellMinutes === null || minDwellMinutes === undefined) return { valid: true };
+
+  const value = Number(minDwellMinutes);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_DWELL_MINUTES) {
+    return { valid: false, message: `minDwellMinutes must be an integer between 0 and ${MAX_DWELL_MINUTES}` };
+  }
+  return { valid: true };
+};
+
+// Day of week and minutes since midnight in the patrol timezone
+const getLocalTime = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: PATROL_TIMEZONE,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  const hours = parseInt(parts.hour);
+  const minutes = parseInt(parts.minute);
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: hours * 60 + minutes,
+    label: `${parts.hour}:${parts.minute}`
+  };
+};
+
+const isInWindow = (window, { day, minutes }) => {
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window: the evening part on a listed day, or the early hours after one
+  const previousDay = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+};
+
+// Check a scan time against a checkpoint's windows. Returns null when the checkpoint
+// has no windows, otherwise { within, localTime, localDay }.
+const checkTimeWindows = (timeWindows, date) => {
+  if (!Array.isArray(timeWindows) || timeWindows.length === 0) return null;
+
+  const local = getLocalTime(date);
+  return {
+    within: timeWindows.some(window => isInWindow(window, local)),
+    localTime: local.label,
+    localDay: local.day
+  };
+};
+
+// A dwell checkpoint is checked in but not yet complete. It only enters
+// completedCheckpoints on check-out, so any valid check-in for a pending checkpoint is open.
+const findOpenCheckIn = (routeAssignmentId, checkpointId, options = {}) =>
+  CheckpointScan.findOne({
+    where: { routeAssignmentId, checkpointId, scanType: 'check_in', isValid: true },
+    order: [['scanTime', 'DESC']],
+    ...options
+  });
+
+module.exports = {
+  PATROL_TIMEZONE,
+  TIME_WINDOW_POLICIES,
+  validateTimeWindows,
+  validateMinDwellMinutes,
+  checkTimeWindows,
+  findOpenCheckIn
+};
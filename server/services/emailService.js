@@ -101,7 +101,7 @@ const sendRegistrationEmail = async (userEmail, userData) => {
                 <strong>Security Notice:</strong>
                 <ul>
                   <li>Please keep your credentials secure and do not share them with anyone.</li>
-                  <li>We recommend changing your password after your first login.</li>
+                  <li>This is a temporary password. You will be asked to set a new password when you first log in.</li>
                   <li>If you did not request this account, please contact your administrator immediately.</li>
                 </ul>
               </div>
@@ -128,7 +128,7 @@ const sendRegistrationEmail = async (userEmail, userData) => {
         Username: ${username}
         Password: ${password}
         
-        Please keep your credentials secure and change your password after first login.
+        This is a temporary password. You will be asked to set a new password when you first log in.
         
         Best regards,
         Smart Patrolling System Team
@@ -198,7 +198,27 @@ const sendPasswordResetEmail = async (userEmail, resetToken) => {
   }
 };
 
+// Send an operational notification (SOS alerts, etc.)
+const sendNotificationEmail = async (userEmail, { subject, text, html }) => {
+  try {
+    const mailOptions = {
+      from: `"Smart Patrolling System" <${EMAIL_CONFIG.auth.user}>`,
+      to: userEmail,
+      subject,
+      text,
+      html
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending notification email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendRegistrationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendNotificationEmail
 };
\ No newline at end of file
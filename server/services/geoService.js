@@ -0,0 +1,160 @@
+// services/geoService.js
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+// Validate a "latitude,longitude" string and return the parsed values
+const validateLatLong = (latLong) => {
+  if (!latLong || typeof latLong !== 'string') {
+    return { valid: false, message: 'lat_long must be a string' };
+  }
+
+  const parts = latLong.split(',');
+  if (parts.length !== 2) {
+    return { valid: false, message: 'lat_long must be in format "latitude,longitude"' };
+  }
+
+  const lat = parseFloat(parts[0].trim());
+  const lng = parseFloat(parts[1].trim());
+
+  if (isNaN(lat) || isNaN(lng)) {
+    return { valid: false, message: 'Invalid latitude or longitude values' };
+  }
+
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { valid: false, message: 'Latitude must be between -90 and 90, longitude between -180 and 180' };
+  }
+
+  return { valid: true, latitude: lat, longitude: lng };
+};
+
+// Great-circle distance in meters (Haversine formula)
+const haversineDistance = (lat1, lng1, lat2, lng2) => {
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lng2 - lng1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) *
+    Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_METERS * c;
+};
+
+// Basic structural validation of a GeoJSON Polygon/MultiPolygon ([longitude, latitude] positions)
+const validatePolygonGeometry = (geometry, label = 'geometry') => {
+  if (!geometry || typeof geometry !== 'object' || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { valid: false, message: `${label} must be a GeoJSON Polygon or MultiPolygon` };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { valid: false, message: `${label} coordinates are missing` };
+  }
+
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return { valid: false, message: `${label} polygon must contain at least one ring` };
+    }
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return { valid: false, message: `Each ${label} ring must have at least 4 positions` };
+      }
+      const invalidPosition = ring.some(position =>
+        !Array.isArray(position) ||
+        typeof position[0] !== 'number' || typeof position[1] !== 'number' ||
+        position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90
+      );
+      if (invalidPosition) {
+        return { valid: false, message: `${label.charAt(0).toUpperCase() + label.slice(1)} positions must be [longitude, latitude] pairs` };
+      }
+    }
+  }
+
+  return { valid: true };
+};
+
+const getPolygons = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+
+// Ray casting test against one ring of [longitude, latitude] positions
+const isPointInRing = (lat, lng, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring of any polygon and outside all of its holes
+const isPointInPolygon = (lat, lng, geometry) =>
+  getPolygons(geometry).some(([outer, ...holes]) =>
+    isPointInRing(lat, lng, outer) && !holes.some(hole => isPointInRing(lat, lng, hole))
+  );
+
+// Distance in meters from a point to the segment a-b, on a local flat projection
+// (accurate enough at geofence scale)
+const distanceToSegment = (lat, lng, [aLng, aLat], [bLng, bLat]) => {
+  const metersPerDegLat = Math.PI * EARTH_RADIUS_METERS / 180;
+  const metersPerDegLng = metersPerDegLat * Math.cos(lat * Math.PI / 180);
+
+  const ax = (aLng - lng) * metersPerDegLng;
+  const ay = (aLat - lat) * metersPerDegLat;
+  const bx = (bLng - lng) * metersPerDegLng;
+  const by = (bLat - lat) * metersPerDegLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+// Distance in meters from a point to the nearest polygon edge
+const distanceToPolygonEdge = (lat, lng, geometry) => {
+  let min = Infinity;
+  for (const polygon of getPolygons(geometry)) {
+    for (const ring of polygon) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        min = Math.min(min, distanceToSegment(lat, lng, ring[i], ring[i + 1]));
+      }
+    }
+  }
+  return min;
+};
+
+// Check a point against a polygon geofence widened by `buffer` meters.
+// distanceOutside is 0 for points inside the polygon.
+const checkGeofence = (lat, lng, geometry, buffer = 0) => {
+  const inside = isPointInPolygon(lat, lng, geometry);
+  const distanceOutside = inside ? 0 : distanceToPolygonEdge(lat, lng, geometry);
+
+  return {
+    inside,
+    distanceOutside,
+    withinBuffer: distanceOutside <= (buffer || 0)
+  };
+};
+
+// Half the diagonal of the geofence's bounding box in meters: the radius of a circle
+// of comparable size, for tolerances that a scanRadius would otherwise give
+const getGeofenceRadius = (geometry) => {
+  const positions = getPolygons(geometry).flatMap(polygon => polygon[0]);
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+  return haversineDistance(Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs)) / 2;
+};
+
+module.exports = {
+  validateLatLong,
+  haversineDistance,
+  validatePolygonGeometry,
+  isPointInPolygon,
+  checkGeofence,
+  getGeofenceRadius
+};
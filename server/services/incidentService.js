@@ -0,0 +1,167 @@
+// services/incidentService.js
+//
+// Incident categories and status workflow, resolution of the optional scan /
+// checkpoint / assignment links, and media upload for incident reports.
+const Checkpoint = require('../models/Checkpoint');
+const CheckpointScan = require('../models/CheckpointScan');
+const Route = require('../models/Route');
+const RouteAssignment = require('../models/RouteAssignment');
+const { uploadFileToS3 } = require('../middlewares/uploadMiddleware');
+
+const INCIDENT_CATEGORIES = [
+  'broken_lock',
+  'suspicious_vehicle',
+  'suspicious_person',
+  'accident',
+  'property_damage',
+  'trespass',
+  'fire',
+  'medical',
+  'public_nuisance',
+  'other'
+];
+const INCIDENT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// Allowed status changes (resolved incidents may be reopened)
+const STATUS_TRANSITIONS = {
+  open: ['acknowledged', 'resolved'],
+  acknowledged: ['open', 'resolved'],
+  resolved: ['open']
+};
+
+const MEDIA_FOLDER = 'incidents';
+
+const fail = (status, message, error) => ({ success: false, status, message, error });
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// statusHistory entry stored on the incident
+const buildStatusEntry = (from, to, userId, notes) => ({
+  from,
+  to,
+  changedBy: userId,
+  changedAt: new Date().toISOString(),
+  notes: notes ? String(notes).trim().slice(0, 1000) : null
+});
+
+const toId = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const id = parseInt(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+};
+
+// Resolve the optional links of an incident. A scan implies its checkpoint and
+// assignment; the police station comes from the most specific link when not given.
+// Returns { success, data: { checkpointScanId, checkpointId, routeAssignmentId, policeStationId, lat_long } }
+const resolveIncidentLinks = async ({ checkpointScanId, checkpointId, routeAssignmentId, policeStationId }) => {
+  const ids = {
+    checkpointScanId: toId(checkpointScanId),
+    checkpointId: toId(checkpointId),
+    routeAssignmentId: toId(routeAssignmentId),
+    policeStationId: toId(policeStationId)
+  };
+
+  const invalid = Object.keys(ids).find(key => Number.isNaN(ids[key]));
+  if (invalid) return fail(400, `${invalid} must be a valid positive integer`, 'INVALID_LINK');
+
+  const stations = [];
+  let latLong = null;
+
+  if (ids.checkpointScanId) {
+    const scan = await CheckpointScan.findByPk(ids.checkpointScanId, {
+      attributes: ['id', 'checkpointId', 'routeAssignmentId', 'userLatLong']
+    });
+    if (!scan) return fail(404, 'Checkpoint scan not found', 'SCAN_NOT_FOUND');
+
+    if ((ids.checkpointId && ids.checkpointId !== scan.checkpointId) ||
+        (ids.routeAssignmentId && ids.routeAssignmentId !== scan.routeAssignmentId)) {
+      return fail(400, 'checkpointId and routeAssignmentId must match the linked scan', 'LINK_MISMATCH');
+    }
+
+    ids.checkpointId = scan.checkpointId;
+    ids.routeAssignmentId = scan.routeAssignmentId;
+    latLong = scan.userLatLong;
+  }
+
+  if (ids.checkpointId) {
+    const checkpoint = await Checkpoint.findByPk(ids.checkpointId, { attributes: ['id', 'lat_long', 'policeStationId', 'isActive'] });
+    if (!checkpoint || (!checkpoint.isActive && !ids.checkpointScanId)) {
+      return fail(404, 'Checkpoint not found', 'CHECKPOINT_NOT_FOUND');
+    }
+    stations.push(checkpoint.policeStationId);
+    latLong = latLong || checkpoint.lat_long;
+  }
+
+  if (ids.routeAssignmentId) {
+    const assignment = await RouteAssignment.findByPk(ids.routeAssignmentId, { attributes: ['id', 'routeId', 'policeStationId'] });
+    if (!assignment) return fail(404, 'Route assignment not found', 'ASSIGNMENT_NOT_FOUND');
+
+    let assignmentStationId = assignment.policeStationId;
+    if (!assignmentStationId) {
+      // Older assignments were created without policeStationId
+      const route = await Route.findByPk(assignment.routeId, { attributes: ['id', 'policeStationId'] });
+      assignmentStationId = route ? route.policeStationId : null;
+    }
+    if (assignmentStationId) stations.push(assignmentStationId);
+  }
+
+  const linkedStationId = stations[0] || null;
+  if (stations.some(id => id !== linkedStationId)) {
+    return fail(400, 'The linked checkpoint and assignment belong to different police stations', 'LINK_MISMATCH');
+  }
+  if (ids.policeStationId && linkedStationId && ids.policeStationId !== linkedStationId) {
+    return fail(400, `policeStationId does not match the linked records (police station ${linkedStationId})`, 'LINK_MISMATCH');
+  }
+
+  const resolvedStationId = ids.policeStationId || linkedStationId;
+  if (!resolvedStationId) {
+    return fail(400, 'policeStationId is required when the incident is not linked to a scan, checkpoint or assignment', 'POLICE_STATION_REQUIRED');
+  }
+
+  return {
+    success: true,
+    data: {
+      checkpointScanId: ids.checkpointScanId,
+      checkpointId: ids.checkpointId,
+      routeAssignmentId: ids.routeAssignmentId,
+      policeStationId: resolvedStationId,
+      lat_long: latLong
+    }
+  };
+};
+
+// Upload multer files ({ images, videos, audios }) for an incident to S3
+const uploadIncidentMedia = async (files, userId, incidentId) => {
+  const uploadedFiles = {
+    images: [],
+    videos: [],
+    audios: []
+  };
+
+  if (!files) return uploadedFiles;
+
+  for (const type of Object.keys(uploadedFiles)) {
+    if (files[type] && files[type].length > 0) {
+      uploadedFiles[type] = await Promise.all(
+        files[type].map(file => uploadFileToS3(file, userId, incidentId, MEDIA_FOLDER))
+      );
+    }
+  }
+
+  return uploadedFiles;
+};
+
+const hasMedia = (files) => ['images', 'videos', 'audios'].some(type => files && files[type] && files[type].length > 0);
+
+module.exports = {
+  INCIDENT_CATEGORIES,
+  INCIDENT_SEVERITIES,
+  INCIDENT_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  buildStatusEntry,
+  resolveIncidentLinks,
+  uploadIncidentMedia,
+  hasMedia
+};
@@ -0,0 +1,117 @@
+// services/loginSecurityService.js
+const { Op } = require('sequelize');
+const sequelize = require('../config/database');
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+
+const LOCKOUT_CONFIG = {
+  // Consecutive failures before the account is locked
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  // First lockout length; doubles with every further lockout
+  baseLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 5,
+  maxLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+  // Failed attempts allowed from one IP within the window, across all usernames
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+};
+
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || null,
+  userAgent: (req.headers['user-agent'] || '').slice(0, 512) || null
+});
+
+// Write one LoginAttempt row; auditing must never break the login itself
+const recordLoginAttempt = async (req, { user, identifier, method = 'password', outcome, reason }) => {
+  try {
+    await LoginAttempt.create({
+      userId: user ? user.id : null,
+      identifier: identifier ? String(identifier).slice(0, 255) : null,
+      method,
+      outcome,
+      reason: reason || null,
+      ...getClientInfo(req)
+    });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error);
+  }
+};
+
+// Reasons that are a wrong password or code. Refusals (throttled IP, locked account)
+// are logged too but never count, so retrying does not keep the throttle in place.
+const CREDENTIAL_FAILURE_REASONS = ['invalid_credentials', 'invalid_otp'];
+
+// Whether the client IP has too many recent failures. Returns seconds to wait, or 0.
+const getIpThrottle = async (ip) => {
+  if (!ip) return 0;
+
+  const windowStart = new Date(Date.now() - LOCKOUT_CONFIG.ipWindowMinutes * 60 * 1000);
+  const failures = await LoginAttempt.findAll({
+    where: {
+      ipAddress: ip,
+      outcome: { [Op.ne]: 'success' },
+      reason: { [Op.in]: CREDENTIAL_FAILURE_REASONS },
+      createdAt: { [Op.gt]: windowStart }
+    },
+    attributes: ['createdAt'],
+    order: [['createdAt', 'ASC']],
+    limit: LOCKOUT_CONFIG.ipMaxFailures
+  });
+  if (failures.length < LOCKOUT_CONFIG.ipMaxFailures) return 0;
+
+  // Wait until the oldest failure in the window drops out of it
+  const oldest = new Date(failures[0].createdAt).getTime();
+  return Math.max(1, Math.ceil((oldest + LOCKOUT_CONFIG.ipWindowMinutes * 60 * 1000 - Date.now()) / 1000));
+};
+
+const isLocked = (user) => !!(user && user.lockedUntil && new Date(user.lockedUntil) > new Date());
+
+// Count a failed password and lock the account once the threshold is reached. The
+// user row is locked while counting, so parallel guesses are each counted.
+const registerFailedLogin = (user) => sequelize.transaction(async (transaction) => {
+  const current = await User.findByPk(user.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+  // Another request locked the account while this one was checking the password
+  if (isLocked(current)) {
+    user.set(current.get());
+    return { locked: true, lockedUntil: current.lockedUntil };
+  }
+
+  const failedLoginAttempts = (current.failedLoginAttempts || 0) + 1;
+
+  if (failedLoginAttempts < LOCKOUT_CONFIG.threshold) {
+    await current.update({ failedLoginAttempts }, { transaction });
+    user.set(current.get());
+    return { locked: false, remainingAttempts: LOCKOUT_CONFIG.threshold - failedLoginAttempts };
+  }
+
+  const lockoutCount = (current.lockoutCount || 0) + 1;
+  const minutes = Math.min(
+    LOCKOUT_CONFIG.baseLockoutMinutes * 2 ** (lockoutCount - 1),
+    LOCKOUT_CONFIG.maxLockoutMinutes
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await current.update({ failedLoginAttempts: 0, lockoutCount, lockedUntil }, { transaction });
+  user.set(current.get());
+  return { locked: true, lockedUntil };
+});
+
+const registerSuccessfulLogin = async (user) => {
+  if (user.failedLoginAttempts || user.lockoutCount || user.lockedUntil) {
+    await user.update({ failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null });
+  }
+};
+
+// Admin unlock: clears the lock and the backoff history
+const unlockAccount = (user) =>
+  user.update({ failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null });
+
+module.exports = {
+  LOCKOUT_CONFIG,
+  recordLoginAttempt,
+  getIpThrottle,
+  isLocked,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  unlockAccount
+};
@@ -0,0 +1,111 @@
+// services/notificationService.js
+//
+// Pluggable notification dispatcher. A channel is an object with an async
+// `deliver(notification, recipients)` that resolves to a list of
+// { recipientId, success, messageId?, error? } entries.
+// notification: { type, subject, text, html?, data }
+// recipients:   [{ id, name, email, phone }]
+// Channels are enabled with NOTIFICATION_CHANNELS (default: email,sms,webhook).
+
+const { sendNotificationEmail } = require('./emailService');
+const { sendSms } = require('./smsService');
+const { sendWebhook } = require('./webhookService');
+
+const emailChannel = {
+  deliver: (notification, recipients) => Promise.all(
+    recipients
+      .filter(recipient => recipient.email)
+      .map(async recipient => ({
+        recipientId: recipient.id,
+        ...await sendNotificationEmail(recipient.email, notification)
+      }))
+  )
+};
+
+const smsChannel = {
+  deliver: (notification, recipients) => Promise.all(
+    recipients
+      .filter(recipient => recipient.phone)
+      .map(async recipient => ({
+        recipientId: recipient.id,
+        ...await sendSms(recipient.phone, notification.text)
+      }))
+  )
+};
+
+// One delivery per notification, not per recipient
+const webhookChannel = {
+  deliver: async (notification, recipients) => {
+    const result = await sendWebhook({
+      type: notification.type,
+      subject: notification.subject,
+      text: notification.text,
+      data: notification.data,
+      recipientIds: recipients.map(recipient => recipient.id),
+      sentAt: new Date().toISOString()
+    });
+    return [{ recipientId: null, ...result, messageId: result.deliveryId }];
+  }
+};
+
+const channels = {
+  email: emailChannel,
+  sms: smsChannel,
+  webhook: webhookChannel
+};
+
+// Register a custom channel under a name usable in NOTIFICATION_CHANNELS
+const registerNotificationChannel = (name, channel) => {
+  if (!channel || typeof channel.deliver !== 'function') {
+    throw new Error(`Notification channel "${name}" must implement deliver(notification, recipients)`);
+  }
+  channels[name] = channel;
+};
+
+const getEnabledChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || 'email,sms,webhook')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+// Recipient shape used by the channels
+const toRecipient = (user) => ({
+  id: user.id,
+  name: user.smartusername || user.username,
+  email: user.smartuseremail || null,
+  phone: user.smartuserphone || null
+});
+
+// Send a notification through every enabled channel. Never throws; returns one
+// { channel, recipientId, success, messageId, error } entry per delivery.
+const dispatchNotification = async (notification, recipients) => {
+  const results = await Promise.all(getEnabledChannels().map(async (name) => {
+    const channel = channels[name];
+    if (!channel) {
+      console.error(`Unknown notification channel "${name}"`);
+      return [{ channel: name, recipientId: null, success: false, messageId: null, error: 'Unknown channel' }];
+    }
+
+    try {
+      const deliveries = await channel.deliver(notification, recipients);
+      return deliveries.map(delivery => ({
+        channel: name,
+        recipientId: delivery.recipientId,
+        success: delivery.success,
+        messageId: delivery.messageId || null,
+        error: delivery.error || null
+      }));
+    } catch (error) {
+      console.error(`Notification channel "${name}" failed:`, error);
+      return [{ channel: name, recipientId: null, success: false, messageId: null, error: error.message }];
+    }
+  }));
+
+  return results.flat().map(delivery => ({ ...delivery, sentAt: new Date().toISOString() }));
+};
+
+module.exports = {
+  registerNotificationChannel,
+  toRecipient,
+  dispatchNotification
+};
@@ -0,0 +1,166 @@
+// services/otpService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const OtpCode = require('../models/OtpCode');
+const User = require('../models/User');
+const { hashToken } = require('./tokenService');
+const { sendOtpSms, isSmsConfigured } = require('./smsService');
+
+const OTP_CONFIG = {
+  length: 6,
+  ttlMinutes: parseInt(process.env.OTP_TTL_MINUTES) || 5,
+  maxAttempts: 5,
+  resendCooldownSeconds: 60,
+  maxPerPhonePerHour: 5,
+  maxPerIpPerHour: 20
+};
+
+// Keep a leading + and digits only, so "+91 98220-12345" and "+919822012345" match
+const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return '';
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+const hashCode = (phone, code) => hashToken(`${phone}:${code}`);
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** OTP_CONFIG.length)).padStart(OTP_CONFIG.length, '0');
+
+// Find the user registered with a phone number (stored formats vary)
+const findUserByPhone = async (phone) => {
+  const normalized = normalizePhone(phone);
+  if (normalized.replace('+', '').length < 10) return null;
+
+  const candidates = [...new Set([phone.trim(), normalized, normalized.replace(/^\+91/, '')])];
+  return User.findOne({ where: { smartuserphone: { [Op.in]: candidates } } });
+};
+
+// Rate limits per phone number and per client IP
+const checkRateLimit = async (phone, ip) => {
+  const now = Date.now();
+  const hourAgo = new Date(now - 60 * 60 * 1000);
+
+  const latest = await OtpCode.findOne({
+    where: { phone },
+    order: [['createdAt', 'DESC']]
+  });
+  if (latest) {
+    const elapsed = (now - new Date(latest.createdAt).getTime()) / 1000;
+    if (elapsed < OTP_CONFIG.resendCooldownSeconds) {
+      return { allowed: false, retryAfter: Math.ceil(OTP_CONFIG.resendCooldownSeconds - elapsed) };
+    }
+  }
+
+  const [phoneCount, ipCount] = await Promise.all([
+    OtpCode.count({ where: { phone, createdAt: { [Op.gt]: hourAgo } } }),
+    ip ? OtpCode.count({ where: { requestedIp: ip, createdAt: { [Op.gt]: hourAgo } } }) : 0
+  ]);
+  if (phoneCount >= OTP_CONFIG.maxPerPhonePerHour || ipCount >= OTP_CONFIG.maxPerIpPerHour) {
+    return { allowed: false, retryAfter: 60 * 60 };
+  }
+
+  return { allowed: true };
+};
+
+// Create and send a login OTP. Unknown numbers get the same successful result,
+// so the endpoint cannot be used to discover registered phones.
+const requestLoginOtp = async (phone, ip) => {
+  const normalized = normalizePhone(phone);
+
+  // Checked before the phone lookup, so the answer is the same for every number
+  if (!isSmsConfigured()) {
+    return { success: false, status: 503, message: 'OTP login is unavailable: no SMS provider is configured' };
+  }
+
+  const rateLimit = await checkRateLimit(normalized, ip);
+  if (!rateLimit.allowed) {
+    return {
+      success: false,
+      status: 429,
+      message: 'Too many OTP requests. Please try again later.',
+      retryAfter: rateLimit.retryAfter
+    };
+  }
+
+  const user = await findUserByPhone(phone);
+
+  // Only the most recent code is valid
+  await OtpCode.update(
+    { consumedAt: new Date() },
+    { where: { phone: normalized, purpose: 'login', consumedAt: null } }
+  );
+
+  const code = generateCode();
+  await OtpCode.create({
+    userId: user ? user.id : null,
+    phone: normalized,
+    codeHash: hashCode(normalized, code),
+    purpose: 'login',
+    expiresAt: new Date(Date.now() + OTP_CONFIG.ttlMinutes * 60 * 1000),
+    requestedIp: ip || null
+  });
+
+  if (!user) {
+    return { success: true, expiresInMinutes: OTP_CONFIG.ttlMinutes };
+  }
+
+  const smsResult = await sendOtpSms(user.smartuserphone, code, OTP_CONFIG.ttlMinutes);
+  if (!smsResult.success) {
+    console.error('Failed to send OTP SMS:', smsResult.error);
+  }
+
+  return { success: true, expiresInMinutes: OTP_CONFIG.ttlMinutes };
+};
+
+// Verify a login OTP and return the user it was issued to
+const verifyLoginOtp = async (phone, code) => {
+  const normalized = normalizePhone(phone);
+  const invalid = { success: false, status: 401, message: 'Invalid or expired OTP' };
+
+  const otp = await OtpCode.findOne({
+    where: {
+      phone: normalized,
+      purpose: 'login',
+      consumedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+  if (!otp) return invalid;
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(normalized, String(code).trim()), 'hex');
+  const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+  if (!matches) {
+    const attempts = otp.attempts + 1;
+    await otp.update({
+      attempts,
+      consumedAt: attempts >= OTP_CONFIG.maxAttempts ? new Date() : null
+    });
+    return attempts >= OTP_CONFIG.maxAttempts
+      ? { success: false, status: 401, message: 'Too many incorrect attempts. Please request a new OTP.' }
+      : invalid;
+  }
+
+  // Consume atomically so the same code cannot log in twice
+  const [claimed] = await OtpCode.update(
+    { consumedAt: new Date() },
+    { where: { id: otp.id, consumedAt: null } }
+  );
+  if (claimed === 0) return invalid;
+
+  const user = otp.userId ? await User.findByPk(otp.userId) : null;
+  if (!user) return invalid;
+
+  return { success: true, user };
+};
+
+module.exports = {
+  OTP_CONFIG,
+  normalizePhone,
+  requestLoginOtp,
+  verifyLoginOtp
+};
@@ -0,0 +1,77 @@
+// services/passwordPolicyService.js
+const crypto = require('crypto');
+
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10,
+  maxLength: 128,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSpecial: true
+};
+
+const UPPERCASE = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const LOWERCASE = 'abcdefghijkmnopqrstuvwxyz';
+const DIGITS = '23456789';
+const SPECIAL = '!@#$%^&*';
+
+// Check a new password against the policy. `username` and other personal values
+// must not appear in the password.
+const validatePassword = (password, { username, personalInfo = [] } = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return { valid: false, errors: ['Password is required'] };
+  }
+
+  if (password.length < PASSWORD_POLICY.minLength) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.minLength} characters long`);
+  }
+  if (password.length > PASSWORD_POLICY.maxLength) {
+    errors.push(`Password must be at most ${PASSWORD_POLICY.maxLength} characters long`);
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (PASSWORD_POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (PASSWORD_POLICY.requireDigit && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a digit');
+  }
+  if (PASSWORD_POLICY.requireSpecial && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a special character');
+  }
+
+  const lowered = password.toLowerCase();
+  const forbidden = [username, ...personalInfo]
+    .filter(value => typeof value === 'string' && value.trim().length >= 3)
+    .map(value => value.trim().toLowerCase());
+  if (forbidden.some(value => lowered.includes(value))) {
+    errors.push('Password must not contain your username or personal details');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+// Random temporary password that satisfies the policy (one character from each class)
+const generateTemporaryPassword = (length = Math.max(12, PASSWORD_POLICY.minLength)) => {
+  const all = UPPERCASE + LOWERCASE + DIGITS + SPECIAL;
+  const pick = (charset) => charset.charAt(crypto.randomInt(charset.length));
+
+  const chars = [pick(UPPERCASE), pick(LOWERCASE), pick(DIGITS), pick(SPECIAL)];
+  while (chars.length < length) chars.push(pick(all));
+
+  // Fisher-Yates shuffle so the required classes are not always at the start
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+  validatePassword,
+  generateTemporaryPassword
+};
@@ -0,0 +1,69 @@
+// services/passwordResetService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const User = require('../models/User');
+const { hashToken } = require('./tokenService');
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Issue a reset token for the user, invalidating any earlier unused ones
+const createResetToken = async (user, requestedIp) => {
+  const now = new Date();
+
+  await PasswordResetToken.update(
+    { usedAt: now },
+    { where: { userId: user.id, usedAt: null } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp: requestedIp || null
+  });
+
+  return token;
+};
+
+// Look up an unused, unexpired reset token and its user without consuming it
+const findValidResetToken = async (rawToken) => {
+  if (typeof rawToken !== 'string' || rawToken.length === 0) {
+    return { success: false, message: 'Invalid or expired reset token' };
+  }
+
+  const resetToken = await PasswordResetToken.findOne({
+    where: {
+      tokenHash: hashToken(rawToken),
+      usedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+  if (!resetToken) {
+    return { success: false, message: 'Invalid or expired reset token' };
+  }
+
+  const user = await User.findByPk(resetToken.userId);
+  if (!user) {
+    return { success: false, message: 'Invalid or expired reset token' };
+  }
+
+  return { success: true, resetToken, user };
+};
+
+// Mark a reset token as used. Returns false if another request used it first.
+const consumeResetToken = async (resetToken) => {
+  const [count] = await PasswordResetToken.update(
+    { usedAt: new Date() },
+    { where: { id: resetToken.id, usedAt: null } }
+  );
+  return count === 1;
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  createResetToken,
+  findValidResetToken,
+  consumeResetToken
+};
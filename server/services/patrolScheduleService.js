@@ -0,0 +1,452 @@
+// services/patrolScheduleService.js
+//
+// Recurring patrol schedules: recurrence rules, shift times in the schedule's
+// timezone, occurrence previews, and the in-process scheduler that creates a
+// RouteAssignment ahead of each shift.
+// Occurrences are identified by the local date the shift starts on (YYYY-MM-DD).
+const { Op } = require('sequelize');
+const PatrolSchedule = require('../models/PatrolSchedule');
+const RouteAssignment = require('../models/RouteAssignment');
+const Route = require('../models/Route');
+const { checkAssignmentConflicts, findOfficersNotPosted } = require('./assignmentService');
+const { publishAssignmentEvent } = require('./stationEventService');
+const { startIntervalJob, stopIntervalJob } = require('./backgroundJobService');
+
+const RECURRENCE_TYPES = ['daily', 'weekdays', 'rrule'];
+const MAX_OFFICERS_PER_SCHEDULE = 20;
+const MAX_LEAD_TIME_MINUTES = 24 * 60;
+const MAX_PREVIEW_DAYS = 60;
+const MAX_ISSUES_KEPT = 20;
+
+const SCHEDULER_CONFIG = {
+  enabled: process.env.PATROL_SCHEDULER_ENABLED !== 'false',
+  intervalSeconds: parseInt(process.env.PATROL_SCHEDULER_INTERVAL_SECONDS) || 300
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---- Calendar dates (YYYY-MM-DD, no timezone) ----
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const isValidDate = (value) =>
+  typeof value === 'string' && DATE_PATTERN.test(value) && formatDate(parseDate(value)) === value;
+
+const addDays = (value, days) => formatDate(parseDate(value) + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+
+const dayOfWeek = (value) => new Date(parseDate(value)).getUTCDay();
+
+// ---- Timezones ----
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getZonedParts = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+// Local calendar date of an instant in the timezone
+const getLocalDate = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Milliseconds the timezone is ahead of UTC at the instant
+const getTimeZoneOffset = (time, timeZone) => {
+  const parts = getZonedParts(new Date(time), timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+// Instant of a local date and HH:MM in the timezone (re-checked once for DST changes)
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = parseDate(date) + (hours * 60 + minutes) * 60 * 1000;
+  let utc = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  const offset = getTimeZoneOffset(utc, timeZone);
+  if (wallClock - offset !== utc) utc = wallClock - offset;
+  return new Date(utc);
+};
+
+// ---- Recurrence ----
+
+// Parse the supported RRULE subset: FREQ=DAILY|WEEKLY, INTERVAL, BYDAY, COUNT, UNTIL
+const parseRrule = (value) => {
+  if (!value || typeof value !== 'string') {
+    return { valid: false, message: 'rrule is required when recurrence is rrule' };
+  }
+
+  const rule = { freq: null, interval: 1, byDay: null, count: null, until: null };
+  const parts = value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, raw = ''] = part.split('=');
+    const name = key.trim().toUpperCase();
+    const text = raw.trim().toUpperCase();
+
+    if (name === 'FREQ') {
+      if (!['DAILY', 'WEEKLY'].includes(text)) {
+        return { valid: false, message: 'rrule FREQ must be DAILY or WEEKLY' };
+      }
+      rule.freq = text;
+    } else if (name === 'INTERVAL') {
+      const interval = Number(text);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+        return { valid: false, message: 'rrule INTERVAL must be an integer between 1 and 52' };
+      }
+      rule.interval = interval;
+    } else if (name === 'BYDAY') {
+      const days = text.split(',').map(day => RRULE_DAYS.indexOf(day.trim()));
+      if (days.length === 0 || days.includes(-1)) {
+        return { valid: false, message: `rrule BYDAY must be a list of ${RRULE_DAYS.join(', ')}` };
+      }
+      rule.byDay = [...new Set(days)].sort();
+    } else if (name === 'COUNT') {
+      const count = Number(text);
+      if (!Number.isInteger(count) || count < 1 || count > 1000) {
+        return { valid: false, message: 'rrule COUNT must be an integer between 1 and 1000' };
+      }
+      rule.count = count;
+    } else if (name === 'UNTIL') {
+      const match = /^(\d{4})(\d{2})(\d{2})/.exec(text);
+      const until = match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+      if (!until || !isValidDate(until)) {
+        return { valid: false, message: 'rrule UNTIL must be a date (YYYYMMDD)' };
+      }
+      rule.until = until;
+    } else {
+      return { valid: false, message: `Unsupported rrule part "${name}"` };
+    }
+  }
+
+  if (!rule.freq) return { valid: false, message: 'rrule FREQ is required' };
+  if (rule.count && rule.until) return { valid: false, message: 'rrule cannot have both COUNT and UNTIL' };
+  return { valid: true, rule };
+};
+
+// Recurrence rule in a common form: { freq, interval, byDay, count, until }
+const getRecurrenceRule = (schedule) => {
+  if (schedule.recurrence === 'weekdays') {
+    return { freq: 'WEEKLY', interval: 1, byDay: [1, 2, 3, 4, 5], count: null, until: null };
+  }
+  if (schedule.recurrence === 'rrule') {
+    const parsed = parseRrule(schedule.rrule);
+    return parsed.valid ? parsed.rule : null;
+  }
+  return { freq: 'DAILY', interval: 1, byDay: null, count: null, until: null };
+};
+
+const matchesRule = (rule, startsOn, date) => {
+  const day = dayOfWeek(date);
+  const offset = daysBetween(startsOn, date);
+
+  if (rule.freq === 'DAILY') {
+    return offset % rule.interval === 0 && (!rule.byDay || rule.byDay.includes(day));
+  }
+
+  // Weeks start on Monday (RRULE default WKST=MO)
+  const firstMonday = addDays(startsOn, -((dayOfWeek(startsOn) + 6) % 7));
+  const week = Math.floor(daysBetween(firstMonday, date) / 7);
+  const days = rule.byDay || [dayOfWeek(startsOn)];
+  return week % rule.interval === 0 && days.includes(day);
+};
+
+// Occurrences between two local dates (inclusive). `index` counts every occurrence
+// since startsOn, skipped ones included, and drives COUNT and officer rotation.
+const listOccurrences = (schedule, from, to) => {
+  const rule = getRecurrenceRule(schedule);
+  if (!rule) return [];
+
+  const officerIds = schedule.officerIds || [];
+  const skipped = new Map((schedule.skippedOccurrences || []).map(entry => [entry.date, entry]));
+  const lastDate = [to, schedule.endsOn, rule.until].filter(Boolean).sort()[0];
+  const overnight = schedule.shiftEnd <= schedule.shiftStart;
+
+  const occurrences = [];
+  let index = 0;
+
+  for (let date = schedule.startsOn; date <= lastDate; date = addDays(date, 1)) {
+    if (!matchesRule(rule, schedule.startsOn, date)) continue;
+    if (rule.count && index >= rule.count) break;
+
+    if (date >= from) {
+      occurrences.push({
+        date,
+        index,
+        startsAt: zonedTimeToUtc(date, schedule.shiftStart, schedule.timezone),
+        endsAt: zonedTimeToUtc(overnight ? addDays(date, 1) : date, schedule.shiftEnd, schedule.timezone),
+        plannedOfficerId: officerIds.length > 0 ? officerIds[index % officerIds.length] : null,
+        skip: skipped.get(date) || null
+      });
+    }
+    index++;
+  }
+
+  return occurrences;
+};
+
+// Occurrence starting on a local date, or null if the schedule has none that day
+const findOccurrence = (schedule, date) => listOccurrences(schedule, date, date)[0] || null;
+
+// ---- Validation ----
+
+// Validate schedule fields sent on create or update (merged with the stored values)
+const validateScheduleFields = (fields) => {
+  const { officerIds, recurrence, rrule, shiftStart, shiftEnd, timezone, startsOn, endsOn, leadTimeMinutes } = fields;
+
+  if (!Array.isArray(officerIds) || officerIds.length === 0 || officerIds.length > MAX_OFFICERS_PER_SCHEDULE ||
+    officerIds.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { valid: false, message: `officerIds must be an array of 1 to ${MAX_OFFICERS_PER_SCHEDULE} user IDs` };
+  }
+  if (new Set(officerIds).size !== officerIds.length) {
+    return { valid: false, message: 'officerIds must not contain duplicates' };
+  }
+  if (!RECURRENCE_TYPES.includes(recurrence)) {
+    return { valid: false, message: `recurrence must be one of: ${RECURRENCE_TYPES.join(', ')}` };
+  }
+  if (recurrence === 'rrule') {
+    const parsed = parseRrule(rrule);
+    if (!parsed.valid) return parsed;
+  }
+  if (!TIME_PATTERN.test(shiftStart || '') || !TIME_PATTERN.test(shiftEnd || '')) {
+    return { valid: false, message: 'shiftStart and shiftEnd must be in HH:MM (24-hour) format' };
+  }
+  if (shiftStart === shiftEnd) {
+    return { valid: false, message: 'shiftStart and shiftEnd must differ' };
+  }
+  if (!timezone || !isValidTimeZone(timezone)) {
+    return { valid: false, message: 'timezone must be an IANA timezone such as Asia/Kolkata' };
+  }
+  if (!isValidDate(startsOn)) {
+    return { valid: false, message: 'startsOn must be a date (YYYY-MM-DD)' };
+  }
+  if (endsOn !== null && endsOn !== undefined && (!isValidDate(endsOn) || endsOn < startsOn)) {
+    return { valid: false, message: 'endsOn must be a date (YYYY-MM-DD) on or after startsOn' };
+  }
+  if (!Number.isInteger(leadTimeMinutes) || leadTimeMinutes < 0 || leadTimeMinutes > MAX_LEAD_TIME_MINUTES) {
+    return { valid: false, message: `leadTimeMinutes must be an integer between 0 and ${MAX_LEAD_TIME_MINUTES}` };
+  }
+  return { valid: true };
+};
+
+// ---- Generation ----
+
+// Assignments a schedule has created for occurrences between two local dates, by date
+const findScheduledAssignments = async (scheduleId, from, to) => {
+  const assignments = await RouteAssignment.findAll({
+    where: { patrolScheduleId: scheduleId, scheduledFor: { [Op.between]: [from, to] } },
+    attributes: ['id', 'userId', 'status', 'scheduledFor', 'plannedStartAt', 'plannedEndAt', 'startDate', 'endDate']
+  });
+  return new Map(assignments.map(assignment => [assignment.scheduledFor, assignment]));
+};
+
+// Occurrences with their state: skipped, assigned (assignment created), conflict
+// (the scheduler could not assign it yet), missed (shift over without an assignment)
+// or upcoming
+const previewOccurrences = async (schedule, from, to, now = new Date()) => {
+  const occurrences = listOccurrences(schedule, from, to);
+  const assignments = await findScheduledAssignments(schedule.id, from, to);
+  const issues = new Map((schedule.lastIssues || []).map(issue => [issue.date, issue]));
+
+  return occurrences.map(({ index, skip, ...occurrence }) => {
+    const assignment = assignments.get(occurrence.date);
+    let state = 'upcoming';
+    if (assignment) state = 'assigned';
+    else if (skip) state = 'skipped';
+    else if (occurrence.endsAt <= now) state = 'missed';
+    else if (issues.has(occurrence.date)) state = 'conflict';
+
+    return {
+      ...occurrence,
+      state,
+      createAfter: new Date(occurrence.startsAt.getTime() - schedule.leadTimeMinutes * 60 * 1000),
+      assignment: assignment || null,
+      skip,
+      issue: !assignment && issues.has(occurrence.date) ? issues.get(occurrence.date) : null
+    };
+  });
+};
+
+const recordIssue = async (schedule, date, error, message) => {
+  const issues = (schedule.lastIssues || []).filter(issue => issue.date !== date);
+  issues.push({ date, error, message, at: new Date().toISOString() });
+  await schedule.update({ lastIssues: issues.slice(-MAX_ISSUES_KEPT) });
+};
+
+// Create the assignment for one occurrence, trying the planned officer first and the
+// rest of the pool in rotation order. Returns { created, assignment?, error?, message? }.
+const createOccurrenceAssignment = async (schedule, route, occurrence) => {
+  const pool = schedule.officerIds || [];
+  const start = occurrence.index % pool.length;
+  const candidates = pool.slice(start).concat(pool.slice(0, start));
+  const notPosted = new Set(await findOfficersNotPosted(pool, schedule.policeStationId));
+
+  let lastConflict = { error: 'NO_ELIGIBLE_OFFICER', message: 'No officer in the schedule is posted at the station' };
+
+  for (const userId of candidates) {
+    if (notPosted.has(userId)) continue;
+
+    const conflict = await checkAssignmentConflicts(route, userId);
+    if (!conflict.allowed) {
+      lastConflict = conflict;
+      // The route itself is busy; another officer would not help
+      if (conflict.error === 'ROUTE_ALREADY_ASSIGNED') break;
+      continue;
+    }
+
+    try {
+      const assignment = await RouteAssignment.create({
+        userId,
+        routeId: route.id,
+        policeStationId: route.policeStationId,
+        plannedStartAt: occurrence.startsAt,
+        plannedEndAt: occurrence.endsAt,
+        status: 'assigned',
+        completedCheckpoints: [],
+        notes: `Scheduled by "${schedule.name}" for ${occurrence.date}`,
+        patrolScheduleId: schedule.id,
+        scheduledFor: occurrence.date
+      });
+
+      publishAssignmentEvent('assignment.created', assignment, {
+        routeName: route.name,
+        assignedBy: schedule.createdBy,
+        patrolScheduleId: schedule.id,
+        scheduledFor: occurrence.date
+      });
+
+      return { created: true, assignment };
+    } catch (error) {
+      // Another scheduler instance created it first
+      if (error.name === 'SequelizeUniqueConstraintError') return { created: false, duplicate: true };
+      throw error;
+    }
+  }
+
+  return { created: false, error: lastConflict.error, message: lastConflict.message };
+};
+
+// Create assignments for every occurrence of the schedule that is due: inside its
+// lead time, not yet over, not skipped and not already assigned
+const generateScheduleAssignments = async (schedule, now = new Date()) => {
+  const result = { created: [], issues: [] };
+  if (schedule.status !== 'active' || !schedule.isActive) return result;
+
+  const today = getLocalDate(now, schedule.timezone);
+  const from = addDays(today, -1); // overnight shifts that started yesterday
+  const to = addDays(today, Math.ceil(schedule.leadTimeMinutes / (24 * 60)) + 1);
+
+  const due = listOccurrences(schedule, from, to).filter(occurrence =>
+    !occurrence.skip &&
+    occurrence.endsAt > now &&
+    occurrence.startsAt.getTime() - schedule.leadTimeMinutes * 60 * 1000 <= now.getTime()
+  );
+  if (due.length === 0) return result;
+
+  const existing = await findScheduledAssignments(schedule.id, from, to);
+  const pending = due.filter(occurrence => !existing.has(occurrence.date));
+  if (pending.length === 0) return result;
+
+  const route = await Route.findByPk(schedule.routeId);
+  for (const occurrence of pending) {
+    if (!route || !route.isActive) {
+      await recordIssue(schedule, occurrence.date, 'ROUTE_INACTIVE', 'Route is missing or not active');
+      result.issues.push({ date: occurrence.date, error: 'ROUTE_INACTIVE' });
+      continue;
+    }
+
+    const outcome = await createOccurrenceAssignment(schedule, route, occurrence);
+    if (outcome.created) {
+      result.created.push(outcome.assignment);
+      if ((schedule.lastIssues || []).some(issue => issue.date === occurrence.date)) {
+        await schedule.update({ lastIssues: schedule.lastIssues.filter(issue => issue.date !== occurrence.date) });
+      }
+    } else if (!outcome.duplicate) {
+      await recordIssue(schedule, occurrence.date, outcome.error, outcome.message);
+      result.issues.push({ date: occurrence.date, error: outcome.error });
+    }
+  }
+
+  return result;
+};
+
+// One scheduler pass over every active schedule. Never throws.
+const runPatrolScheduler = async (now = new Date()) => {
+  const summary = { schedules: 0, created: 0, issues: 0 };
+
+  try {
+    const schedules = await PatrolSchedule.findAll({ where: { status: 'active', isActive: true } });
+
+    for (const schedule of schedules) {
+      try {
+        const result = await generateScheduleAssignments(schedule, now);
+        summary.schedules++;
+        summary.created += result.created.length;
+        summary.issues += result.issues.length;
+        await schedule.update({ lastRunAt: now });
+      } catch (error) {
+        console.error(`Patrol schedule ${schedule.id} failed:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Patrol scheduler run failed:', error);
+  }
+
+  return summary;
+};
+
+// Run the scheduler every SCHEDULER_CONFIG.intervalSeconds
+const startPatrolScheduler = () => {
+  if (!SCHEDULER_CONFIG.enabled) return;
+
+  startIntervalJob('patrol-scheduler', SCHEDULER_CONFIG.intervalSeconds, async () => {
+    const summary = await runPatrolScheduler();
+    if (summary.created > 0 || summary.issues > 0) {
+      console.log(`Patrol scheduler: ${summary.created} assignment(s) created, ${summary.issues} issue(s)`);
+    }
+  });
+};
+
+const stopPatrolScheduler = () => stopIntervalJob('patrol-scheduler');
+
+module.exports = {
+  RECURRENCE_TYPES,
+  MAX_PREVIEW_DAYS,
+  isValidDate,
+  isValidTimeZone,
+  addDays,
+  daysBetween,
+  getLocalDate,
+  validateScheduleFields,
+  findOfficersNotPosted,
+  findOccurrence,
+  previewOccurrences,
+  generateScheduleAssignments,
+  runPatrolScheduler,
+  startPatrolScheduler,
+  stopPatrolScheduler
+};
@@ -0,0 +1,98 @@
+// services/patrolSequenceService.js
+//
+// Checkpoint ordering rules for a route's patrol mode:
+//   any_order           - checkpoints may be scanned in any order
+//   strict_sequence     - checkpoints must be scanned in route order
+//   sequence_with_skips - route order, but pending checkpoints may be skipped with a reason
+const Checkpoint = require('../models/Checkpoint');
+
+const PATROL_MODES = ['any_order', 'strict_sequence', 'sequence_with_skips'];
+const DEFAULT_PATROL_MODE = 'any_order';
+
+const getSkippedCheckpointIds = (assignment) =>
+  (assignment.skippedCheckpoints || []).map(skip => skip.checkpointId);
+
+// First checkpoint in route order that has been neither scanned nor skipped
+const getNextExpectedCheckpointId = (route, completedIds = [], skippedIds = []) =>
+  (route.checkpoints || []).find(id => !completedIds.includes(id) && !skippedIds.includes(id)) || null;
+
+const describeCheckpoint = async (checkpointId) => {
+  const checkpoint = await Checkpoint.findByPk(checkpointId, { attributes: ['id', 'name'] });
+  return checkpoint ? { id: checkpoint.id, name: checkpoint.name } : { id: checkpointId, name: null };
+};
+
+// Check a scan of checkpointId against the route's patrol mode. On success `skip` lists
+// the pending checkpoints the officer passed over (sequence_with_skips only).
+const checkScanSequence = async (route, assignment, checkpointId, skipReason) => {
+  const mode = route.patrolMode || DEFAULT_PATROL_MODE;
+  if (mode === 'any_order') return { success: true, skip: [] };
+
+  const order = route.checkpoints || [];
+  const completedIds = assignment.completedCheckpoints || [];
+  const skippedIds = getSkippedCheckpointIds(assignment);
+  const expectedId = getNextExpectedCheckpointId(route, completedIds, skippedIds);
+
+  if (checkpointId === expectedId) return { success: true, skip: [] };
+
+  // A checkpoint already passed over cannot be scanned later
+  if (skippedIds.includes(checkpointId)) {
+    return {
+      success: false,
+      status: 400,
+      message: 'This checkpoint was skipped earlier on this patrol and cannot be scanned now',
+      error: 'CHECKPOINT_SKIPPED',
+      data: { patrolMode: mode, expectedCheckpoint: expectedId ? await describeCheckpoint(expectedId) : null }
+    };
+  }
+
+  const scannedIndex = order.indexOf(checkpointId);
+  const expectedIndex = order.indexOf(expectedId);
+
+  // Strict routes never skip
+  if (mode === 'strict_sequence' || scannedIndex < expectedIndex) {
+    const expected = await describeCheckpoint(expectedId);
+    return {
+      success: false,
+      status: 400,
+      message: `Checkpoints must be scanned in route order. Next checkpoint is "${expected.name || expected.id}" (#${expectedIndex + 1}).`,
+      error: 'OUT_OF_SEQUENCE',
+      data: { patrolMode: mode, expectedCheckpoint: { ...expected, order: expectedIndex + 1 } }
+    };
+  }
+
+  const skip = order
+    .slice(expectedIndex, scannedIndex)
+    .filter(id => !completedIds.includes(id) && !skippedIds.includes(id));
+
+  if (!skipReason || !String(skipReason).trim()) {
+    const expected = await describeCheckpoint(expectedId);
+    return {
+      success: false,
+      status: 400,
+      message: `Scanning this checkpoint skips ${skip.length} checkpoint(s), starting with "${expected.name || expected.id}". Provide a skipReason to continue.`,
+      error: 'SKIP_REASON_REQUIRED',
+      data: { patrolMode: mode, expectedCheckpoint: { ...expected, order: expectedIndex + 1 }, skippedCheckpointIds: skip }
+    };
+  }
+
+  return { success: true, skip };
+};
+
+// skippedCheckpoints entries stored on the assignment
+const buildSkipEntries = (checkpointIds, { reason, userId, skippedAt, scannedCheckpointId }) =>
+  checkpointIds.map(checkpointId => ({
+    checkpointId,
+    reason: String(reason).trim().slice(0, 500),
+    skippedBy: userId,
+    skippedAt: skippedAt.toISOString(),
+    skippedBeforeCheckpointId: scannedCheckpointId
+  }));
+
+module.exports = {
+  PATROL_MODES,
+  DEFAULT_PATROL_MODE,
+  getSkippedCheckpointIds,
+  getNextExpectedCheckpointId,
+  checkScanSequence,
+  buildSkipEntries
+};
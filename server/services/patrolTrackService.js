@@ -0,0 +1,263 @@
+// services/patrolTrackService.js
+//
+// GPS breadcrumbs recorded between scans: validation of uploaded batches, compact
+// storage, and the distance / idle-period figures and GeoJSON / GPX exports.
+const { haversineDistance } = require('./geoService');
+
+const TRACK_CONFIG = {
+  // Points accepted in one upload
+  maxPointsPerBatch: parseInt(process.env.TRACK_MAX_POINTS_PER_BATCH) || 500,
+  // Fixes less accurate than this are dropped
+  maxAccuracyMeters: parseInt(process.env.TRACK_MAX_ACCURACY_METERS) || 100,
+  // Jumps faster than this are GPS glitches and do not count as distance
+  maxSpeedMps: parseInt(process.env.TRACK_MAX_SPEED_MPS) || 70,
+  // Staying within idleRadiusMeters for idleMinSeconds is an idle period
+  idleRadiusMeters: parseInt(process.env.TRACK_IDLE_RADIUS_METERS) || 25,
+  idleMinSeconds: parseInt(process.env.TRACK_IDLE_MIN_SECONDS) || 300,
+  // Tolerated difference between device and server clocks
+  clockSkewSeconds: 120
+};
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+const parseTimestamp = (value) => {
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+// Validate an uploaded batch of { latitude, longitude, timestamp, accuracy? } points.
+// Points are sorted; inaccurate fixes, points outside [notBefore, now] and points not
+// newer than `after` (already stored, e.g. a retried upload) are dropped and counted.
+const normalizeTrackPoints = (rawPoints, { notBefore, after } = {}) => {
+  if (!Array.isArray(rawPoints) || rawPoints.length === 0) {
+    return { valid: false, message: 'points must be a non-empty array' };
+  }
+  if (rawPoints.length > TRACK_CONFIG.maxPointsPerBatch) {
+    return { valid: false, message: `A batch can contain at most ${TRACK_CONFIG.maxPointsPerBatch} points` };
+  }
+
+  const skew = TRACK_CONFIG.clockSkewSeconds * 1000;
+  const earliest = notBefore ? new Date(notBefore).getTime() - skew : null;
+  const latest = Date.now() + skew;
+  const lastStored = after ? new Date(after).getTime() : null;
+
+  const dropped = { inaccurate: 0, outOfRange: 0, duplicate: 0 };
+  const bySecond = new Map();
+
+  for (let index = 0; index < rawPoints.length; index++) {
+    const point = rawPoints[index] || {};
+    const lat = parseFloat(point.latitude);
+    const lng = parseFloat(point.longitude);
+    const time = parseTimestamp(point.timestamp);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return { valid: false, message: `Point ${index} has an invalid latitude or longitude` };
+    }
+    if (time === null) {
+      return { valid: false, message: `Point ${index} has an invalid timestamp` };
+    }
+
+    const accuracy = point.accuracy !== undefined && point.accuracy !== null ? parseFloat(point.accuracy) : null;
+    if (Number.isFinite(accuracy) && accuracy > TRACK_CONFIG.maxAccuracyMeters) {
+      dropped.inaccurate++;
+      continue;
+    }
+    if ((earliest !== null && time < earliest) || time > latest) {
+      dropped.outOfRange++;
+      continue;
+    }
+
+    // Stored at one-second resolution
+    const second = Math.round(time / 1000);
+    if ((lastStored !== null && second * 1000 <= lastStored) || bySecond.has(second)) {
+      dropped.duplicate++;
+      continue;
+    }
+
+    bySecond.set(second, {
+      lat: round6(lat),
+      lng: round6(lng),
+      time: second * 1000,
+      accuracy: Number.isFinite(accuracy) ? Math.round(accuracy) : null
+    });
+  }
+
+  const points = [...bySecond.values()].sort((a, b) => a.time - b.time);
+  return { valid: true, points, dropped };
+};
+
+// Compact storage form of sorted points
+const compactPoints = (points) => {
+  const startedAt = points[0].time;
+  return {
+    startedAt: new Date(startedAt),
+    endedAt: new Date(points[points.length - 1].time),
+    points: points.map(point => [point.lat, point.lng, Math.round((point.time - startedAt) / 1000), point.accuracy])
+  };
+};
+
+// Flatten stored segments (ordered by startedAt) back into points
+const expandSegments = (segments) => segments.flatMap(segment => {
+  const startedAt = new Date(segment.startedAt).getTime();
+  return (segment.points || []).map(([lat, lng, offset, accuracy]) => ({
+    lat,
+    lng,
+    time: startedAt + offset * 1000,
+    accuracy: accuracy === undefined ? null : accuracy
+  }));
+});
+
+// Distance along the points, skipping glitch jumps. `previous` is the last point
+// before them (the end of the previous segment), if any.
+const pathDistance = (points, previous = null) => {
+  let distance = 0;
+  let last = previous;
+
+  for (const point of points) {
+    if (last) {
+      const step = haversineDistance(last.lat, last.lng, point.lat, point.lng);
+      const seconds = Math.max((point.time - last.time) / 1000, 1);
+      if (step / seconds <= TRACK_CONFIG.maxSpeedMps) distance += step;
+    }
+    last = point;
+  }
+
+  return distance;
+};
+
+// Periods where the officer stayed within idleRadiusMeters for at least idleMinSeconds
+const computeIdlePeriods = (points) => {
+  const periods = [];
+  let start = 0;
+
+  while (start < points.length) {
+    const anchor = points[start];
+    let end = start;
+    while (end + 1 < points.length &&
+      haversineDistance(anchor.lat, anchor.lng, points[end + 1].lat, points[end + 1].lng) <= TRACK_CONFIG.idleRadiusMeters) {
+      end++;
+    }
+
+    const durationSeconds = Math.round((points[end].time - anchor.time) / 1000);
+    if (durationSeconds >= TRACK_CONFIG.idleMinSeconds) {
+      const stay = points.slice(start, end + 1);
+      periods.push({
+        startedAt: new Date(anchor.time),
+        endedAt: new Date(points[end].time),
+        durationSeconds,
+        latitude: round6(stay.reduce((sum, point) => sum + point.lat, 0) / stay.length),
+        longitude: round6(stay.reduce((sum, point) => sum + point.lng, 0) / stay.length)
+      });
+      start = end + 1;
+    } else {
+      start++;
+    }
+  }
+
+  return periods;
+};
+
+const buildTrackStats = (points) => {
+  const idlePeriods = computeIdlePeriods(points);
+  const durationSeconds = points.length > 1 ? Math.round((points[points.length - 1].time - points[0].time) / 1000) : 0;
+  const idleSeconds = idlePeriods.reduce((total, period) => total + period.durationSeconds, 0);
+
+  // GPS jitter while standing still is not distance walked
+  const idleDistance = idlePeriods.reduce((total, period) => total + pathDistance(
+    points.filter(point => point.time >= period.startedAt.getTime() && point.time <= period.endedAt.getTime())
+  ), 0);
+
+  return {
+    pointCount: points.length,
+    startedAt: points.length > 0 ? new Date(points[0].time) : null,
+    endedAt: points.length > 0 ? new Date(points[points.length - 1].time) : null,
+    durationSeconds,
+    distanceMeters: Math.round(pathDistance(points) - idleDistance),
+    idleSeconds,
+    movingSeconds: Math.max(durationSeconds - idleSeconds, 0),
+    idlePeriods
+  };
+};
+
+// FeatureCollection: the path as a LineString (with per-point times) plus one Point per idle period
+const toGeoJson = (points, stats, properties = {}) => {
+  const { idlePeriods, ...summary } = stats;
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map(point => [point.lng, point.lat])
+        },
+        properties: {
+          ...properties,
+          ...summary,
+          idlePeriodCount: idlePeriods.length,
+          coordTimes: points.map(point => new Date(point.time).toISOString())
+        }
+      },
+      ...idlePeriods.map(period => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [period.longitude, period.latitude] },
+        properties: {
+          kind: 'idle',
+          startedAt: period.startedAt,
+          endedAt: period.endedAt,
+          durationSeconds: period.durationSeconds
+        }
+      }))
+    ]
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// GPX 1.1 track with idle periods as waypoints
+const toGpx = (points, stats, { name, description } = {}) => {
+  const waypoints = stats.idlePeriods.map(period =>
+    `  <wpt lat="${period.latitude}" lon="${period.longitude}">\n` +
+    `    <time>${period.startedAt.toISOString()}</time>\n` +
+    `    <name>Idle ${Math.round(period.durationSeconds / 60)} min</name>\n` +
+    `    <type>idle</type>\n` +
+    `  </wpt>`
+  );
+  const trackPoints = points.map(point =>
+    `      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${new Date(point.time).toISOString()}</time></trkpt>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Smart Patrolling System" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(name || 'Patrol track')}</name>`,
+    `    <desc>${escapeXml(`${description ? `${description}. ` : ''}Distance ${stats.distanceMeters} m, idle ${Math.round(stats.idleSeconds / 60)} min`)}</desc>`,
+    stats.startedAt ? `    <time>${stats.startedAt.toISOString()}</time>` : null,
+    '  </metadata>',
+    ...waypoints,
+    '  <trk>',
+    `    <name>${escapeXml(name || 'Patrol track')}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+module.exports = {
+  TRACK_CONFIG,
+  normalizeTrackPoints,
+  compactPoints,
+  expandSegments,
+  pathDistance,
+  buildTrackStats,
+  toGeoJson,
+  toGpx
+};
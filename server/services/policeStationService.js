@@ -0,0 +1,108 @@
+// services/policeStationService.js
+const { Op } = require('sequelize');
+const PoliceStation = require('../models/PoliceStation');
+const { validatePolygonGeometry } = require('./geoService');
+
+// Find an active police station by ID (returns null for unknown or deactivated stations)
+const findActivePoliceStation = async (policeStationId) => {
+  const id = parseInt(policeStationId);
+  if (!Number.isInteger(id) || id <= 0) return null;
+
+  const policeStation = await PoliceStation.findByPk(id);
+  if (!policeStation || !policeStation.isActive) return null;
+
+  return policeStation;
+};
+
+// Resolve a display name for QR labels and filenames
+const getPoliceStationName = async (policeStationId) => {
+  try {
+    const policeStation = await PoliceStation.findByPk(policeStationId, {
+      attributes: ['id', 'name']
+    });
+
+    if (policeStation && policeStation.name) {
+      return policeStation.name.trim().toUpperCase();
+    }
+
+    console.log(`⚠️ Police station not found for ID: ${policeStationId}`);
+  } catch (error) {
+    console.error(`❌ Error fetching police station name:`, error);
+  }
+
+  return `POLICE STATION ${policeStationId}`;
+};
+
+// Compact station summary used in "by police-station" responses
+const toStationSummary = (policeStation) => ({
+  id: policeStation.id,
+  name: policeStation.name,
+  code: policeStation.code,
+  district: policeStation.district
+});
+
+// Resolve the stations payload sent for a user ([1, 2] or [{ id: 1, name: '...' }])
+// against the PoliceStation table
+const resolveStations = async (stations) => {
+  const result = {
+    valid: true,
+    stations: [],
+    policeStations: [],
+    invalidIds: [],
+    message: ''
+  };
+
+  if (stations === null || stations === undefined) {
+    return result;
+  }
+
+  if (!Array.isArray(stations)) {
+    result.valid = false;
+    result.message = 'stations must be an array of police station IDs';
+    return result;
+  }
+
+  const ids = stations.map(station => parseInt(station && typeof station === 'object' ? station.id : station));
+  const badFormat = ids.filter(id => !Number.isInteger(id) || id <= 0);
+  if (badFormat.length > 0) {
+    result.valid = false;
+    result.message = 'Each station must be a positive integer ID or an object with an "id" field';
+    return result;
+  }
+
+  const uniqueIds = [...new Set(ids)];
+  const policeStations = await PoliceStation.findAll({
+    where: { id: { [Op.in]: uniqueIds }, isActive: true },
+    order: [['id', 'ASC']]
+  });
+
+  const foundIds = policeStations.map(ps => ps.id);
+  result.invalidIds = uniqueIds.filter(id => !foundIds.includes(id));
+
+  if (result.invalidIds.length > 0) {
+    result.valid = false;
+    result.message = `Police station(s) not found or inactive: [${result.invalidIds.join(', ')}]`;
+    return result;
+  }
+
+  result.policeStations = policeStations;
+  result.stations = policeStations.map(ps => ({ id: ps.id, name: ps.name }));
+  return result;
+};
+
+// Basic structural validation of a GeoJSON jurisdiction boundary
+const validateJurisdiction = (jurisdiction) => {
+  if (jurisdiction === null || jurisdiction === undefined) {
+    return { valid: true };
+  }
+
+  return validatePolygonGeometry(jurisdiction, 'jurisdiction');
+};
+
+module.exports = {
+  findActivePoliceStation,
+  getPoliceStationName,
+  toStationSummary,
+  resolveStations,
+  validateJurisdiction
+};
@@ -0,0 +1,126 @@
+// services/qrSigningService.js
+//
+// Checkpoint QR payloads are signed with HMAC-SHA256 so they cannot be forged
+// from a photo or by guessing the CP_<timestamp>_<hex> format.
+//
+// Keys: QR_SIGNING_KEYS="kid1:secret1,kid2:secret2" and QR_SIGNING_ACTIVE_KEY_ID=kid2.
+// New codes are signed with the active key; codes signed with any listed key still
+// verify, so a key is retired by removing it once its codes have been reprinted.
+//
+// QR_SIGNING_KEYS is required outside NODE_ENV=development; the server refuses to
+// start without it.
+//
+// Legacy unsigned codes are only accepted until QR_ACCEPT_UNSIGNED_UNTIL (ISO date),
+// and never when QR_ACCEPT_UNSIGNED is "false".
+const crypto = require('crypto');
+
+const PAYLOAD_VERSION = 2;
+
+// Development-only fallback; this key is public, codes signed with it can be forged
+const DEV_KEYS = 'dev:qr-signing-key-change-this-in-production';
+
+const getConfiguredKeys = () =>
+  process.env.QR_SIGNING_KEYS || (process.env.NODE_ENV === 'development' ? DEV_KEYS : null);
+
+const loadKeys = () => {
+  const configured = getConfiguredKeys();
+  if (!configured) {
+    throw new Error('QR_SIGNING_KEYS is not configured');
+  }
+
+  const keys = {};
+  configured.split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) return;
+    const kid = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (kid && secret) keys[kid] = secret;
+  });
+  return keys;
+};
+
+const getActiveKeyId = (keys) => {
+  const kid = process.env.QR_SIGNING_ACTIVE_KEY_ID || Object.keys(keys)[0];
+  if (!keys[kid]) {
+    throw new Error(`QR signing key "${kid}" is not configured in QR_SIGNING_KEYS`);
+  }
+  return kid;
+};
+
+// Only identity fields are signed; name and coordinates are informational and the
+// scan is always checked against the checkpoint's stored location
+const canonicalize = ({ v, kid, id, type, policeStationId }) =>
+  [v, kid, id, type, policeStationId].join('|');
+
+const computeSignature = (secret, fields) =>
+  crypto.createHmac('sha256', secret).update(canonicalize(fields)).digest('base64url');
+
+// Build the signed JSON string encoded in a checkpoint's QR code
+const buildCheckpointQrPayload = ({ qrCode, name, lat_long, latitude, longitude, policeStationId }) => {
+  const keys = loadKeys();
+  const kid = getActiveKeyId(keys);
+
+  const payload = {
+    id: qrCode,
+    name,
+    lat_long,
+    latitude,
+    longitude,
+    policeStationId: Number(policeStationId),
+    type: 'checkpoint',
+    v: PAYLOAD_VERSION,
+    kid
+  };
+  payload.sig = computeSignature(keys[kid], payload);
+
+  return JSON.stringify(payload);
+};
+
+// Check the signing configuration at startup: QR_SIGNING_KEYS must be set (outside
+// development) and contain the active key. Throws when it does not.
+const assertQrSigningConfigured = () => {
+  getActiveKeyId(loadKeys());
+};
+
+// Unsigned codes need an explicit cut-off date
+const isLegacyWindowOpen = () => {
+  if (process.env.QR_ACCEPT_UNSIGNED === 'false') return false;
+
+  const until = process.env.QR_ACCEPT_UNSIGNED_UNTIL;
+  if (!until || isNaN(Date.parse(until))) return false;
+  return new Date() <= new Date(until);
+};
+
+// Verify a parsed QR payload. Returns { valid, legacy, kid } or { valid: false, code, message }.
+const verifyCheckpointQrPayload = (qrInfo) => {
+  if (!qrInfo.sig && !qrInfo.kid) {
+    if (isLegacyWindowOpen()) {
+      return { valid: true, legacy: true };
+    }
+    return {
+      valid: false,
+      code: 'QR_UNSIGNED',
+      message: 'This QR code is no longer accepted. Please ask your station to reprint it.'
+    };
+  }
+
+  const keys = loadKeys();
+  const secret = keys[qrInfo.kid];
+  if (!secret || typeof qrInfo.sig !== 'string') {
+    return { valid: false, code: 'QR_SIGNATURE_INVALID', message: 'QR code signature is invalid' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, qrInfo));
+  const actual = Buffer.from(qrInfo.sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, code: 'QR_SIGNATURE_INVALID', message: 'QR code signature is invalid' };
+  }
+
+  return { valid: true, legacy: false, kid: qrInfo.kid };
+};
+
+module.exports = {
+  assertQrSigningConfigured,
+  buildCheckpointQrPayload,
+  verifyCheckpointQrPayload
+};
@@ -0,0 +1,57 @@
+// services/scanAttemptService.js
+const ScanAttempt = require('../models/ScanAttempt');
+const Route = require('../models/Route');
+const RouteAssignment = require('../models/RouteAssignment');
+
+// Station of an attempt that never resolved a checkpoint, taken from the assignment
+const resolveAttemptStation = async (routeAssignmentId) => {
+  if (!routeAssignmentId) return null;
+  const assignment = await RouteAssignment.findByPk(routeAssignmentId, { attributes: ['id', 'routeId', 'policeStationId'] });
+  if (!assignment) return null;
+  if (assignment.policeStationId) return assignment.policeStationId;
+  const route = await Route.findByPk(assignment.routeId, { attributes: ['id', 'policeStationId'] });
+  return route ? route.policeStationId : null;
+};
+
+// Record a rejected scan (resolves to the ScanAttempt, or null when logging failed);
+// logging must never change the scan response
+const recordScanAttempt = async (req, {
+  userId,
+  checkpointId,
+  routeAssignmentId,
+  policeStationId,
+  qrCode,
+  reason,
+  suspicious = false,
+  userLatLong,
+  distance,
+  source = 'live',
+  details
+}) => {
+  try {
+    const assignmentId = routeAssignmentId ? parseInt(routeAssignmentId) || null : null;
+
+    return await ScanAttempt.create({
+      userId: userId || null,
+      checkpointId: checkpointId || null,
+      routeAssignmentId: assignmentId,
+      policeStationId: policeStationId || await resolveAttemptStation(assignmentId),
+      qrCode: qrCode ? String(qrCode).slice(0, 255) : null,
+      reason: reason || 'UNKNOWN',
+      suspicious,
+      userLatLong: userLatLong ? String(userLatLong).slice(0, 255) : null,
+      distance: Number.isFinite(distance) ? distance : null,
+      source,
+      ipAddress: req.ip || null,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 512) || null,
+      details: details || {}
+    });
+  } catch (error) {
+    console.error('Failed to record scan attempt:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  recordScanAttempt
+};
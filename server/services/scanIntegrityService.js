@@ -0,0 +1,161 @@
+// services/scanIntegrityService.js
+//
+// Risk analysis for checkpoint scans. A scan's userLatLong is reported by the device,
+// so it is compared against the officer's previous scans and the device's own GPS
+// signals. Flagged scans are still recorded as valid but queued for supervisor review.
+const { Op } = require('sequelize');
+const CheckpointScan = require('../models/CheckpointScan');
+const { haversineDistance, getGeofenceRadius } = require('./geoService');
+
+const INTEGRITY_CONFIG = {
+  // Fastest plausible travel between two scans (vehicle patrol on highways)
+  maxSpeedKmh: parseInt(process.env.SCAN_MAX_SPEED_KMH) || 120,
+  // Distances below this are GPS noise and never count as travel
+  minTravelMeters: 200,
+  // Previous scans searched for byte-identical coordinates
+  repeatLookbackDays: 30,
+  // Score from which a scan needs review, and from which it is high risk
+  mediumRiskScore: 25,
+  highRiskScore: 50
+};
+
+const RISK_WEIGHTS = {
+  MOCK_LOCATION: 60,
+  IMPOSSIBLE_TRAVEL: 50,
+  REPEATED_COORDINATES: 30,
+  MATCHES_CHECKPOINT_COORDINATES: 30,
+  OUTSIDE_TIME_WINDOW: 30,
+  LOW_GPS_ACCURACY: 20
+};
+
+// Client-reported GPS details, normalized for metadata (multipart sends strings)
+const parseGpsSignals = ({ gpsAccuracy, isMockLocation }) => {
+  const accuracy = parseFloat(gpsAccuracy);
+  return {
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null,
+    isMockLocation: isMockLocation === true || isMockLocation === 'true' || isMockLocation === '1'
+  };
+};
+
+const decimalPlaces = (value) => {
+  const [, decimals = ''] = String(value).trim().split('.');
+  return decimals.length;
+};
+
+const getRiskLevel = (score) => {
+  if (score >= INTEGRITY_CONFIG.highRiskScore) return 'high';
+  if (score >= INTEGRITY_CONFIG.mediumRiskScore) return 'medium';
+  return 'low';
+};
+
+// Area the reported position must fall in: the geofence (plus its buffer) when the
+// checkpoint has one, otherwise the scan radius
+const getCheckpointToleranceMeters = (checkpoint) => {
+  if (checkpoint.geofence) return Math.round(getGeofenceRadius(checkpoint.geofence) + (checkpoint.geofenceBuffer || 0));
+  return checkpoint.scanRadius || 100;
+};
+
+// Analyze a scan before it is stored. Returns { riskScore, riskLevel, flags, requiresReview }.
+// timeWindow is the checkTimeWindows result for checkpoints whose policy is 'flag'.
+// checkInScanId is the check-in a dwell check-out closes; it was taken at the same spot.
+const analyzeScanIntegrity = async ({ userId, scanTime, userLatLong, latitude, longitude, checkpoint, gps, timeWindow, checkInScanId = null }) => {
+  const flags = [];
+
+  if (timeWindow && !timeWindow.within) {
+    flags.push({
+      code: 'OUTSIDE_TIME_WINDOW',
+      message: `Scanned at ${timeWindow.localTime}, outside the checkpoint's time windows`,
+      localTime: timeWindow.localTime
+    });
+  }
+
+  if (gps.isMockLocation) {
+    flags.push({ code: 'MOCK_LOCATION', message: 'Device reported a mock (simulated) location' });
+  }
+
+  const toleranceMeters = getCheckpointToleranceMeters(checkpoint);
+  if (gps.accuracy !== null && gps.accuracy > toleranceMeters) {
+    flags.push({
+      code: 'LOW_GPS_ACCURACY',
+      message: `GPS accuracy ${Math.round(gps.accuracy)}m is worse than the checkpoint's ${toleranceMeters}m ${checkpoint.geofence ? 'geofence' : 'scan radius'}`,
+      accuracy: gps.accuracy,
+      toleranceMeters
+    });
+  }
+
+  // Compare with the officer's previous scan in time
+  const previousScan = await CheckpointScan.findOne({
+    where: { userId, scanTime: { [Op.lte]: scanTime } },
+    order: [['scanTime', 'DESC']],
+    attributes: ['id', 'checkpointId', 'scanTime', 'userLatLong']
+  });
+
+  if (previousScan && previousScan.userLatLong) {
+    const [prevLat, prevLng] = previousScan.userLatLong.split(',').map(part => parseFloat(part.trim()));
+    const meters = haversineDistance(prevLat, prevLng, latitude, longitude);
+    const seconds = Math.max((new Date(scanTime) - new Date(previousScan.scanTime)) / 1000, 1);
+    const speedKmh = (meters / seconds) * 3.6;
+
+    if (meters >= INTEGRITY_CONFIG.minTravelMeters && speedKmh > INTEGRITY_CONFIG.maxSpeedKmh) {
+      flags.push({
+        code: 'IMPOSSIBLE_TRAVEL',
+        message: `${Math.round(meters)}m from the previous scan in ${Math.round(seconds)}s (${Math.round(speedKmh)} km/h)`,
+        previousScanId: previousScan.id,
+        distanceMeters: Math.round(meters),
+        elapsedSeconds: Math.round(seconds),
+        speedKmh: Math.round(speedKmh)
+      });
+    }
+  }
+
+  // Real GPS fixes jitter; the exact same high-precision coordinates again are replayed
+  const normalizedLatLong = `${latitude},${longitude}`;
+  const [rawLat, rawLng] = userLatLong.split(',');
+  if (decimalPlaces(rawLat) >= 5 && decimalPlaces(rawLng) >= 5) {
+    const since = new Date(new Date(scanTime).getTime() - INTEGRITY_CONFIG.repeatLookbackDays * 24 * 60 * 60 * 1000);
+    const previousScans = await CheckpointScan.findAll({
+      where: { userId, scanTime: { [Op.gte]: since } },
+      attributes: ['id', 'userLatLong'],
+      order: [['scanTime', 'DESC']],
+      limit: 200
+    });
+    const repeats = previousScans.filter(scan => {
+      if (scan.id === checkInScanId) return false;
+      const [lat, lng] = (scan.userLatLong || '').split(',').map(part => parseFloat(part.trim()));
+      return `${lat},${lng}` === normalizedLatLong;
+    });
+
+    if (repeats.length > 0) {
+      flags.push({
+        code: 'REPEATED_COORDINATES',
+        message: `Identical coordinates were reported in ${repeats.length} earlier scan(s)`,
+        scanIds: repeats.slice(0, 10).map(scan => scan.id)
+      });
+    }
+  }
+
+  // The QR payload carries the checkpoint's coordinates; sending them back verbatim
+  // suggests the location was copied from the code rather than read from GPS
+  if (latitude === checkpoint.getLatitude() && longitude === checkpoint.getLongitude()) {
+    flags.push({
+      code: 'MATCHES_CHECKPOINT_COORDINATES',
+      message: 'Reported location is exactly the checkpoint coordinates from the QR code'
+    });
+  }
+
+  const riskScore = Math.min(100, flags.reduce((score, flag) => score + (RISK_WEIGHTS[flag.code] || 0), 0));
+  const riskLevel = getRiskLevel(riskScore);
+
+  return {
+    riskScore,
+    riskLevel,
+    flags,
+    requiresReview: riskLevel !== 'low'
+  };
+};
+
+module.exports = {
+  INTEGRITY_CONFIG,
+  parseGpsSignals,
+  analyzeScanIntegrity
+};
@@ -0,0 +1,665 @@
+// services/scanService.js
+//
+// Checkpoint scan processing shared by the live scan endpoint and offline batch sync.
+// Functions return result objects ({ success, status, message, error, data })
+// instead of writing responses, so callers can map them to HTTP or per-item results.
+const Checkpoint = require('../models/Checkpoint');
+const CheckpointScan = require('../models/CheckpointScan');
+const QrCodeRevocation = require('../models/QrCodeRevocation');
+const Route = require('../models/Route');
+const RouteAssignment = require('../models/RouteAssignment');
+const sequelize = require('../config/database');
+const { Op } = require('sequelize');
+const { uploadFileToS3, deleteFromS3 } = require('../middlewares/uploadMiddleware');
+const { verifyCheckpointQrPayload } = require('./qrSigningService');
+const { recordScanAttempt } = require('./scanAttemptService');
+const { validateLatLong, haversineDistance, checkGeofence } = require('./geoService');
+const { parseGpsSignals, analyzeScanIntegrity } = require('./scanIntegrityService');
+const { checkScanSequence, buildSkipEntries, getSkippedCheckpointIds } = require('./patrolSequenceService');
+const { checkTimeWindows, findOpenCheckIn } = require('./checkpointScheduleService');
+const { getCheckpointTemplate, validateChecklistAnswers, resolvePhotoAnswers } = require('./checklistService');
+const { publishStationEvent, publishAssignmentEvent } = require('./stationEventService');
+const { userAssignmentCondition } = require('./assignmentService');
+
+const OFFLINE_SCAN_CONFIG = {
+  // Oldest capture time accepted from an offline queue
+  maxAgeDays: parseInt(process.env.OFFLINE_SCAN_MAX_AGE_DAYS) || 7,
+  // Tolerated difference between device and server clocks
+  clockSkewSeconds: 5 * 60
+};
+
+// `context` carries what was known about the scan when it was rejected, for the
+// ScanAttempt log (checkpointId, distance, qrCode, suspicious, details)
+const fail = (status, message, error, data, context = {}) => ({ success: false, status, message, error, data, context });
+
+// Parse and verify the QR payload and resolve the checkpoint it points to
+const resolveCheckpointFromQr = async (qrData) => {
+  let qrInfo;
+  try {
+    qrInfo = typeof qrData === 'string' ? JSON.parse(qrData) : qrData;
+  } catch (e) {
+    return fail(400, 'Invalid QR code format', 'INVALID_QR_FORMAT');
+  }
+
+  // Validate QR code structure
+  if (!qrInfo || !qrInfo.id || !qrInfo.type || qrInfo.type !== 'checkpoint') {
+    return fail(400, 'Invalid checkpoint QR code', 'INVALID_QR', undefined, { qrCode: qrInfo && qrInfo.id });
+  }
+
+  // Verify the QR signature (unsigned legacy codes only during the migration window)
+  const qrVerification = verifyCheckpointQrPayload(qrInfo);
+  if (!qrVerification.valid) {
+    return fail(400, qrVerification.message, qrVerification.code, undefined, {
+      qrCode: qrInfo.id,
+      suspicious: qrVerification.code === 'QR_SIGNATURE_INVALID'
+    });
+  }
+  if (qrVerification.legacy) {
+    console.warn(`⚠️ Unsigned legacy QR code scanned: ${qrInfo.id}`);
+  }
+
+  // Find checkpoint by QR code
+  const checkpoint = await Checkpoint.findOne({
+    where: { qrCode: qrInfo.id, isActive: true }
+  });
+
+  if (!checkpoint) {
+    // A rotated-out code means someone is scanning a copied or old print
+    const revocation = await QrCodeRevocation.findOne({ where: { qrCode: qrInfo.id } });
+    if (revocation) {
+      return fail(400, 'This QR code has been revoked. Please report it to your station.', 'QR_REVOKED', undefined, {
+        checkpointId: revocation.checkpointId,
+        qrCode: qrInfo.id,
+        suspicious: true,
+        details: { revokedAt: revocation.createdAt, revocationReason: revocation.reason }
+      });
+    }
+
+    return fail(404, 'Invalid or inactive checkpoint QR code', 'CHECKPOINT_NOT_FOUND', undefined, { qrCode: qrInfo.id });
+  }
+
+  return { success: true, checkpoint, qrInfo };
+};
+
+// Offline scans are checked against what the assignment looked like when the scan was
+// captured: started before it, and not yet completed, cancelled, expired or handed over at that moment
+const checkAssignmentAtCapture = (assignment, capturedAt) => {
+  const skew = OFFLINE_SCAN_CONFIG.clockSkewSeconds * 1000;
+
+  if (assignment.status === 'assigned' || !assignment.startDate) {
+    return fail(409, 'Route had not been started when this scan was captured', 'ROUTE_NOT_STARTED');
+  }
+
+  if (capturedAt.getTime() < new Date(assignment.startDate).getTime() - skew) {
+    return fail(409, 'Scan was captured before the route was started', 'CAPTURED_BEFORE_START');
+  }
+
+  if (['completed', 'cancelled', 'expired', 'handed_over'].includes(assignment.status) && assignment.endDate &&
+      capturedAt.getTime() > new Date(assignment.endDate).getTime() + skew) {
+    return fail(409, `Scan was captured after the route was ${assignment.status.replace('_', ' ')}`, 'CAPTURED_AFTER_END');
+  }
+
+  return { success: true };
+};
+
+// Upload multer files ({ images, videos, audios }) to S3
+const uploadScanMedia = async (files, userId, checkpointId) => {
+  const uploadedFiles = {
+    images: [],
+    videos: [],
+    audios: []
+  };
+
+  if (!files) return uploadedFiles;
+
+  for (const type of Object.keys(uploadedFiles)) {
+    if (files[type] && files[type].length > 0) {
+      uploadedFiles[type] = await Promise.all(
+        files[type].map(file => uploadFileToS3(file, userId, checkpointId))
+      );
+    }
+  }
+
+  return uploadedFiles;
+};
+
+// Validate and store one checkpoint scan (see processCheckpointScan).
+// options.source: 'live' (server clock, assignment must be in progress now) or
+//   'offline' (device capturedAt, assignment checked at capture time)
+// options.canAccessStation: optional (policeStationId) => boolean scope check
+const evaluateAndStoreScan = async (req, {
+  userId,
+  qrData,
+  userLatLong,
+  assignmentId,
+  routeId,
+  notes,
+  files,
+  gpsAccuracy,
+  isMockLocation,
+  skipReason,
+  checklistAnswers,
+  source = 'live',
+  capturedAt,
+  idempotencyKey,
+  canAccessStation
+}) => {
+  const isOffline = source === 'offline';
+  const scanTime = isOffline ? capturedAt : new Date();
+
+  // Validate user coordinates
+  const userLatLongValidation = validateLatLong(userLatLong);
+  if (!userLatLongValidation.valid) {
+    return fail(400, `Invalid userLatLong: ${userLatLongValidation.message}`, 'INVALID_COORDINATES');
+  }
+
+  const { latitude: userLat, longitude: userLng } = userLatLongValidation;
+
+  const resolved = await resolveCheckpointFromQr(qrData);
+  if (!resolved.success) return resolved;
+
+  const { checkpoint } = resolved;
+
+  const distance = haversineDistance(userLat, userLng, checkpoint.getLatitude(), checkpoint.getLongitude());
+  const scanRadius = checkpoint.scanRadius || 100;
+
+  // A polygon geofence (plus its buffer) replaces the scanRadius circle when configured
+  const geofence = checkpoint.geofence
+    ? checkGeofence(userLat, userLng, checkpoint.geofence, checkpoint.geofenceBuffer)
+    : null;
+  const isWithinArea = geofence ? geofence.withinBuffer : distance <= scanRadius;
+
+  // Logged with every rejection from here on
+  const known = {
+    checkpointId: checkpoint.id,
+    qrCode: checkpoint.qrCode,
+    distance: Math.round(distance),
+    policeStationId: checkpoint.policeStationId
+  };
+
+  if (!isWithinArea && geofence) {
+    const distanceOutside = Math.round(geofence.distanceOutside);
+    return fail(400, `You are ${distanceOutside} meters outside the checkpoint area. Move inside it to scan.`, 'OUT_OF_GEOFENCE', {
+      distance: Math.round(distance),
+      distanceOutside,
+      geofenceBuffer: checkpoint.geofenceBuffer || 0,
+      checkpoint_lat_long: checkpoint.lat_long,
+      user_lat_long: userLatLong,
+      policeStationId: checkpoint.policeStationId
+    }, { ...known, details: { distanceOutside, geofenceBuffer: checkpoint.geofenceBuffer || 0 } });
+  }
+
+  if (!isWithinArea) {
+    return fail(400, `You are ${Math.round(distance)} meters away. Move within ${scanRadius} meters to scan.`, 'OUT_OF_RADIUS', {
+      distance: Math.round(distance),
+      requiredRadius: scanRadius,
+      checkpoint_lat_long: checkpoint.lat_long,
+      user_lat_long: userLatLong,
+      policeStationId: checkpoint.policeStationId
+    }, { ...known, details: { requiredRadius: scanRadius } });
+  }
+
+  // Get route assignment (the officer's own, or a team assignment they are a member of)
+  const userCondition = await userAssignmentCondition(userId);
+  const assignment = await RouteAssignment.findOne({
+    where: isOffline
+      ? { id: assignmentId, ...userCondition, isActive: true }
+      : { id: assignmentId, ...userCondition, isActive: true, status: 'in_progress' }
+  });
+
+  if (!assignment) {
+    return isOffline
+      ? fail(404, 'Route assignment not found', 'ASSIGNMENT_NOT_FOUND', undefined, known)
+      : fail(404, 'No active route assignment found. Please start your route first.', 'NO_ACTIVE_ASSIGNMENT', undefined, known);
+  }
+
+  if (isOffline) {
+    const stateCheck = checkAssignmentAtCapture(assignment, capturedAt);
+    if (!stateCheck.success) return { ...stateCheck, context: { ...known, details: { capturedAt } } };
+  }
+
+  // Get route details
+  const route = await Route.findByPk(assignment.routeId);
+  if (!route) {
+    return fail(404, 'Route not found', 'ROUTE_NOT_FOUND', undefined, known);
+  }
+
+  if (canAccessStation && !canAccessStation(assignment.policeStationId || route.policeStationId)) {
+    return fail(403, 'You do not have access to this police station', 'STATION_ACCESS_DENIED', undefined, known);
+  }
+
+  // Check if checkpoint is part of the route
+  if (!route.checkpoints.includes(checkpoint.id)) {
+    return fail(400, 'This checkpoint is not part of your assigned route', 'NOT_IN_ROUTE', undefined, known);
+  }
+
+  // Check if already scanned
+  const completedCheckpoints = assignment.completedCheckpoints || [];
+  if (completedCheckpoints.includes(checkpoint.id)) {
+    return fail(400, 'This checkpoint has already been scanned', 'ALREADY_SCANNED', undefined, known);
+  }
+
+  // Dwell checkpoints take a check-in scan and, at least minDwellMinutes later, a check-out scan
+  const minDwellMinutes = checkpoint.minDwellMinutes || 0;
+  const openCheckIn = minDwellMinutes > 0 ? await findOpenCheckIn(assignment.id, checkpoint.id) : null;
+  const scanType = minDwellMinutes === 0 ? 'single' : openCheckIn ? 'check_out' : 'check_in';
+
+  let dwellSeconds = null;
+  if (scanType === 'check_out') {
+    dwellSeconds = Math.round((scanTime.getTime() - new Date(openCheckIn.scanTime).getTime()) / 1000);
+    const remainingSeconds = minDwellMinutes * 60 - dwellSeconds;
+    if (remainingSeconds > 0) {
+      return fail(400, `Stay at this checkpoint for at least ${minDwellMinutes} minutes. You can check out in ${Math.ceil(remainingSeconds / 60)} minute(s).`, 'DWELL_NOT_MET', {
+        checkInScanId: openCheckIn.id,
+        checkedInAt: openCheckIn.scanTime,
+        minDwellMinutes,
+        remainingSeconds
+      }, { ...known, details: { checkInScanId: openCheckIn.id, dwellSeconds } });
+    }
+  }
+
+  // Time windows apply when the officer arrives (single scans and check-ins)
+  const timeWindow = scanType === 'check_out' ? null : checkTimeWindows(checkpoint.timeWindows, scanTime);
+  if (timeWindow && !timeWindow.within && checkpoint.timeWindowPolicy !== 'flag') {
+    return fail(400, `This checkpoint can only be scanned during its scheduled hours (local time ${timeWindow.localTime})`, 'OUTSIDE_TIME_WINDOW', {
+      timeWindows: checkpoint.timeWindows,
+      localTime: timeWindow.localTime
+    }, { ...known, details: { localTime: timeWindow.localTime, localDay: timeWindow.localDay } });
+  }
+
+  // Enforce the route's patrol mode (checkpoint order and skips); a check-out was
+  // already sequenced at check-in
+  let sequence = scanType === 'check_out'
+    ? { success: true, skip: [] }
+    : await checkScanSequence(route, assignment, checkpoint.id, skipReason);
+  if (!sequence.success) {
+    return fail(sequence.status, sequence.message, sequence.error, sequence.data, {
+      ...known,
+      details: { expectedCheckpointId: sequence.data.expectedCheckpoint && sequence.data.expectedCheckpoint.id }
+    });
+  }
+
+  // The inspection checklist is answered on the scan that completes the checkpoint
+  const checklistTemplate = scanType === 'check_in' ? null : await getCheckpointTemplate(checkpoint);
+  let checklist = null;
+  if (checklistTemplate) {
+    checklist = validateChecklistAnswers(checklistTemplate, checklistAnswers, files);
+    if (!checklist.valid) {
+      return fail(400, 'Checklist answers are missing or invalid', 'INVALID_CHECKLIST', {
+        checklistTemplateId: checklistTemplate.id,
+        errors: checklist.errors
+      }, { ...known, details: { checklistTemplateId: checklistTemplate.id, errors: checklist.errors } });
+    }
+  }
+
+  // Score the scan for GPS spoofing; flagged scans are kept but queued for review
+  const gps = parseGpsSignals({ gpsAccuracy, isMockLocation });
+  const integrity = await analyzeScanIntegrity({
+    userId,
+    scanTime,
+    userLatLong,
+    latitude: userLat,
+    longitude: userLng,
+    checkpoint,
+    gps,
+    timeWindow,
+    checkInScanId: openCheckIn ? openCheckIn.id : null
+  });
+
+  // Process uploaded files and upload to S3
+  let uploadedFiles;
+  try {
+    uploadedFiles = await uploadScanMedia(files, userId, checkpoint.id);
+  } catch (uploadError) {
+    console.error('File upload error:', uploadError);
+    return fail(500, 'Failed to upload media files', uploadError.message, undefined, known);
+  }
+
+  const discardMedia = (reason) => {
+    const media = [...uploadedFiles.images, ...uploadedFiles.videos, ...uploadedFiles.audios];
+    if (media.length > 0) {
+      deleteFromS3(media).catch(err => console.error(`Failed to clean up ${reason} scan media:`, err));
+    }
+  };
+
+  // Save the scan and update completed (and skipped) checkpoints in one transaction;
+  // skipped checkpoints count towards completion. Team members scan the same assignment,
+  // so the checks above are repeated under the assignment's row lock before the scan
+  // is saved, and progress is merged into the latest stored state.
+  let result;
+  try {
+    result = await sequelize.transaction(async (transaction) => {
+      const current = await RouteAssignment.findByPk(assignment.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      // The assignment may have been handed over, cancelled or expired since it was loaded
+      if (!isOffline && current.status !== 'in_progress') {
+        return { conflict: fail(409, `This route assignment is no longer in progress (${current.status})`, 'ASSIGNMENT_NOT_IN_PROGRESS', undefined, known) };
+      }
+      if (isOffline) {
+        const stateCheck = checkAssignmentAtCapture(current, capturedAt);
+        if (!stateCheck.success) return { conflict: { ...stateCheck, context: { ...known, details: { capturedAt } } } };
+      }
+
+      if ((current.completedCheckpoints || []).includes(checkpoint.id)) {
+        return { conflict: fail(400, 'This checkpoint has already been scanned', 'ALREADY_SCANNED', undefined, known) };
+      }
+      if (scanType === 'check_in' && await findOpenCheckIn(assignment.id, checkpoint.id, { transaction })) {
+        return { conflict: fail(409, 'This checkpoint was just checked in by a team member. Scan again to check out.', 'ALREADY_CHECKED_IN', undefined, known) };
+      }
+
+      // Sequence again against the latest progress: a teammate may have scanned meanwhile
+      if (scanType !== 'check_out') {
+        sequence = await checkScanSequence(route, current, checkpoint.id, skipReason);
+        if (!sequence.success) {
+          return { conflict: fail(sequence.status, sequence.message, sequence.error, sequence.data, known) };
+        }
+      }
+
+      const checkpointScan = await CheckpointScan.create({
+        userId: userId,
+        checkpointId: checkpoint.id,
+        routeAssignmentId: assignmentId,
+        routeId: routeId || assignment.routeId,
+        scanTime,
+        userLatLong: userLatLong,
+        distance: Math.round(distance),
+        notes: notes || null,
+        images: uploadedFiles.images,
+        videos: uploadedFiles.videos,
+        audios: uploadedFiles.audios,
+        metadata: {
+          userAgent: req.headers['user-agent'],
+          scanTime: scanTime.toISOString(),
+          scanRadius: scanRadius,
+          ...(geofence && {
+            geofence: {
+              inside: geofence.inside,
+              distanceOutside: Math.round(geofence.distanceOutside),
+              buffer: checkpoint.geofenceBuffer || 0
+            }
+          }),
+          policeStationId: checkpoint.policeStationId,
+          gps
+        },
+        isValid: true,
+        scanType,
+        checkInScanId: openCheckIn ? openCheckIn.id : null,
+        dwellSeconds,
+        checklistTemplateId: checklistTemplate ? checklistTemplate.id : null,
+        checklistVersion: checklistTemplate ? checklistTemplate.version : null,
+        checklistAnswers: checklist ? resolvePhotoAnswers(checklist.answers, checklist.photoRefs, uploadedFiles.images) : null,
+        riskScore: integrity.riskScore,
+        riskLevel: integrity.riskLevel,
+        riskFlags: integrity.flags,
+        reviewStatus: integrity.requiresReview ? 'pending' : 'not_required',
+        source,
+        idempotencyKey: idempotencyKey || null,
+        syncedAt: isOffline ? new Date() : null
+      }, { transaction });
+
+      const currentCompleted = current.completedCheckpoints || [];
+
+      // A dwell checkpoint only counts once it has been checked out
+      const newCompletedCheckpoints = scanType === 'check_in' || currentCompleted.includes(checkpoint.id)
+        ? currentCompleted
+        : [...currentCompleted, checkpoint.id];
+      const newSkippedCheckpoints = [
+        ...(current.skippedCheckpoints || []),
+        ...buildSkipEntries(sequence.skip, { reason: skipReason, userId, skippedAt: scanTime, scannedCheckpointId: checkpoint.id })
+      ];
+      const skippedIds = getSkippedCheckpointIds({ skippedCheckpoints: newSkippedCheckpoints });
+      const totalCheckpoints = route.checkpoints.length;
+      const doneIds = new Set([...newCompletedCheckpoints, ...skippedIds]);
+      const isRouteCompleted = route.checkpoints.every(id => doneIds.has(id));
+
+      // Update assignment (offline scans never reopen a completed or cancelled assignment)
+      const updateData = {
+        completedCheckpoints: newCompletedCheckpoints
+      };
+      if (sequence.skip.length > 0) {
+        updateData.skippedCheckpoints = newSkippedCheckpoints;
+      }
+
+      if (current.status === 'in_progress') {
+        updateData.status = isRouteCompleted ? 'completed' : 'in_progress';
+        if (isRouteCompleted) {
+          updateData.endDate = scanTime;
+          updateData.notes = `Route completed at ${scanTime.toLocaleString()}`;
+        }
+      }
+
+      await current.update(updateData, { transaction });
+      return { checkpointScan, updated: current, updateData, newCompletedCheckpoints, skippedIds, totalCheckpoints, isRouteCompleted };
+    });
+  } catch (error) {
+    // A concurrent retry of the same offline scan won the race
+    if (error.name === 'SequelizeUniqueConstraintError' && idempotencyKey) {
+      discardMedia('duplicate');
+      const existing = await findScanByIdempotencyKey(userId, idempotencyKey);
+      return { success: true, duplicate: true, status: 200, message: 'Scan already synced', data: { scanId: existing && existing.id } };
+    }
+    throw error;
+  }
+
+  if (result.conflict) {
+    discardMedia('rejected');
+    return result.conflict;
+  }
+
+  const { checkpointScan, updated, updateData, newCompletedCheckpoints, skippedIds, totalCheckpoints, isRouteCompleted } = result;
+  assignment.set(updated.get());
+
+  publishStationEvent('checkpoint.scanned', checkpoint.policeStationId, {
+    scanId: checkpointScan.id,
+    checkpointId: checkpoint.id,
+    checkpointName: checkpoint.name,
+    assignmentId: assignment.id,
+    userId,
+    scanType,
+    source,
+    distance: Math.round(distance),
+    riskLevel: integrity.riskLevel,
+    completedCheckpoints: newCompletedCheckpoints.length,
+    totalCheckpoints
+  });
+  if (updateData.status === 'completed') {
+    publishAssignmentEvent('assignment.completed', assignment, { completedBy: userId, completedByScan: checkpointScan.id });
+  }
+
+  // Calculate progress
+  const progress = {
+    totalCheckpoints: totalCheckpoints,
+    completedCheckpoints: newCompletedCheckpoints.length,
+    skippedCheckpoints: skippedIds.length,
+    percentage: Math.round((newCompletedCheckpoints.length / totalCheckpoints) * 100),
+    isCompleted: isRouteCompleted,
+    remainingCheckpoints: route.checkpoints.filter(id => !newCompletedCheckpoints.includes(id) && !skippedIds.includes(id))
+  };
+
+  return {
+    success: true,
+    status: 200,
+    message: scanType === 'check_in' ?
+      `Checked in. Scan again after ${minDwellMinutes} minute(s) to check out.` :
+      isRouteCompleted ?
+        'Checkpoint scanned! Route completed successfully!' :
+        'Checkpoint scanned successfully',
+    data: {
+      scanId: checkpointScan.id,
+      checkpoint: {
+        id: checkpoint.id,
+        name: checkpoint.name,
+        address: checkpoint.address,
+        lat_long: checkpoint.lat_long,
+        policeStationId: checkpoint.policeStationId,
+      },
+      distance: Math.round(distance),
+      scanRadius: scanRadius,
+      areaCheck: geofence
+        ? { type: 'geofence', inside: geofence.inside, distanceOutside: Math.round(geofence.distanceOutside), buffer: checkpoint.geofenceBuffer || 0 }
+        : { type: 'radius', radius: scanRadius },
+      assignment: {
+        id: assignment.id,
+        status: assignment.status,
+        patrolMode: route.patrolMode
+      },
+      skipped: sequence.skip,
+      checklist: checklistTemplate ? {
+        templateId: checklistTemplate.id,
+        version: checklistTemplate.version,
+        answers: checkpointScan.checklistAnswers
+      } : null,
+      dwell: minDwellMinutes > 0 ? {
+        scanType,
+        minDwellMinutes,
+        checkInScanId: openCheckIn ? openCheckIn.id : checkpointScan.id,
+        dwellSeconds,
+        checkOutAfter: scanType === 'check_in'
+          ? new Date(scanTime.getTime() + minDwellMinutes * 60 * 1000).toISOString()
+          : null
+      } : null,
+      progress: progress,
+      integrity: {
+        riskScore: integrity.riskScore,
+        riskLevel: integrity.riskLevel,
+        flags: integrity.flags.map(flag => flag.code),
+        reviewStatus: checkpointScan.reviewStatus
+      },
+      timestamp: scanTime.toISOString(),
+      coordinates: {
+        checkpoint_lat_long: checkpoint.lat_long,
+        user_lat_long: userLatLong
+      },
+      scanDetails: {
+        notes: notes || null,
+        mediaUploaded: {
+          images: uploadedFiles.images.length,
+          videos: uploadedFiles.videos.length,
+          audios: uploadedFiles.audios.length
+        },
+        mediaUrls: {
+          images: uploadedFiles.images,
+          videos: uploadedFiles.videos,
+          audios: uploadedFiles.audios
+        }
+      }
+    }
+  };
+};
+
+// Process one checkpoint scan. Rejections (other than transient server errors) are
+// logged as ScanAttempt rows so supervisors can see failed tries.
+const processCheckpointScan = async (req, options) => {
+  const result = await evaluateAndStoreScan(req, options);
+
+  if (!result.success && result.status < 500) {
+    const context = result.context || {};
+    const attempt = await recordScanAttempt(req, {
+      userId: options.userId,
+      checkpointId: context.checkpointId,
+      routeAssignmentId: options.assignmentId,
+      policeStationId: context.policeStationId,
+      qrCode: context.qrCode,
+      reason: result.error,
+      suspicious: !!context.suspicious,
+      distance: context.distance,
+      userLatLong: options.userLatLong,
+      source: options.source || 'live',
+      details: { message: result.message, ...(context.details || {}) }
+    });
+
+    if (attempt) {
+      publishStationEvent('scan.rejected', attempt.policeStationId, {
+        scanAttemptId: attempt.id,
+        reason: attempt.reason,
+        message: result.message,
+        suspicious: attempt.suspicious,
+        checkpointId: attempt.checkpointId,
+        assignmentId: attempt.routeAssignmentId,
+        userId: attempt.userId,
+        source: attempt.source
+      });
+    }
+  }
+
+  return result;
+};
+
+const findScanByIdempotencyKey = (userId, idempotencyKey) =>
+  CheckpointScan.findOne({
+    where: { userId, idempotencyKey },
+    attributes: ['id', 'checkpointId', 'routeAssignmentId', 'scanTime']
+  });
+
+// Validate the capture time of an offline scan
+const validateCapturedAt = (value) => {
+  const capturedAt = new Date(value);
+  if (!value || isNaN(capturedAt.getTime())) {
+    return fail(400, 'capturedAt must be a valid ISO 8601 timestamp', 'INVALID_CAPTURED_AT');
+  }
+
+  const now = Date.now();
+  if (capturedAt.getTime() > now + OFFLINE_SCAN_CONFIG.clockSkewSeconds * 1000) {
+    return fail(400, 'capturedAt is in the future', 'INVALID_CAPTURED_AT');
+  }
+  if (capturedAt.getTime() < now - OFFLINE_SCAN_CONFIG.maxAgeDays * 24 * 60 * 60 * 1000) {
+    return fail(400, `Scans older than ${OFFLINE_SCAN_CONFIG.maxAgeDays} days cannot be synced`, 'SCAN_TOO_OLD');
+  }
+
+  return { success: true, capturedAt };
+};
+
+// Take a rejected scan's checkpoint back out of its assignment's progress, unless another
+// valid scan still completes it. A completed assignment is reopened, and assignments that
+// inherited the checkpoint through a handover lose it too. Returns { checkpointId, assignmentIds }
+// (the assignments changed).
+const revokeScanProgress = async (scan, transaction) => {
+  const stillCompleted = await CheckpointScan.count({
+    where: {
+      id: { [Op.ne]: scan.id },
+      routeAssignmentId: scan.routeAssignmentId,
+      checkpointId: scan.checkpointId,
+      isValid: true,
+      scanType: { [Op.in]: ['single', 'check_out'] },
+      [Op.or]: [{ checkInScanId: null }, { checkInScanId: { [Op.ne]: scan.id } }]
+    },
+    transaction
+  });
+  if (stillCompleted > 0) return { checkpointId: scan.checkpointId, assignmentIds: [] };
+
+  const assignmentIds = [];
+  let assignment = await RouteAssignment.findByPk(scan.routeAssignmentId, { transaction, lock: transaction.LOCK.UPDATE });
+  let inherited = false;
+
+  while (assignment) {
+    const completed = assignment.completedCheckpoints || [];
+    if (!completed.includes(scan.checkpointId)) break;
+    if (inherited && !(assignment.inheritedCheckpoints || []).includes(scan.checkpointId)) break;
+
+    const updateData = {
+      completedCheckpoints: completed.filter(id => id !== scan.checkpointId),
+      inheritedCheckpoints: (assignment.inheritedCheckpoints || []).filter(id => id !== scan.checkpointId)
+    };
+    if (assignment.status === 'completed') {
+      updateData.status = 'in_progress';
+      updateData.endDate = null;
+      updateData.notes = `Route reopened at ${new Date().toLocaleString()}: scan ${scan.id} was rejected on review`;
+    }
+    await assignment.update(updateData, { transaction });
+    assignmentIds.push(assignment.id);
+
+    if (!assignment.handedOverToId) break;
+    assignment = await RouteAssignment.findByPk(assignment.handedOverToId, { transaction, lock: transaction.LOCK.UPDATE });
+    inherited = true;
+  }
+
+  return { checkpointId: scan.checkpointId, assignmentIds };
+};
+
+module.exports = {
+  OFFLINE_SCAN_CONFIG,
+  processCheckpointScan,
+  findScanByIdempotencyKey,
+  validateCapturedAt,
+  revokeScanProgress
+};
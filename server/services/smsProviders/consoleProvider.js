@@ -0,0 +1,10 @@
+// services/smsProviders/consoleProvider.js
+// Development stub: prints messages to the server log instead of sending them
+
+const send = async ({ to, message }) => {
+  const messageId = `console-${Date.now()}`;
+  console.log(`📱 [SMS to ${to}] ${message}`);
+  return { messageId };
+};
+
+module.exports = { send };
@@ -0,0 +1,20 @@
+// services/smsProviders/fileProvider.js
+// Test stub: appends messages as JSON lines to SMS_FILE_PATH (default logs/sms-outbox.log)
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const getOutboxPath = () =>
+  process.env.SMS_FILE_PATH || path.join(__dirname, '..', '..', 'logs', 'sms-outbox.log');
+
+const send = async ({ to, message }) => {
+  const messageId = `file-${Date.now()}`;
+  const outbox = getOutboxPath();
+
+  await fs.ensureDir(path.dirname(outbox));
+  await fs.appendFile(outbox, JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() }) + '\n');
+
+  return { messageId };
+};
+
+module.exports = { send };
@@ -0,0 +1,65 @@
+// services/smsService.js
+//
+// Pluggable SMS sending. A provider is an object with an async
+// `send({ to, message })` that resolves to { messageId } or throws.
+// The provider is chosen with SMS_PROVIDER. The console provider (which prints the
+// message, OTP codes included) is only the default when NODE_ENV=development.
+
+const consoleProvider = require('./smsProviders/consoleProvider');
+const fileProvider = require('./smsProviders/fileProvider');
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+// Register a real gateway (or a custom stub) under a name usable in SMS_PROVIDER
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send({ to, message })`);
+  }
+  providers[name] = provider;
+};
+
+const getSmsProviderName = () =>
+  process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'development' ? 'console' : null);
+
+const isSmsConfigured = () => {
+  const name = getSmsProviderName();
+  return !!name && !!providers[name];
+};
+
+const getSmsProvider = () => {
+  const name = getSmsProviderName();
+  if (!name) {
+    throw new Error('No SMS provider configured (set SMS_PROVIDER)');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+  return provider;
+};
+
+// Send an SMS through the configured provider
+const sendSms = async (to, message) => {
+  try {
+    const provider = getSmsProvider();
+    const result = await provider.send({ to, message });
+    return { success: true, messageId: result && result.messageId };
+  } catch (error) {
+    console.error('Error sending SMS:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a login OTP
+const sendOtpSms = (phone, code, expiresInMinutes) =>
+  sendSms(phone, `${code} is your Smart Patrolling System login code. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`);
+
+module.exports = {
+  registerSmsProvider,
+  isSmsConfigured,
+  sendSms,
+  sendOtpSms
+};
@@ -0,0 +1,98 @@
+// services/sosAlertService.js
+//
+// SOS alert recipients, notification fan-out and response-time figures.
+const { Op } = require('sequelize');
+const SosAlert = require('../models/SosAlert');
+const User = require('../models/User');
+const UserStation = require('../models/UserStation');
+const { resolveRole, hasPermission } = require('../config/permissions');
+const { toRecipient, dispatchNotification } = require('./notificationService');
+
+const userAttributes = ['id', 'username', 'smartusername', 'smartuserrank', 'roleName', 'smartuseremail', 'smartuserphone'];
+
+// Officers posted at the station whose role holds `permission` (by default: can
+// acknowledge SOS alerts)
+const findStationSupervisors = async (policeStationId, excludeUserId, permission = 'alert:manage') => {
+  const postings = await UserStation.findAll({ where: { policeStationId }, attributes: ['userId'] });
+  const userIds = postings.map(posting => posting.userId).filter(id => id !== excludeUserId);
+  if (userIds.length === 0) return [];
+
+  const users = await User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: userAttributes });
+  return users.filter(user => hasPermission(resolveRole(user), permission));
+};
+
+const secondsBetween = (from, to) =>
+  from && to ? Math.round((new Date(to).getTime() - new Date(from).getTime()) / 1000) : null;
+
+// Seconds from raising the alert to acknowledgement / resolution
+const getResponseTimes = (alert) => ({
+  acknowledgeSeconds: secondsBetween(alert.createdAt, alert.acknowledgedAt),
+  resolveSeconds: secondsBetween(alert.createdAt, alert.resolvedAt)
+});
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const mapLink = (latLong) => `https://maps.google.com/?q=${encodeURIComponent(latLong)}`;
+
+const buildSosNotification = (alert, officer, route) => {
+  const officerName = officer ? (officer.smartusername || officer.username) : `User ${alert.userId}`;
+  const routeName = route ? route.name : `assignment ${alert.routeAssignmentId}`;
+  const text = `SOS from ${officerName} on ${routeName}. Location: ${mapLink(alert.lat_long)}` +
+    (alert.message ? ` Message: ${alert.message}` : '');
+
+  return {
+    type: 'sos.raised',
+    subject: `SOS alert: ${officerName} needs assistance`,
+    text,
+    // Message, names and location come from clients: escape everything in the HTML body
+    html: `<p><strong>SOS alert</strong> from ${escapeHtml(officerName)} on ${escapeHtml(routeName)}.</p>` +
+      `<p>Location: <a href="${escapeHtml(mapLink(alert.lat_long))}">${escapeHtml(alert.lat_long)}</a></p>` +
+      (alert.message ? `<p>Message: ${escapeHtml(alert.message)}</p>` : '') +
+      `<p>Alert #${escapeHtml(alert.id)} raised at ${escapeHtml(new Date(alert.createdAt).toLocaleString())}</p>`,
+    data: {
+      alertId: alert.id,
+      userId: alert.userId,
+      routeAssignmentId: alert.routeAssignmentId,
+      policeStationId: alert.policeStationId,
+      lat_long: alert.lat_long,
+      raisedAt: alert.createdAt
+    }
+  };
+};
+
+const buildAcknowledgedNotification = (alert, supervisor) => {
+  const supervisorName = supervisor.smartusername || supervisor.username;
+  return {
+    type: 'sos.acknowledged',
+    subject: 'Your SOS alert was acknowledged',
+    text: `Your SOS alert #${alert.id} was acknowledged by ${supervisorName}. Help is on the way.`,
+    data: { alertId: alert.id, acknowledgedBy: supervisor.id, acknowledgedAt: alert.acknowledgedAt }
+  };
+};
+
+// Send a notification and append the deliveries to the alert's log. Runs in the
+// background: a slow mail server must never hold up the SOS response.
+const notifyInBackground = (alertId, event, notification, users) => {
+  dispatchNotification(notification, users.map(toRecipient))
+    .then(async (deliveries) => {
+      const alert = await SosAlert.findByPk(alertId);
+      if (!alert) return;
+      await alert.update({
+        notifications: [...(alert.notifications || []), ...deliveries.map(delivery => ({ event, ...delivery }))]
+      });
+    })
+    .catch(error => console.error(`Failed to record SOS ${event} notifications:`, error));
+};
+
+module.exports = {
+  findStationSupervisors,
+  getResponseTimes,
+  buildSosNotification,
+  buildAcknowledgedNotification,
+  notifyInBackground
+};
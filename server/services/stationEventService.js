@@ -0,0 +1,99 @@
+// services/stationEventService.js
+//
+// In-process event bus for the supervisor dashboard feed. Controllers publish
+// station events; the SSE endpoint subscribes and filters them by station scope.
+// Event: { id, type, policeStationId, occurredAt, data }
+const EventEmitter = require('events');
+const Route = require('../models/Route');
+
+const STATION_EVENT_TYPES = [
+  'assignment.created',
+  'assignment.started',
+  'assignment.completed',
+  'assignment.cancelled',
+  'assignment.expired',
+  'assignment.missed',
+  'assignment.handed_over',
+  'checkpoint.scanned',
+  'scan.rejected',
+  'sos.raised',
+  'sos.acknowledged',
+  'sos.resolved'
+];
+
+// Recent events kept so reconnecting clients can catch up (Last-Event-ID)
+const REPLAY_BUFFER_SIZE = parseInt(process.env.EVENT_REPLAY_BUFFER_SIZE) || 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected dashboard
+
+let lastEventId = 0;
+const recentEvents = [];
+
+// Publish an event for a police station. Never throws: the feed must not break the action.
+const publishStationEvent = (type, policeStationId, data = {}) => {
+  try {
+    if (!policeStationId) return null;
+
+    const event = {
+      id: ++lastEventId,
+      type,
+      policeStationId: parseInt(policeStationId),
+      occurredAt: new Date().toISOString(),
+      data
+    };
+
+    recentEvents.push(event);
+    if (recentEvents.length > REPLAY_BUFFER_SIZE) recentEvents.shift();
+
+    emitter.emit('event', event);
+    return event;
+  } catch (error) {
+    console.error(`Failed to publish ${type} event:`, error);
+    return null;
+  }
+};
+
+// Publish an assignment lifecycle event (older assignments have no policeStationId;
+// their route's station is used)
+const publishAssignmentEvent = async (type, assignment, data = {}) => {
+  try {
+    let policeStationId = assignment.policeStationId;
+    if (!policeStationId) {
+      const route = await Route.findByPk(assignment.routeId, { attributes: ['id', 'policeStationId'] });
+      policeStationId = route ? route.policeStationId : null;
+    }
+
+    return publishStationEvent(type, policeStationId, {
+      assignmentId: assignment.id,
+      userId: assignment.userId,
+      routeId: assignment.routeId,
+      status: assignment.status,
+      ...data
+    });
+  } catch (error) {
+    console.error(`Failed to publish ${type} event:`, error);
+    return null;
+  }
+};
+
+// Listen for events accepted by `filter`; returns an unsubscribe function
+const subscribeStationEvents = (filter, listener) => {
+  const handler = (event) => {
+    if (filter(event)) listener(event);
+  };
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+};
+
+// Buffered events after the given id that pass `filter`
+const getEventsSince = (eventId, filter) =>
+  recentEvents.filter(event => event.id > eventId && filter(event));
+
+module.exports = {
+  STATION_EVENT_TYPES,
+  publishStationEvent,
+  publishAssignmentEvent,
+  subscribeStationEvents,
+  getEventsSince
+};
@@ -0,0 +1,183 @@
+// services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const RefreshToken = require('../models/RefreshToken');
+
+// JWT secret key - should be in .env file in production
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Claims carried by every access token - same field names as registration
+const buildTokenClaims = (user) => ({
+  id: user.id,
+  smartuseremail: user.smartuseremail,
+  smartusername: user.smartusername,
+  smartuserphone: user.smartuserphone,
+  smartuserrank: user.smartuserrank,
+  userId: user.userId,
+  roleId: user.roleId,
+  roleName: user.roleName || 'user',
+  stations: user.stations || [],
+  pwdChangeRequired: !!user.isFirstLogin
+});
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ ...buildTokenClaims(user), sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Create a refresh token row for the session and return the raw token
+const createRefreshToken = async (session, transaction) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    sessionId: session.id,
+    userId: session.userId,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt
+  }, { transaction });
+  return token;
+};
+
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 512) || null,
+  ipAddress: req.ip || null
+});
+
+// Start a new session for the user and issue its first token pair
+const issueSession = async (user, req, { authMethod = 'password' } = {}) => {
+  const now = new Date();
+  const session = await UserSession.create({
+    userId: user.id,
+    authMethod,
+    ...getClientInfo(req),
+    lastUsedAt: now,
+    expiresAt: addDays(now, REFRESH_TOKEN_TTL_DAYS)
+  });
+
+  const refreshToken = await createRefreshToken(session);
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session.id
+  };
+};
+
+// Revoke a single session and all of its outstanding refresh tokens
+const revokeSession = async (sessionId, reason) => {
+  const now = new Date();
+  const [count] = await UserSession.update(
+    { revokedAt: now, revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+  await RefreshToken.update(
+    { revokedAt: now },
+    { where: { sessionId, revokedAt: null } }
+  );
+  return count;
+};
+
+// Revoke every active session of a user (lost device, transfer, deactivation)
+const revokeUserSessions = async (userId, reason) => {
+  const sessions = await UserSession.findAll({
+    where: { userId, revokedAt: null },
+    attributes: ['id']
+  });
+  for (const session of sessions) {
+    await revokeSession(session.id, reason);
+  }
+  return sessions.length;
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token can be used
+// once; presenting a rotated token again means it leaked, so the session is revoked.
+const rotateRefreshToken = async (rawToken) => {
+  const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(rawToken) } });
+  if (!stored) {
+    return { success: false, message: 'Invalid refresh token' };
+  }
+
+  const session = await UserSession.findByPk(stored.sessionId);
+  if (!session || session.revokedAt || stored.revokedAt) {
+    return { success: false, message: 'Session has been revoked' };
+  }
+
+  if (stored.usedAt) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return { success: false, message: 'Refresh token has already been used. Please log in again.' };
+  }
+
+  const now = new Date();
+  if (stored.expiresAt < now || session.expiresAt < now) {
+    return { success: false, message: 'Refresh token has expired' };
+  }
+
+  // Claims are rebuilt from the database so role and station changes take effect
+  const user = await User.findByPk(session.userId);
+  if (!user) {
+    await revokeSession(session.id, 'user_deleted');
+    return { success: false, message: 'User not found' };
+  }
+
+  // Mark the token as used atomically so two concurrent refreshes cannot both succeed
+  const [claimed] = await RefreshToken.update(
+    { usedAt: now },
+    { where: { id: stored.id, usedAt: null } }
+  );
+  if (claimed === 0) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    return { success: false, message: 'Refresh token has already been used. Please log in again.' };
+  }
+
+  const refreshToken = await createRefreshToken(session);
+  await session.update({ lastUsedAt: now });
+
+  return {
+    success: true,
+    token: signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId: session.id
+  };
+};
+
+// Whether the session behind an access token is still active
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await UserSession.findOne({
+    where: { id: sessionId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    attributes: ['id']
+  });
+  return !!session;
+};
+
+// Active sessions of a user, newest first
+const listUserSessions = (userId) => UserSession.findAll({
+  where: { userId, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+  attributes: ['id', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'createdAt'],
+  order: [['createdAt', 'DESC']]
+});
+
+module.exports = {
+  hashToken,
+  ACCESS_TOKEN_TTL,
+  buildTokenClaims,
+  signAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  listUserSessions
+};
@@ -0,0 +1,10 @@
+// services/webhookProviders/consoleProvider.js
+// Development stub: prints webhook payloads to the server log instead of posting them
+
+const send = async ({ url, payload }) => {
+  const deliveryId = `console-${Date.now()}`;
+  console.log(`🔗 [Webhook to ${url || '(no url)'}] ${JSON.stringify(payload)}`);
+  return { deliveryId };
+};
+
+module.exports = { send };
@@ -0,0 +1,20 @@
+// services/webhookProviders/fileProvider.js
+// Test stub: appends payloads as JSON lines to WEBHOOK_FILE_PATH (default logs/webhook-outbox.log)
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const getOutboxPath = () =>
+  process.env.WEBHOOK_FILE_PATH || path.join(__dirname, '..', '..', 'logs', 'webhook-outbox.log');
+
+const send = async ({ url, payload }) => {
+  const deliveryId = `file-${Date.now()}`;
+  const outbox = getOutboxPath();
+
+  await fs.ensureDir(path.dirname(outbox));
+  await fs.appendFile(outbox, JSON.stringify({ deliveryId, url, payload, sentAt: new Date().toISOString() }) + '\n');
+
+  return { deliveryId };
+};
+
+module.exports = { send };
@@ -0,0 +1,34 @@
+// services/webhookProviders/httpProvider.js
+// POSTs the payload as JSON. WEBHOOK_SECRET, when set, is sent as an HMAC-SHA256
+// signature of the body in the X-Webhook-Signature header.
+
+const crypto = require('crypto');
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+const send = async ({ url, payload }) => {
+  if (!url) {
+    throw new Error('Webhook URL is not configured');
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.WEBHOOK_SECRET) {
+    headers['X-Webhook-Signature'] = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+
+  return { deliveryId: response.headers.get('x-request-id') || `http-${Date.now()}` };
+};
+
+module.exports = { send };
@@ -0,0 +1,50 @@
+// services/webhookService.js
+//
+// Pluggable webhook delivery. A provider is an object with an async
+// `send({ url, payload })` that resolves to { deliveryId } or throws.
+// The provider is chosen with WEBHOOK_PROVIDER (default: console) and
+// payloads go to WEBHOOK_URL unless a url is given.
+
+const consoleProvider = require('./webhookProviders/consoleProvider');
+const fileProvider = require('./webhookProviders/fileProvider');
+const httpProvider = require('./webhookProviders/httpProvider');
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  http: httpProvider
+};
+
+// Register a custom provider under a name usable in WEBHOOK_PROVIDER
+const registerWebhookProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`Webhook provider "${name}" must implement send({ url, payload })`);
+  }
+  providers[name] = provider;
+};
+
+const getWebhookProvider = () => {
+  const name = process.env.WEBHOOK_PROVIDER || 'console';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown webhook provider "${name}"`);
+  }
+  return provider;
+};
+
+// Deliver a payload through the configured provider
+const sendWebhook = async (payload, url = process.env.WEBHOOK_URL) => {
+  try {
+    const provider = getWebhookProvider();
+    const result = await provider.send({ url, payload });
+    return { success: true, deliveryId: result && result.deliveryId };
+  } catch (error) {
+    console.error('Error sending webhook:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  registerWebhookProvider,
+  sendWebhook
+};